@@ -7,16 +7,33 @@ const http = require('http');
 const taskService = require('./services/taskService');
 const reviewService = require('./services/reviewService');
 const reportService = require('./services/reportService');
+const idService = require('./services/idService');
+const recurringService = require('./services/recurringService');
+const reminderService = require('./services/reminderService');
+const teamService = require('./services/teamService');
+const clientService = require('./services/clientService');
+const projectService = require('./services/projectService');
+const publishService = require('./services/publishService');
+const calendarService = require('./services/calendarService');
 const { handleAssignCommand } = require('./commands/assign');
 const { handleTasksCommand } = require('./commands/tasks');
 const { handleDoneCommand } = require('./commands/done');
+const { handleTaskCommand } = require('./commands/task');
+const { handleRecurringCommand } = require('./commands/recurring');
+const { handleTeamCommand } = require('./commands/team');
+const { handleClientCommand } = require('./commands/client');
+const { handleProjectCommand } = require('./commands/project');
 const { handleReviewCommand } = require('./commands/review');
+const { handleContentCommand } = require('./commands/content');
+const { handlePublishCommand } = require('./commands/publish');
+const { handleCalendarCommand } = require('./commands/calendar');
 const { handleApproveCommand } = require('./commands/approve');
 const { handleStatusCommand } = require('./commands/status');
 const { handleHelpCommand } = require('./commands/help');
 const { handleDailyReportCommand } = require('./commands/dailyreport');
 const { handleAiCommand } = require('./commands/ai');
 const { formatHelpMessage } = require('./utils/formatters');
+const { getUserTimezone, zonedTimeToUtc, getDefaultTimezone } = require('./utils/dates');
 
 // Initialize Prisma with debug logging
 let prisma;
@@ -51,6 +68,28 @@ expressApp.get('/health', (req, res) => {
   res.status(200).send('OK');
 });
 
+// iCalendar feed of review deadlines, task deadlines and publish dates, for one client with
+// ?client=name. Only served when CALENDAR_FEED_TOKEN is set and given as ?token=.
+expressApp.get('/calendar.ics', async (req, res) => {
+  if (!calendarService.isValidFeedToken(req.query.token)) {
+    res.status(404).send('Not found');
+    return;
+  }
+  
+  try {
+    const clientName = typeof req.query.client === 'string' && req.query.client
+      ? await clientService.resolveClientName(req.query.client)
+      : null;
+    const events = await calendarService.getFeedEvents(clientName);
+    
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.status(200).send(calendarService.formatICalendar(events, clientName));
+  } catch (error) {
+    console.error('Error serving calendar feed:', error);
+    res.status(500).send('Error building calendar');
+  }
+});
+
 // Enhanced error handling middleware
 app.use(async ({ logger, next }) => {
   try {
@@ -87,6 +126,14 @@ app.use(async ({ logger, body, next }) => {
 taskService.init(prisma);
 reviewService.init(prisma);
 reportService.init(prisma);
+idService.init(prisma);
+recurringService.init(prisma);
+reminderService.init(prisma);
+teamService.init(prisma);
+clientService.init(prisma);
+projectService.init(prisma);
+publishService.init(prisma);
+calendarService.init(prisma);
 
 // Register slash commands
 app.command('/assign', async ({ command, ack, respond, client, logger }) => {
@@ -128,6 +175,110 @@ app.command('/done', async ({ command, ack, respond, client, logger }) => {
   }
 });
 
+app.command('/task', async ({ command, ack, respond, client, logger }) => {
+  await ack();
+  try {
+    await handleTaskCommand({ command, respond, client, logger });
+  } catch (error) {
+    logger.error(`Error in task command: ${error.message}`);
+    await respond({
+      text: `Error updating task: ${error.message}`,
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+app.command('/recurring', async ({ command, ack, respond, client, logger }) => {
+  await ack();
+  try {
+    await handleRecurringCommand({ command, respond, client, logger });
+  } catch (error) {
+    logger.error(`Error in recurring command: ${error.message}`);
+    await respond({
+      text: `Error managing recurring tasks: ${error.message}`,
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+app.command('/team', async ({ command, ack, respond, client, logger }) => {
+  await ack();
+  try {
+    await handleTeamCommand({ command, respond, client, logger });
+  } catch (error) {
+    logger.error(`Error in team command: ${error.message}`);
+    await respond({
+      text: `Error managing teams: ${error.message}`,
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+app.command('/client', async ({ command, ack, respond, client, logger }) => {
+  await ack();
+  try {
+    await handleClientCommand({ command, respond, client, logger });
+  } catch (error) {
+    logger.error(`Error in client command: ${error.message}`);
+    await respond({
+      text: `Error managing clients: ${error.message}`,
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+app.command('/project', async ({ command, ack, respond, client, logger }) => {
+  await ack();
+  try {
+    await handleProjectCommand({ command, respond, client, logger });
+  } catch (error) {
+    logger.error(`Error in project command: ${error.message}`);
+    await respond({
+      text: `Error managing projects: ${error.message}`,
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+app.command('/content', async ({ command, ack, respond, client, logger }) => {
+  await ack();
+  try {
+    await handleContentCommand({ command, respond, client, logger });
+  } catch (error) {
+    logger.error(`Error in content command: ${error.message}`);
+    await respond({
+      text: `Error moving content: ${error.message}`,
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+app.command('/publish', async ({ command, ack, respond, client, logger }) => {
+  await ack();
+  try {
+    await handlePublishCommand({ command, respond, client, logger });
+  } catch (error) {
+    logger.error(`Error in publish command: ${error.message}`);
+    await respond({
+      text: `Error publishing content: ${error.message}`,
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+app.command('/calendar', async ({ command, ack, respond, client, logger }) => {
+  await ack();
+  try {
+    await handleCalendarCommand({ command, respond, client, logger });
+  } catch (error) {
+    logger.error(`Error in calendar command: ${error.message}`);
+    await respond({
+      text: `Error fetching the calendar: ${error.message}`,
+      response_type: 'ephemeral'
+    });
+  }
+});
+
 app.command('/review', async ({ command, ack, respond, client, logger }) => {
   await ack();
   try {
@@ -209,6 +360,26 @@ app.command('/ai', async ({ command, ack, respond, client, logger }) => {
 
 // Add button action handlers
 
+// Replace the message a button was clicked in. Ephemeral messages (task lists, pickers)
+// can't be edited with chat.update, only through the action's response_url.
+async function replaceActionMessage({ body, client, respond }, blocks, text) {
+  if (body.container && body.container.is_ephemeral) {
+    await respond({
+      replace_original: true,
+      blocks,
+      text
+    });
+    return;
+  }
+  
+  await client.chat.update({
+    channel: body.channel.id,
+    ts: body.message.ts,
+    blocks,
+    text
+  });
+}
+
 // Task completion button
 app.action('complete_task', async ({ body, ack, respond, client, logger }) => {
   await ack();
@@ -226,7 +397,7 @@ app.action('complete_task', async ({ body, ack, respond, client, logger }) => {
       // Continue with unknown user name
     }
     
-    const task = await taskService.markTaskAsDone(taskId, userId, userName);
+    const task = await taskService.markTaskAsDone(taskId, userId, userName, client);
     
     if (!task) {
       await respond({
@@ -238,12 +409,7 @@ app.action('complete_task', async ({ body, ack, respond, client, logger }) => {
     }
     
     // Update the original message
-    await client.chat.update({
-      channel: body.channel.id,
-      ts: body.message.ts,
-      blocks: taskService.formatCompletionMessage(task, userId),
-      text: `Task "${task.title}" marked as completed`,
-    });
+    await replaceActionMessage({ body, client, respond }, taskService.formatCompletionMessage(task, userId), `Task "${task.title}" marked as completed`);
     
     // Notify the task creator channel
     try {
@@ -259,6 +425,19 @@ app.action('complete_task', async ({ body, ack, respond, client, logger }) => {
       logger.error(`Failed to notify channel about completion: ${error}`);
     }
     
+    // Notify the creator, other assignees and watchers
+    for (const recipient of taskService.getTaskRecipients(task, userId)) {
+      try {
+        await client.chat.postMessage({
+          channel: recipient,
+          blocks: taskService.formatCompletionMessage(task, userId),
+          text: `Task "${task.title}" has been completed by <@${userId}>`
+        });
+      } catch (error) {
+        logger.error(`Failed to notify ${recipient} about completion: ${error}`);
+      }
+    }
+  
   } catch (error) {
     logger.error('Error handling complete_task button:', error);
     await respond({
@@ -269,98 +448,79 @@ app.action('complete_task', async ({ body, ack, respond, client, logger }) => {
   }
 });
 
-// Review approval button
-app.action('approve_review', async ({ body, ack, respond, client, logger }) => {
-  await ack();
-  const reviewId = body.actions[0].value;
-  const userId = body.user.id;
-  
-  try {
-    // Get user's name
-    let userName = "Unknown User";
-    try {
-      const userInfo = await client.users.info({ user: userId });
-      userName = userInfo.user.real_name || userInfo.user.name;
-    } catch (error) {
-      logger.error(`Error fetching user info for ${userId}:`, error);
-      // Continue with unknown user name
-    }
+// Task lifecycle buttons (start, reopen, cancel)
+function handleTaskLifecycleButton(action) {
+  return async ({ body, ack, respond, client, logger }) => {
+    await ack();
+    const taskId = body.actions[0].value;
+    const userId = body.user.id;
     
-    // Pass simple string as comment, not the client object (fixed)
-    const result = await reviewService.approveReview(reviewId, userId, userName, "Approved", null);
+    try {
+      // Get user's name
+      let userName = "Unknown User";
+      try {
+        const userInfo = await client.users.info({ user: userId });
+        userName = userInfo.user.real_name || userInfo.user.name;
+      } catch (error) {
+        logger.error(`Error fetching user info for ${userId}:`, error);
+        // Continue with unknown user name
+      }
+      
+      const result = await taskService.performTaskAction(taskId, action, userId, userName, client);
+      
+      if (!result.success) {
+        await respond({
+          text: result.message,
+          replace_original: false,
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      
+      // Update the original message so the buttons match the new status
+      await replaceActionMessage({ body, client, respond }, taskService.formatDMNotification(result.task), `Task "${result.task.title}" updated`);
+      
+      await taskService.notifyTaskUpdate(client, result.task, action, userId, result.previousTask);
     
-    if (!result.success) {
+    } catch (error) {
+      logger.error(`Error handling ${action}_task button:`, error);
       await respond({
-        text: result.message,
+        text: `Error updating task: ${error.message}`,
         replace_original: false,
         response_type: 'ephemeral'
       });
-      return;
-    }
-    
-    // Update the original message
-    await client.chat.update({
-      channel: body.channel.id,
-      ts: body.message.ts,
-      blocks: reviewService.formatReviewFeedbackMessage(result.review, userId, userName, "approved"),
-      text: `Feedback provided for "${result.review.title}"`
-    });
-    
-    // Send notifications separately
-    try {
-      // Notify the channel
-      await client.chat.postMessage({
-        channel: result.review.channel,
-        blocks: reviewService.formatReviewStatusUpdate(result.review, userId, userName),
-        text: `<@${userId}> approved "${result.review.title}"`
-      });
-      
-      // Notify the creator if different from reviewer
-      if (result.review.creatorId !== userId) {
-        await client.chat.postMessage({
-          channel: result.review.creatorId,
-          blocks: reviewService.formatReviewStatusUpdate(result.review, userId, userName),
-          text: `<@${userId}> approved your content "${result.review.title}"`
-        });
-      }
-    } catch (notificationError) {
-      logger.error(`Error sending notifications: ${notificationError}`);
     }
-    
-  } catch (error) {
-    logger.error('Error handling review approval:', error);
-    await respond({
-      text: `Error approving review: ${error.message}`,
-      replace_original: false,
-      response_type: 'ephemeral'
-    });
-  }
-});
+  };
+}
 
-// Review request changes button
-app.action('request_changes', async ({ body, ack, client, logger }) => {
+app.action('start_task', handleTaskLifecycleButton('start'));
+app.action('reopen_task', handleTaskLifecycleButton('reopen'));
+app.action('cancel_task', handleTaskLifecycleButton('cancel'));
+
+// Task reassign button
+app.action('reassign_task', async ({ body, ack, client, logger }) => {
   await ack();
   
   try {
-    // Open a modal to collect feedback
+    // Open a modal to pick the new assignee
     await client.views.open({
       trigger_id: body.trigger_id,
       view: {
         type: "modal",
-        callback_id: "review_feedback_modal",
+        callback_id: "reassign_task_modal",
         private_metadata: JSON.stringify({
-          reviewId: body.actions[0].value,
+          taskId: body.actions[0].value,
           channelId: body.channel.id,
           messageTs: body.message.ts
         }),
         title: {
           type: "plain_text",
-          text: "Provide Feedback",
+          text: "Reassign Task",
           emoji: true
         },
         submit: {
           type: "plain_text",
-          text: "Submit",
+          text: "Reassign",
           emoji: true
         },
         close: {
@@ -371,19 +531,18 @@ app.action('request_changes', async ({ body, ack, client, logger }) => {
         blocks: [
           {
             type: "input",
-            block_id: "feedback_input",
+            block_id: "assignee_input",
             element: {
-              type: "plain_text_input",
-              action_id: "feedback",
-              multiline: true,
+              type: "users_select",
+              action_id: "assignee",
               placeholder: {
                 type: "plain_text",
-                text: "Please provide your feedback and requested changes..."
+                text: "Select the new assignee"
               }
             },
             label: {
               type: "plain_text",
-              text: "Feedback",
+              text: "New assignee",
               emoji: true
             }
           }
@@ -391,35 +550,38 @@ app.action('request_changes', async ({ body, ack, client, logger }) => {
       }
     });
   } catch (error) {
-    logger.error('Error opening feedback modal:', error);
+    logger.error('Error opening reassign modal:', error);
     await client.chat.postEphemeral({
       channel: body.channel.id,
       user: body.user.id,
-      text: `Error opening feedback form: ${error.message}`
+      text: `Error opening reassign form: ${error.message}`
     });
   }
 });
 
-// Handle feedback modal submission
-app.view('review_feedback_modal', async ({ ack, body, view, client, logger }) => {
+// Handle reassign modal submission
+app.view('reassign_task_modal', async ({ ack, body, view, client, logger }) => {
   await ack();
   
+  const { taskId, channelId, messageTs } = JSON.parse(view.private_metadata);
+  const newAssigneeId = view.state.values.assignee_input.assignee.selected_user;
+  const userId = body.user.id;
+  
   try {
-    const { reviewId, channelId, messageTs } = JSON.parse(view.private_metadata);
-    const feedback = view.state.values.feedback_input.feedback.value;
-    const userId = body.user.id;
-    
-    // Get user's name
+    // Get both user names
     let userName = "Unknown User";
+    let newAssigneeName = "Unknown User";
     try {
       const userInfo = await client.users.info({ user: userId });
       userName = userInfo.user.real_name || userInfo.user.name;
+      const assigneeInfo = await client.users.info({ user: newAssigneeId });
+      newAssigneeName = assigneeInfo.user.real_name || assigneeInfo.user.name;
     } catch (error) {
-      logger.error(`Error fetching user info for ${userId}:`, error);
-      // Continue with unknown user name
+      logger.error('Error fetching user info for reassignment:', error);
+      // Continue with unknown user names
     }
     
-    const result = await reviewService.addFeedback(reviewId, userId, userName, feedback, "requested_changes", client);
+    const result = await taskService.reassignTask(taskId, newAssigneeId, newAssigneeName, userId, userName);
     
     if (!result.success) {
       await client.chat.postEphemeral({
@@ -434,62 +596,712 @@ app.view('review_feedback_modal', async ({ ack, body, view, client, logger }) =>
     await client.chat.update({
       channel: channelId,
       ts: messageTs,
-      blocks: reviewService.formatReviewFeedbackMessage(result.review, userId, userName, "requested_changes"),
-      text: `Feedback provided for "${result.review.title}"`
+      blocks: taskService.formatTaskUpdateMessage(result.task, 'reassign', userId, result.previousTask),
+      text: `Task "${result.task.title}" reassigned to <@${newAssigneeId}>`
     });
     
-    // Notify the review creator and channel
-    try {
-      // Ensure bot is in the channel
-      await reviewService.ensureBotInChannel(result.review.channel, client);
-      
-      await client.chat.postMessage({
-        channel: result.review.channel,
-        blocks: reviewService.formatReviewFeedbackNotification(result.review, userId, userName, feedback),
-        text: `<@${userId}> requested changes for "${result.review.title}"`
+    await taskService.notifyTaskUpdate(client, result.task, 'reassign', userId, result.previousTask);
+  
+  } catch (error) {
+    logger.error('Error processing reassign submission:', error);
+    await client.chat.postEphemeral({
+      channel: channelId,
+      user: userId,
+      text: `Error reassigning task: ${error.message}`
+    });
+  }
+});
+
+// Task edit button
+app.action('edit_task', async ({ body, ack, client, logger }) => {
+  await ack();
+  const { taskId, filters } = JSON.parse(body.actions[0].value);
+  
+  try {
+    const task = await taskService.getTaskById(taskId);
+    
+    if (!task) {
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: body.user.id,
+        text: "Couldn't find that task. It might have been deleted."
       });
-    } catch (error) {
-      logger.error(`Error sending channel notification: ${error}`);
+      return;
     }
     
+    // Remember where the button was so the message can be re-rendered after saving,
+    // and the editor's time zone so the date and time pickers mean their local time
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: taskService.formatTaskEditModal(task, {
+        taskId,
+        filters: filters || null,
+        channelId: body.channel.id,
+        messageTs: body.container.is_ephemeral ? null : body.message.ts,
+        responseUrl: body.response_url || null,
+        timezone: await getUserTimezone(client, body.user.id)
+      })
+    });
   } catch (error) {
-    logger.error('Error processing feedback submission:', error);
+    logger.error('Error opening edit modal:', error);
     await client.chat.postEphemeral({
       channel: body.channel.id,
       user: body.user.id,
-      text: `Error submitting feedback: ${error.message}`
+      text: `Error opening edit form: ${error.message}`
     });
   }
 });
 
-// Handle app_mention events with professional responses
-app.event('app_mention', async ({ event, say, logger }) => {
-  logger.info('Bot was mentioned:', event);
+// Handle task edit modal submission
+app.view('edit_task_modal', async ({ ack, body, view, client, logger }) => {
+  const { taskId, filters, channelId, messageTs, responseUrl, timezone } = JSON.parse(view.private_metadata);
+  const values = view.state.values;
+  const userId = body.user.id;
   
-  const responses = [
-    `Hello <@${event.user}>. I'm the Inagiffy Bot, here to help with task management and content reviews. Try /assign, /tasks, /done, /review, /client-status, or /ai commands.`,
-    `Hi <@${event.user}>. Need help managing your workflow? Use /inagiffyhelp to see all available commands or try /ai for natural language requests.`,
-    `<@${event.user}>, I can help you manage tasks and content reviews. Type /inagiffyhelp to view the command guide or use /ai to ask me something in natural language.`
-  ];
+  const date = values.deadline_date_input.deadline_date.selected_date;
+  const time = values.deadline_time_input.deadline_time.selected_time;
+  const changes = {
+    deadline: zonedTimeToUtc(date, time, timezone || getDefaultTimezone()),
+    priority: values.priority_input.priority.selected_option.value,
+    team: values.team_input.team.selected_option.value,
+    description: values.description_input.description.value || ''
+  };
   
-  const randomResponse = responses[Math.floor(Math.random() * responses.length)];
+  // Show validation problems inline in the modal
+  const errors = taskService.validateTaskChanges(changes);
+  if (Object.keys(errors).length > 0) {
+    const blockIds = {
+      deadline: 'deadline_date_input',
+      priority: 'priority_input',
+      team: 'team_input'
+    };
+    await ack({
+      response_action: 'errors',
+      errors: Object.fromEntries(Object.entries(errors).map(([field, message]) => [blockIds[field], message]))
+    });
+    return;
+  }
   
-  await say({
-    text: randomResponse,
-    thread_ts: event.ts
-  });
-});
-
-// Handle direct messages
-app.event('message', async ({ message, say, client, logger }) => {
-  // Only respond to direct messages that are not from bots and are not message_changed events
-  if (message.channel_type === 'im' && !message.bot_id && !message.subtype) {
-    logger.info('Received DM:', message);
+  await ack();
+  
+  try {
+    // Get user's name
+    let userName = "Unknown User";
+    try {
+      const userInfo = await client.users.info({ user: userId });
+      userName = userInfo.user.real_name || userInfo.user.name;
+    } catch (error) {
+      logger.error(`Error fetching user info for ${userId}:`, error);
+      // Continue with unknown user name
+    }
     
-    // Process commands in DMs by prefixing with the slash command name
-    const text = message.text ? message.text.trim() : '';
+    const result = await taskService.updateTask(taskId, changes, userId, userName);
     
-    if (text.startsWith('assign ')) {
+    if (!result.success) {
+      await client.chat.postEphemeral({
+        channel: channelId,
+        user: userId,
+        text: result.message
+      });
+      return;
+    }
+    
+    if (result.changes.length === 0) {
+      return;
+    }
+    
+    // Re-render the message the edit started from
+    if (filters && responseUrl) {
+      const tasks = await taskService.getTasksList(filters);
+      await fetch(responseUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          replace_original: true,
+          blocks: taskService.formatTaskList(tasks, filters),
+          text: `Found ${tasks.length} tasks`
+        })
+      });
+    } else if (messageTs) {
+      await client.chat.update({
+        channel: channelId,
+        ts: messageTs,
+        blocks: taskService.formatDMNotification(result.task),
+        text: `Task "${result.task.title}" updated`
+      });
+    }
+    
+    // Tell the assignees and watchers what changed
+    const recipients = [...taskService.getAssigneeIds(result.task), ...result.task.watcherIds].filter(id => id !== userId);
+    for (const recipient of new Set(recipients)) {
+      try {
+        await client.chat.postMessage({
+          channel: recipient,
+          blocks: taskService.formatTaskChangesMessage(result.task, result.changes, userId),
+          text: `<@${userId}> updated the task "${result.task.title}"`
+        });
+      } catch (error) {
+        logger.error(`Error notifying ${recipient} about edit:`, error);
+      }
+    }
+  
+  } catch (error) {
+    logger.error('Error processing task edit submission:', error);
+    await client.chat.postEphemeral({
+      channel: channelId,
+      user: userId,
+      text: `Error saving task: ${error.message}`
+    });
+  }
+});
+
+// Review approval button
+app.action('approve_review', async ({ body, ack, respond, client, logger }) => {
+  await ack();
+  const reviewId = body.actions[0].value;
+  const userId = body.user.id;
+  
+  try {
+    // Get user's name
+    let userName = "Unknown User";
+    try {
+      const userInfo = await client.users.info({ user: userId });
+      userName = userInfo.user.real_name || userInfo.user.name;
+    } catch (error) {
+      logger.error(`Error fetching user info for ${userId}:`, error);
+      // Continue with unknown user name
+    }
+    
+    // Pass the Slack client so the next review stage is notified
+    const result = await reviewService.approveReview(reviewId, userId, userName, "Approved", client);
+    
+    if (!result.success) {
+      await respond({
+        text: result.message,
+        replace_original: false,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    // Update the original message
+    await replaceActionMessage({ body, client, respond }, reviewService.formatReviewFeedbackMessage(result.review, userId, userName, "approved"), `Feedback provided for "${result.review.title}"`);
+    
+    // Send notifications separately
+    try {
+      // Notify the review's thread
+      await reviewService.postToReviewThread(result.review, client, {
+        blocks: reviewService.formatReviewStatusUpdate(result.review, userId, userName),
+        text: `<@${userId}> approved "${result.review.title}"`
+      });
+      
+      // Notify the creator if different from reviewer
+      if (result.review.creatorId !== userId) {
+        await client.chat.postMessage({
+          channel: result.review.creatorId,
+          blocks: reviewService.formatReviewStatusUpdate(result.review, userId, userName),
+          text: `<@${userId}> approved your content "${result.review.title}"`
+        });
+      }
+    } catch (notificationError) {
+      logger.error(`Error sending notifications: ${notificationError}`);
+    }
+    
+  } catch (error) {
+    logger.error('Error handling review approval:', error);
+    await respond({
+      text: `Error approving review: ${error.message}`,
+      replace_original: false,
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+// Review request changes button
+app.action('request_changes', async ({ body, ack, client, logger }) => {
+  await ack();
+  
+  try {
+    // Open a modal to collect feedback
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: {
+        type: "modal",
+        callback_id: "review_feedback_modal",
+        private_metadata: JSON.stringify({
+          reviewId: body.actions[0].value,
+          channelId: body.channel.id,
+          messageTs: body.message.ts
+        }),
+        title: {
+          type: "plain_text",
+          text: "Provide Feedback",
+          emoji: true
+        },
+        submit: {
+          type: "plain_text",
+          text: "Submit",
+          emoji: true
+        },
+        close: {
+          type: "plain_text",
+          text: "Cancel",
+          emoji: true
+        },
+        blocks: [
+          {
+            type: "input",
+            block_id: "feedback_input",
+            element: {
+              type: "plain_text_input",
+              action_id: "feedback",
+              multiline: true,
+              placeholder: {
+                type: "plain_text",
+                text: "Please provide your feedback and requested changes..."
+              }
+            },
+            label: {
+              type: "plain_text",
+              text: "Feedback",
+              emoji: true
+            }
+          }
+        ]
+      }
+    });
+  } catch (error) {
+    logger.error('Error opening feedback modal:', error);
+    await client.chat.postEphemeral({
+      channel: body.channel.id,
+      user: body.user.id,
+      text: `Error opening feedback form: ${error.message}`
+    });
+  }
+});
+
+// Handle feedback modal submission
+app.view('review_feedback_modal', async ({ ack, body, view, client, logger }) => {
+  await ack();
+  
+  try {
+    const { reviewId, channelId, messageTs } = JSON.parse(view.private_metadata);
+    const feedback = view.state.values.feedback_input.feedback.value;
+    const userId = body.user.id;
+    
+    // Get user's name
+    let userName = "Unknown User";
+    try {
+      const userInfo = await client.users.info({ user: userId });
+      userName = userInfo.user.real_name || userInfo.user.name;
+    } catch (error) {
+      logger.error(`Error fetching user info for ${userId}:`, error);
+      // Continue with unknown user name
+    }
+    
+    const result = await reviewService.addFeedback(reviewId, userId, userName, feedback, "requested_changes", client);
+    
+    if (!result.success) {
+      await client.chat.postEphemeral({
+        channel: channelId,
+        user: userId,
+        text: result.message
+      });
+      return;
+    }
+    
+    // Update the original message
+    await client.chat.update({
+      channel: channelId,
+      ts: messageTs,
+      blocks: reviewService.formatReviewFeedbackMessage(result.review, userId, userName, "requested_changes"),
+      text: `Feedback provided for "${result.review.title}"`
+    });
+    
+    // Notify the review creator in the review's thread
+    try {
+      await reviewService.postToReviewThread(result.review, client, {
+        blocks: reviewService.formatReviewFeedbackNotification(result.review, userId, userName, feedback),
+        text: `<@${userId}> requested changes for "${result.review.title}"`
+      });
+    } catch (error) {
+      logger.error(`Error sending channel notification: ${error}`);
+    }
+    
+  } catch (error) {
+    logger.error('Error processing feedback submission:', error);
+    await client.chat.postEphemeral({
+      channel: body.channel.id,
+      user: body.user.id,
+      text: `Error submitting feedback: ${error.message}`
+    });
+  }
+});
+
+// Submit revision button on a change request
+app.action('submit_revision', async ({ body, ack, client, logger }) => {
+  await ack();
+  
+  try {
+    const review = await reviewService.getReviewById(body.actions[0].value);
+    
+    if (!review) {
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: body.user.id,
+        text: "Review not found"
+      });
+      return;
+    }
+    
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: {
+        type: "modal",
+        callback_id: "review_revision_modal",
+        private_metadata: JSON.stringify({
+          reviewId: review.reviewId,
+          channelId: body.channel.id
+        }),
+        title: {
+          type: "plain_text",
+          text: "Submit Revision",
+          emoji: false
+        },
+        submit: {
+          type: "plain_text",
+          text: "Submit",
+          emoji: false
+        },
+        close: {
+          type: "plain_text",
+          text: "Cancel",
+          emoji: false
+        },
+        blocks: [
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: `\`${review.reviewId}\` *${review.title}* - revision ${(review.revision || 1) + 1}`
+            }
+          },
+          {
+            type: "input",
+            block_id: "url_input",
+            optional: true,
+            element: {
+              type: "plain_text_input",
+              action_id: "url",
+              ...(review.url ? { initial_value: review.url } : {})
+            },
+            label: {
+              type: "plain_text",
+              text: "Link to the new version",
+              emoji: false
+            }
+          },
+          {
+            type: "input",
+            block_id: "note_input",
+            optional: true,
+            element: {
+              type: "plain_text_input",
+              action_id: "note",
+              multiline: true,
+              placeholder: {
+                type: "plain_text",
+                text: "What changed since the last version..."
+              }
+            },
+            label: {
+              type: "plain_text",
+              text: "Note for reviewers",
+              emoji: false
+            }
+          }
+        ]
+      }
+    });
+  } catch (error) {
+    logger.error('Error opening revision modal:', error);
+    await client.chat.postEphemeral({
+      channel: body.channel.id,
+      user: body.user.id,
+      text: `Error opening revision form: ${error.message}`
+    });
+  }
+});
+
+// Handle revision modal submission
+app.view('review_revision_modal', async ({ ack, body, view, client, logger }) => {
+  await ack();
+  
+  const { reviewId, channelId } = JSON.parse(view.private_metadata);
+  const userId = body.user.id;
+  
+  try {
+    const url = view.state.values.url_input.url.value;
+    const note = view.state.values.note_input.note.value;
+    
+    let userName = "Unknown User";
+    try {
+      const userInfo = await client.users.info({ user: userId });
+      userName = userInfo.user.real_name || userInfo.user.name;
+    } catch (error) {
+      logger.error(`Error fetching user info for ${userId}:`, error);
+      // Continue with unknown user name
+    }
+    
+    // The service posts the revision to the channel and asks the reviewers again
+    const result = await reviewService.submitRevision(reviewId, userId, userName, { url: url || null, note: note || null }, client);
+    
+    if (!result.success) {
+      await client.chat.postEphemeral({
+        channel: channelId,
+        user: userId,
+        text: result.message
+      });
+    }
+  
+  } catch (error) {
+    logger.error('Error processing revision submission:', error);
+    await client.chat.postEphemeral({
+      channel: channelId,
+      user: userId,
+      text: `Error submitting revision: ${error.message}`
+    });
+  }
+});
+
+// "Delegate to…" button on review notifications: pick who takes over your review
+app.action('delegate_review', async ({ body, ack, client, logger }) => {
+  await ack();
+  
+  try {
+    const review = await reviewService.getReviewById(body.actions[0].value);
+    
+    if (!review) {
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: body.user.id,
+        text: "Review not found"
+      });
+      return;
+    }
+    
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: {
+        type: "modal",
+        callback_id: "review_delegate_modal",
+        private_metadata: JSON.stringify({
+          reviewId: review.reviewId,
+          channelId: body.channel.id
+        }),
+        title: {
+          type: "plain_text",
+          text: "Delegate Review",
+          emoji: false
+        },
+        submit: {
+          type: "plain_text",
+          text: "Delegate",
+          emoji: false
+        },
+        close: {
+          type: "plain_text",
+          text: "Cancel",
+          emoji: false
+        },
+        blocks: [
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: `\`${review.reviewId}\` *${review.title}* for ${review.client}`
+            }
+          },
+          {
+            type: "input",
+            block_id: "delegate_input",
+            element: {
+              type: "users_select",
+              action_id: "delegate",
+              placeholder: {
+                type: "plain_text",
+                text: "Who should review it instead?"
+              }
+            },
+            label: {
+              type: "plain_text",
+              text: "Delegate to",
+              emoji: false
+            }
+          },
+          {
+            type: "input",
+            block_id: "note_input",
+            optional: true,
+            element: {
+              type: "plain_text_input",
+              action_id: "note",
+              placeholder: {
+                type: "plain_text",
+                text: "e.g. On vacation until the 28th"
+              }
+            },
+            label: {
+              type: "plain_text",
+              text: "Reason",
+              emoji: false
+            }
+          }
+        ]
+      }
+    });
+  } catch (error) {
+    logger.error('Error opening delegate modal:', error);
+    await client.chat.postEphemeral({
+      channel: body.channel.id,
+      user: body.user.id,
+      text: `Error opening delegate form: ${error.message}`
+    });
+  }
+});
+
+// Handle delegate modal submission
+app.view('review_delegate_modal', async ({ ack, body, view, client, logger }) => {
+  await ack();
+  
+  const { reviewId, channelId } = JSON.parse(view.private_metadata);
+  const userId = body.user.id;
+  
+  try {
+    const delegateId = view.state.values.delegate_input.delegate.selected_user;
+    const note = view.state.values.note_input.note.value;
+    
+    const names = {};
+    for (const id of [userId, delegateId]) {
+      names[id] = "Unknown User";
+      try {
+        const userInfo = await client.users.info({ user: id });
+        names[id] = userInfo.user.real_name || userInfo.user.name;
+      } catch (error) {
+        logger.error(`Error fetching user info for ${id}:`, error);
+        // Continue with unknown user name
+      }
+    }
+    
+    // The service hands over the review, tells the thread and asks the delegate to review
+    const result = await reviewService.changeReviewer(
+      reviewId,
+      "delegated",
+      { id: delegateId, name: names[delegateId] },
+      { id: userId, name: names[userId] },
+      note || null,
+      client
+    );
+    
+    await client.chat.postEphemeral({
+      channel: channelId,
+      user: userId,
+      text: result.success ? `Delegated your review of "${result.review.title}" to <@${delegateId}>.` : result.message
+    });
+  
+  } catch (error) {
+    logger.error('Error processing delegation:', error);
+    await client.chat.postEphemeral({
+      channel: channelId,
+      user: userId,
+      text: `Error delegating review: ${error.message}`
+    });
+  }
+});
+
+// "Move to" menu on /client-status items
+app.action('move_content', async ({ body, ack, respond, client, logger }) => {
+  await ack();
+  const [reviewId, status] = body.actions[0].selected_option.value.split('|');
+  const userId = body.user.id;
+  
+  try {
+    let userName = "Unknown User";
+    try {
+      const userInfo = await client.users.info({ user: userId });
+      userName = userInfo.user.real_name || userInfo.user.name;
+    } catch (error) {
+      logger.error(`Error fetching user info for ${userId}:`, error);
+      // Continue with unknown user name
+    }
+    
+    const result = await reviewService.updateReviewStatusManually(reviewId, status, userId, userName, client);
+    
+    await respond({
+      text: result.success
+        ? `Moved \`${result.review.reviewId}\` *${result.review.title}* to ${reviewService.formatStatus(result.review.status)}.`
+        : result.message,
+      replace_original: false,
+      response_type: 'ephemeral'
+    });
+  } catch (error) {
+    logger.error('Error moving content:', error);
+    await respond({
+      text: `Error moving content: ${error.message}`,
+      replace_original: false,
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+// Handle app_mention events with professional responses
+app.event('app_mention', async ({ event, say, logger }) => {
+  logger.info('Bot was mentioned:', event);
+  
+  const responses = [
+    `Hello <@${event.user}>. I'm the Inagiffy Bot, here to help with task management and content reviews. Try /assign, /tasks, /done, /review, /client-status, or /ai commands.`,
+    `Hi <@${event.user}>. Need help managing your workflow? Use /inagiffyhelp to see all available commands or try /ai for natural language requests.`,
+    `<@${event.user}>, I can help you manage tasks and content reviews. Type /inagiffyhelp to view the command guide or use /ai to ask me something in natural language.`
+  ];
+  
+  const randomResponse = responses[Math.floor(Math.random() * responses.length)];
+  
+  await say({
+    text: randomResponse,
+    thread_ts: event.ts
+  });
+});
+
+// Handle direct messages
+app.event('message', async ({ message, say, client, logger }) => {
+  // Human replies in a review request's thread are kept on the review as comments
+  if (message.thread_ts && message.thread_ts !== message.ts && message.channel_type !== 'im' &&
+      !message.bot_id && (!message.subtype || message.subtype === 'thread_broadcast')) {
+    const review = await reviewService.getReviewByThread(message.channel, message.thread_ts);
+    if (review && message.text) {
+      let userName = "Unknown User";
+      try {
+        const userInfo = await client.users.info({ user: message.user });
+        userName = userInfo.user.real_name || userInfo.user.name;
+      } catch (error) {
+        logger.error(`Error fetching user info for ${message.user}:`, error);
+        // Continue with unknown user name
+      }
+      
+      await reviewService.addComment(review, message.user, userName, message.text);
+      logger.info(`Saved thread reply from ${message.user} as a comment on review ${review.reviewId}`);
+    }
+    return;
+  }
+  
+  // Only respond to direct messages that are not from bots and are not message_changed events
+  if (message.channel_type === 'im' && !message.bot_id && !message.subtype) {
+    logger.info('Received DM:', message);
+    
+    // Process commands in DMs by prefixing with the slash command name
+    const text = message.text ? message.text.trim() : '';
+    
+    if (text.startsWith('assign ')) {
       await handleAssignCommand({ 
         command: { 
           text: text.substring('assign '.length),
@@ -525,6 +1337,102 @@ app.event('message', async ({ message, say, client, logger }) => {
         logger,
         isDM: true 
       });
+    } else if (text.startsWith('task ') || text === 'task') {
+      await handleTaskCommand({ 
+        command: { 
+          text: text === 'task' ? '' : text.substring('task '.length),
+          user_id: message.user,
+          channel_id: message.channel 
+        }, 
+        respond: say, 
+        client, 
+        logger,
+        isDM: true 
+      });
+    } else if (text.startsWith('recurring ') || text === 'recurring') {
+      await handleRecurringCommand({ 
+        command: { 
+          text: text === 'recurring' ? '' : text.substring('recurring '.length),
+          user_id: message.user,
+          channel_id: message.channel 
+        }, 
+        respond: say, 
+        client, 
+        logger,
+        isDM: true 
+      });
+    } else if (text.startsWith('team ') || text === 'team') {
+      await handleTeamCommand({ 
+        command: { 
+          text: text === 'team' ? '' : text.substring('team '.length),
+          user_id: message.user,
+          channel_id: message.channel 
+        }, 
+        respond: say, 
+        client, 
+        logger,
+        isDM: true 
+      });
+    } else if (text.startsWith('client ') || text === 'client') {
+      await handleClientCommand({ 
+        command: { 
+          text: text === 'client' ? '' : text.substring('client '.length),
+          user_id: message.user,
+          channel_id: message.channel 
+        }, 
+        respond: say, 
+        client, 
+        logger,
+        isDM: true 
+      });
+    } else if (text.startsWith('project ') || text === 'project') {
+      await handleProjectCommand({ 
+        command: { 
+          text: text === 'project' ? '' : text.substring('project '.length),
+          user_id: message.user,
+          channel_id: message.channel 
+        }, 
+        respond: say, 
+        client, 
+        logger,
+        isDM: true 
+      });
+    } else if (text.startsWith('content ') || text === 'content') {
+      await handleContentCommand({ 
+        command: { 
+          text: text === 'content' ? '' : text.substring('content '.length),
+          user_id: message.user,
+          channel_id: message.channel 
+        }, 
+        respond: say, 
+        client, 
+        logger,
+        isDM: true 
+      });
+    } else if (text.startsWith('publish ') || text === 'publish') {
+      await handlePublishCommand({ 
+        command: { 
+          text: text === 'publish' ? '' : text.substring('publish '.length),
+          user_id: message.user,
+          channel_id: message.channel 
+        }, 
+        respond: say, 
+        client, 
+        logger,
+        isDM: true 
+      });
+    } else if (text.startsWith('calendar ') || text === 'calendar') {
+      await handleCalendarCommand({ 
+        command: { 
+          text: text === 'calendar' ? '' : text.substring('calendar '.length),
+          user_id: message.user,
+          channel_id: message.channel 
+        }, 
+        respond: say, 
+        client, 
+        logger,
+        isDM: true 
+      });
     } else if (text.startsWith('review ')) {
       await handleReviewCommand({ 
         command: { 
@@ -611,7 +1519,7 @@ app.event('message', async ({ message, say, client, logger }) => {
             type: "section",
             text: {
               type: "mrkdwn",
-              text: "• `assign @username [task description] [options]` - Create a new task\n• `tasks [@username or team=teamname]` - View tasks\n• `done [task description]` - Mark a task as complete\n• `review [title] [options]` - Request a review\n• `approve [title]` - Approve a review\n• `status [#channel]` - Check content status\n• `dailyreport [team=teamname]` - Get daily activity report\n• `ai [your question or request]` - Use AI to help with tasks and questions\n• `help` - Show this guide"
+              text: "• `assign @username [task description] [options]` - Create a new task\n• `tasks [@username or team=teamname]` - View tasks\n• `done [task description]` - Mark a task as complete\n• `task start|reassign|reopen|cancel [task]` - Move a task through its lifecycle\n• `recurring list|pause|resume|delete` - Manage recurring tasks\n• `team list|add|edit|remove` - Manage teams\n• `client list|register|link|alias|pipeline|policy` - Manage clients\n• `project list|create|status|complete` - Track client projects\n• `review [title] [options]` - Request a review\n• `review revise|history [review ID]` - Submit a new version or see past ones\n• `review add-reviewer|remove-reviewer|delegate [review ID] @user` - Change who reviews it\n• `content move [review ID] [status]` - Move content to another workflow status\n• `publish [review ID] [-at=when]` or `publish calendar [client]` - Publish or schedule approved content\n• `calendar [client] [-weeks=4]` - Review deadlines, task deadlines and publish dates week by week\n• `approve [title]` - Approve a review\n• `status [#channel]` - Check content status\n• `dailyreport [team=teamname]` - Get daily activity report\n• `ai [your question or request]` - Use AI to help with tasks and questions\n• `help` - Show this guide"
             }
           },
           {
@@ -619,7 +1527,7 @@ app.event('message', async ({ message, say, client, logger }) => {
             elements: [
               {
                 type: "mrkdwn",
-                text: "You can also use slash commands in channels: /assign, /tasks, /done, /review, /approve, /client-status, /dailyreport, /ai"
+                text: "You can also use slash commands in channels: /assign, /tasks, /done, /task, /recurring, /team, /client, /project, /review, /content, /publish, /calendar, /approve, /client-status, /dailyreport, /ai"
               }
             ]
           }
@@ -630,10 +1538,22 @@ app.event('message', async ({ message, say, client, logger }) => {
   }
 });
 
-// Schedule task reminder job to run every hour
-cron.schedule('0 * * * *', async () => {
+// Schedule task reminder job to run every 15 minutes so "1h before" reminders go out on time
+cron.schedule('*/15 * * * *', async () => {
   console.log('Running task reminder check');
-  await taskService.sendTaskReminders(app.client);
+  await reminderService.sendTaskReminders(app.client);
+});
+
+// Remind reviewers ahead of and past review deadlines, and nudge creators about stuck reviews
+cron.schedule('*/15 * * * *', async () => {
+  console.log('Running review reminder check');
+  await reminderService.sendReviewReminders(app.client);
+});
+
+// Publish approved content whose publish date has come
+cron.schedule('*/5 * * * *', async () => {
+  console.log('Running scheduled publishing check');
+  await publishService.publishDueReviews(app.client);
 });
 
 // Schedule end of day report job
@@ -650,10 +1570,16 @@ app.error((error) => {
 // Start the Bolt app and Express separately
 (async () => {
   try {
+    // Load teams before anything formats a task
+    await teamService.loadTeams();
+    
     // Start the Bolt app for Slack interactions
     await app.start();
     console.log('Slack bot is running in Socket Mode');
     
+    // Schedule recurring tasks alongside the cron jobs above
+    await recurringService.startScheduler(app.client);
+    
     // Start Express server separately for health endpoints
     const server = expressApp.listen(process.env.PORT || 3000, () => {
       console.log(`Express server listening on port ${process.env.PORT || 3000}`);
@@ -663,7 +1589,8 @@ app.error((error) => {
     });
     
     console.log(`Bot running in ${process.env.NODE_ENV || 'development'} environment`);
-    console.log('Required scopes: app_mentions:read, chat:write, chat:write.public, commands, im:write, users:read, im:history, channels:join, channels:read, groups:read, mpim:read, im:read, reactions:write');
+    console.log('Required scopes: app_mentions:read, chat:write, chat:write.public, commands, im:write, users:read, im:history, channels:history, groups:history, channels:join, channels:read, groups:read, mpim:read, im:read, reactions:write');
+    console.log('Required events: message.im, message.channels, message.groups (review thread replies)');
   } catch (error) {
     console.error('Failed to start app:', error);
     process.exit(1);
@@ -1,7 +1,18 @@
 // commands/ai.js
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const taskService = require('../services/taskService');
+const teamService = require('../services/teamService');
 const reviewService = require('../services/reviewService');
+const clientService = require('../services/clientService');
+const { validateArgs, formatValidationErrors } = require('../utils/validation');
+
+// Values the model may pick for a new task
+const AI_TASK_SCHEMA = {
+  fields: {
+    team: { values: teamService.getTeamNames },
+    priority: { values: taskService.TASK_PRIORITIES }
+  }
+};
 
 // Initialize the Generative AI API
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
@@ -107,12 +118,12 @@ Here's the current state of the system:
 
 Recent Tasks (${recentTasks.length}):
 ${recentTasks.slice(0, 10).map(t => 
-  `- "${t.title}" assigned to ${t.assigneeName || t.assignee}, client: ${t.client || 'none'}, status: ${t.status}, team: ${t.team}`
+  `- ${t.taskId} "${t.title}" assigned to ${t.assigneeName || t.assignee}, client: ${t.client || 'none'}, status: ${t.status}, team: ${t.team}`
 ).join('\n')}
 
 Recent Reviews (${recentReviews.length}):
 ${recentReviews.slice(0, 10).map(r => 
-  `- "${r.title}" for client: ${r.client}, status: ${r.status}, created by: ${r.creatorName || r.creatorId}`
+  `- ${r.reviewId} "${r.title}" for client: ${r.client}, status: ${r.status}, created by: ${r.creatorName || r.creatorId}`
 ).join('\n')}
 `;
   } catch (error) {
@@ -149,6 +160,11 @@ async function handleAiCommand({ command, respond, client, logger, isDM = false
     const analysis = await analyzeQuery(query);
     logger.debug('Query analysis:', analysis);
     
+    // The model may name a client by any of its aliases
+    if (analysis.client) {
+      analysis.client = await clientService.resolveClientName(analysis.client);
+    }
+    
     // Get all users for name matching
     const usersList = await client.users.list();
     const users = usersList.members;
@@ -269,6 +285,15 @@ async function handleTaskAssignment(analysis, creatorId, channelId, respond, cli
       return;
     }
     
+    const validation = await validateArgs(analysis, AI_TASK_SCHEMA);
+    if (validation.errors.length > 0) {
+      await respond({
+        text: formatValidationErrors(validation.errors),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
     // Get creator information
     const creatorInfo = await client.users.info({ user: creatorId });
     const creatorName = creatorInfo.user.real_name || creatorInfo.user.name;
@@ -296,8 +321,8 @@ async function handleTaskAssignment(analysis, creatorId, channelId, respond, cli
     }
     
     // Determine team and priority
-    const team = analysis.team || "content";
-    const priority = analysis.priority || "medium";
+    const team = validation.values.team || await teamService.determineTeam(analysis.task_title);
+    const priority = validation.values.priority || "medium";
     
     // Create the task
     const task = await taskService.createTask(
@@ -313,7 +338,10 @@ async function handleTaskAssignment(analysis, creatorId, channelId, respond, cli
       channelName,
       analysis.client,
       priority === "urgent",
-      null // deadline
+      null, // deadline
+      {
+        timezone: assigneeInfo.user.tz
+      }
     );
     
     // Generate response for user
@@ -415,7 +443,8 @@ async function handleReviewRequest(analysis, creatorId, channelId, respond, clie
       analysis.client,
       null, // URL
       null, // Deadline
-      "in_review" // Initial status
+      "in_review", // Initial status
+      creatorInfo.user.tz
     );
     
     // Generate response for user
@@ -496,7 +525,7 @@ async function handleStatusCheck(analysis, respond, client, logger) {
           type: "section",
           text: {
             type: "mrkdwn",
-            text: `*Pending Tasks:*\n${pendingTasks.map(t => `• ${t.title} - Assigned to <@${t.assignee || t.assigneeId}> (${t.assigneeName || 'Unknown'})`).join('\n')}`
+            text: `*Pending Tasks:*\n${pendingTasks.map(t => `• \`${t.taskId}\` ${t.title} - Assigned to <@${t.assignee || t.assigneeId}> (${t.assigneeName || 'Unknown'})`).join('\n')}`
           }
         });
       }
@@ -506,7 +535,7 @@ async function handleStatusCheck(analysis, respond, client, logger) {
           type: "section",
           text: {
             type: "mrkdwn",
-            text: `*Completed Tasks:*\n${completedTasks.slice(0, 5).map(t => `• ${t.title}`).join('\n')}${completedTasks.length > 5 ? `\n_and ${completedTasks.length - 5} more..._` : ''}`
+            text: `*Completed Tasks:*\n${completedTasks.slice(0, 5).map(t => `• \`${t.taskId}\` ${t.title}`).join('\n')}${completedTasks.length > 5 ? `\n_and ${completedTasks.length - 5} more..._` : ''}`
           }
         });
       }
@@ -548,7 +577,7 @@ async function handleStatusCheck(analysis, respond, client, logger) {
           type: "section",
           text: {
             type: "mrkdwn",
-            text: `*${reviewService.formatStatus(status)}:*\n${statusReviews.map(r => `• ${r.title}`).join('\n')}`
+            text: `*${reviewService.formatStatus(status)}:*\n${statusReviews.map(r => `• \`${r.reviewId}\` ${r.title}`).join('\n')}`
           }
         });
       }
@@ -1,5 +1,7 @@
 // commands/approve.js
 const reviewService = require('../services/reviewService');
+const idService = require('../services/idService');
+const clientService = require('../services/clientService');
 
 async function handleApproveCommand({ command, respond, client, logger, isDM = false }) {
   logger.info('Processing /approve command:', command);
@@ -30,36 +32,11 @@ async function handleApproveCommand({ command, respond, client, logger, isDM = f
     let reviewTitle = text;
     let comment = "Approved";
     
-    // Check if first word starts with # for client channel
+    // Check if first word is a client channel mention
     const parts = text.split(' ');
-    if (parts[0].startsWith('#')) {
-      const channelMention = parts[0];
-      
-      // Extract client name from channel
-      try {
-        if (channelMention.startsWith('#C')) {
-          // It's a channel ID
-          const channelId = channelMention.substring(1);
-          const info = await client.conversations.info({ channel: channelId });
-          clientName = info.channel.name;
-          
-          // Check for "client-" prefix
-          if (clientName.startsWith('client-')) {
-            clientName = clientName.substring(7);
-          }
-        } else {
-          // It's a channel name
-          clientName = channelMention.substring(1);
-          
-          // Check for "client-" prefix
-          if (clientName.startsWith('client-')) {
-            clientName = clientName.substring(7);
-          }
-        }
-      } catch (error) {
-        logger.error('Error getting channel info:', error);
-        clientName = channelMention.substring(1);
-      }
+    if (parts[0].startsWith('#') || parts[0].startsWith('<#')) {
+      const result = await clientService.resolveClientForMention(client, parts[0]);
+      clientName = result.client;
       
       // Remove client part from title
       reviewTitle = parts.slice(1).join(' ');
@@ -80,26 +57,49 @@ async function handleApproveCommand({ command, respond, client, logger, isDM = f
       filters.client = clientName;
     }
     
-    const reviews = await reviewService.getReviews(filters);
     let review = null;
     
-    // Try to find by title match first
-    for (const r of reviews) {
-      // Case-insensitive partial match on title
-      if (r.title.toLowerCase().includes(reviewTitle.toLowerCase())) {
-        review = r;
-        break;
-      }
+    // An exact review ID (e.g. R-37) wins over title matching
+    if (idService.isId(reviewTitle)) {
+      review = await reviewService.getReviewById(idService.normalizeId(reviewTitle));
     }
     
-    // If not found and it might be an ID, try that
-    if (!review && reviewTitle.includes('review_')) {
-      review = await reviewService.getReviewById(reviewTitle);
+    if (!review) {
+      // Only reviews still awaiting sign-off are candidates
+      let matches = await reviewService.findReviewsByTitle(reviewTitle, filters);
+      
+      // Reviews the user was asked to review are the likely intent
+      const ownMatches = matches.filter(r => r.reviewerIds.includes(command.user_id));
+      if (ownMatches.length > 0) {
+        matches = ownMatches;
+      }
+      
+      if (matches.length > 1) {
+        await respond({
+          blocks: reviewService.formatReviewPicker(matches, reviewTitle),
+          text: `${matches.length} reviews match "${reviewTitle}". Pick the one to approve.`,
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      
+      if (matches.length === 0) {
+        const allMatches = await reviewService.findReviewsByTitle(reviewTitle, filters, true);
+        await respond({
+          text: allMatches.length > 0
+            ? `No review awaiting approval matches "${reviewTitle}". \`${allMatches[0].reviewId}\` "${allMatches[0].title}" is already ${reviewService.formatStatus(allMatches[0].status)}.`
+            : `No review found matching "${reviewTitle}"${clientName ? ` for client ${clientName}` : ''}.`,
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      
+      review = matches[0];
     }
     
-    if (!review) {
+    if (reviewService.CLOSED_REVIEW_STATUSES.includes(review.status)) {
       await respond({
-        text: `No review found matching "${reviewTitle}"${clientName ? ` for client ${clientName}` : ''}.`,
+        text: `\`${review.reviewId}\` "${review.title}" is already ${reviewService.formatStatus(review.status)}.`,
         response_type: 'ephemeral'
       });
       return;
@@ -132,10 +132,9 @@ async function handleApproveCommand({ command, respond, client, logger, isDM = f
       response_type: 'ephemeral'
     });
     
-    // Notify the client channel
+    // Notify the review's thread in the client channel
     try {
-      await client.chat.postMessage({
-        channel: review.channel,
+      await reviewService.postToReviewThread(result.review, client, {
         blocks: reviewService.formatReviewStatusUpdate(result.review, command.user_id, userName),
         text: `<@${command.user_id}> approved "${review.title}"`
       });
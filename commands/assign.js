@@ -1,6 +1,29 @@
 // commands/assign.js
 const taskService = require('../services/taskService');
+const teamService = require('../services/teamService');
+const clientService = require('../services/clientService');
+const projectService = require('../services/projectService');
+const idService = require('../services/idService');
+const recurringService = require('../services/recurringService');
 const { parseAssignArgs, extractUserId } = require('../utils/parsers');
+const { getUserTimezone } = require('../utils/dates');
+const { formatDeadlineEcho } = require('../utils/formatters');
+const { validateArgs, formatValidationErrors } = require('../utils/validation');
+
+// Options /assign accepts and the values they allow
+const ASSIGN_SCHEMA = {
+  flags: ['-watch', '-urgent', '-team', '-priority', '-deadline', '-client', '-project', '-parent', '-autocomplete', '-after', '-every'],
+  fields: {
+    team: { values: teamService.getTeamNames },
+    priority: { values: taskService.TASK_PRIORITIES },
+    deadline: { type: 'deadline' },
+    every: {
+      validate: value => recurringService.isValidSchedule(value)
+        ? null
+        : `"${value}" is not a valid schedule. Use -every=weekly, -every=monthly or a quoted cron expression like -every="0 9 * * 1".`
+    }
+  }
+};
 
 async function handleAssignCommand({ command, respond, client, logger, isDM = false }) {
   logger.info('Processing /assign command:', command);
@@ -13,7 +36,7 @@ async function handleAssignCommand({ command, respond, client, logger, isDM = fa
     if (!args.userId) {
       logger.info('Invalid format: missing user mention');
       await respond({
-        text: 'Usage: /assign @username [task description] [-team=teamname] [-priority=level] [-deadline=YYYY-MM-DD] [-client=clientname]',
+        text: 'Usage: /assign @username [@username2 ...] [task description] [-watch=@username] [-team=teamname] [-priority=level] [-deadline=when] [-client=clientname] [-project=name] [-parent=T-12] [-autocomplete] [-after=T-12,T-13] [-every=weekly|monthly|"cron expression"]',
         response_type: 'ephemeral'
       });
       return;
@@ -28,15 +51,95 @@ async function handleAssignCommand({ command, respond, client, logger, isDM = fa
       return;
     }
     
-    // Get user information for assignee
-    let assigneeName = "Unknown User";
-    try {
-      const userInfo = await client.users.info({ user: args.userId });
-      assigneeName = userInfo.user.real_name || userInfo.user.name;
-    } catch (error) {
-      logger.error(`Error fetching user info for ${args.userId}:`, error);
-      // Continue with unknown user name
+    // Deadlines are written in the creator's own time zone
+    const creatorTimezone = await getUserTimezone(client, command.user_id);
+    const validation = await validateArgs(args, ASSIGN_SCHEMA, { timezone: creatorTimezone });
+    
+    if (validation.errors.length > 0) {
+      await respond({
+        text: formatValidationErrors(validation.errors),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    const deadline = validation.values.deadline || null;
+    
+    // Recurring tasks get their deadline from their priority each time they are created
+    if (args.every && (args.parent || args.after.length > 0 || args.deadline || args.watcherIds.length > 0 || args.userIds.length > 1)) {
+      await respond({
+        text: 'Recurring tasks have a single assignee and can\'t use -parent, -after, -deadline or -watch.',
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    // Subtasks hang off an open top-level task
+    let parent = null;
+    if (args.parent) {
+      parent = idService.isId(args.parent) ? await taskService.getTaskById(idService.normalizeId(args.parent)) : null;
+      
+      if (!parent) {
+        await respond({
+          text: `No task found with ID "${args.parent}". Use the parent task's ID, e.g. -parent=T-12.`,
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      
+      if (parent.parentId) {
+        await respond({
+          text: `\`${parent.taskId}\` is already a subtask. Subtasks can't have subtasks of their own.`,
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      
+      if (taskService.CLOSED_TASK_STATUSES.includes(parent.status)) {
+        await respond({
+          text: `\`${parent.taskId}\` is ${parent.status}. Reopen it before adding subtasks.`,
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+    }
+    
+    // Prerequisites that have to be completed before this task can start
+    const prerequisites = [];
+    for (const id of args.after) {
+      const prerequisite = idService.isId(id) ? await taskService.getTaskById(idService.normalizeId(id)) : null;
+      
+      if (!prerequisite) {
+        await respond({
+          text: `No task found with ID "${id}". Use task IDs for -after, e.g. -after=T-12,T-13.`,
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      
+      prerequisites.push(prerequisite);
+    }
+    
+    // Get user information for every assignee
+    const assigneeNames = [];
+    let assigneeTimezone = null;
+    for (const userId of args.userIds) {
+      let name = "Unknown User";
+      try {
+        const userInfo = await client.users.info({ user: userId });
+        name = userInfo.user.real_name || userInfo.user.name;
+        
+        // Deadlines follow the primary assignee's working day
+        if (userId === args.userId) {
+          assigneeTimezone = userInfo.user.tz || null;
+        }
+      } catch (error) {
+        logger.error(`Error fetching user info for ${userId}:`, error);
+        // Continue with unknown user name
+      }
+      assigneeNames.push(name);
     }
+    const assigneeName = assigneeNames[0];
     
     // Get user information for creator
     let creatorName = "Unknown User";
@@ -48,33 +151,62 @@ async function handleAssignCommand({ command, respond, client, logger, isDM = fa
       // Continue with unknown user name
     }
     
-    // Get channel name
-    let channelName = null;
-    try {
-      const channelInfo = await client.conversations.info({ channel: command.channel_id });
-      channelName = channelInfo.channel.name;
-    } catch (error) {
-      logger.error(`Error fetching channel info for ${command.channel_id}:`, error);
-      // Continue without channel name
+    // Get channel name, and the client the channel is linked to if any
+    const channelResult = await clientService.resolveClientForChannel(client, command.channel_id);
+    const channelName = channelResult.channelName;
+    
+    // An explicit -client wins, then the parent task's client, then a registered channel client
+    const clientName = args.client
+      ? await clientService.resolveClientName(args.client)
+      : (parent && parent.client) || (channelResult.registered ? channelResult.client : null);
+    
+    // Subtasks stay in their parent's project unless -project says otherwise
+    let projectId = parent ? parent.projectId : null;
+    if (args.project) {
+      const projectResult = await projectService.resolveProject(args.project, clientName);
+      if (!projectResult.project) {
+        await respond({
+          text: projectResult.message,
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      projectId = projectResult.project.id;
     }
     
     // Get user's existing tasks
     const existingTasks = await taskService.getUserPendingTasks(args.userId);
     
     // Default team based on specified team or keywords in task description
-    const team = args.team || determineTeam(args.title);
+    const team = validation.values.team || await teamService.determineTeam(args.title);
     
-    // Determine priority
-    let priority = 'medium'; // Default priority
-    if (args.priority) {
-      priority = args.priority.toLowerCase();
-    } else if (args.urgent) {
-      priority = 'urgent';
-    }
+    // Priority was checked above; -urgent sets it too
+    const priority = validation.values.priority || 'medium';
     
-    // Validate priority
-    if (!['urgent', 'high', 'medium', 'low'].includes(priority)) {
-      priority = 'medium';
+    if (args.every) {
+      const recurring = await recurringService.createRecurringTask({
+        title: args.title,
+        description: args.description || '',
+        priority,
+        team,
+        assigneeId: args.userId,
+        assigneeName,
+        creatorId: command.user_id,
+        creatorName,
+        channel: command.channel_id,
+        channelName,
+        client: clientName,
+        projectId,
+        schedule: args.every
+      });
+      recurringService.scheduleRecurringTask(recurring, client);
+      
+      await respond({
+        blocks: recurringService.formatRecurringCreatedMessage(recurring),
+        text: `Recurring task set up for <@${args.userId}>`,
+        response_type: 'ephemeral'
+      });
+      return;
     }
     
     // Create the task
@@ -89,18 +221,34 @@ async function handleAssignCommand({ command, respond, client, logger, isDM = fa
       creatorName,
       command.channel_id,
       channelName,
-      args.client,
+      clientName,
       args.urgent,
-      args.deadline
+      deadline,
+      {
+        parentId: parent ? parent.id : null,
+        parentTaskId: parent ? parent.taskId : null,
+        autoComplete: args.autoComplete,
+        dependsOnIds: prerequisites.map(prerequisite => prerequisite.id),
+        afterTaskIds: prerequisites.map(prerequisite => prerequisite.taskId),
+        assigneeIds: args.userIds,
+        assigneeNames,
+        watcherIds: args.watcherIds.filter(id => !args.userIds.includes(id)),
+        projectId,
+        timezone: assigneeTimezone
+      }
     );
     
     // Generate professional response with blocks
     const blocks = taskService.formatAssignmentMessage(task, existingTasks);
     
+    if (deadline) {
+      blocks.push(formatDeadlineEcho(args.deadline, deadline, creatorTimezone));
+    }
+    
     // Notify channel or DM
     await respond({
       blocks,
-      text: `Task assigned to <@${args.userId}>`,
+      text: `Task assigned to ${args.userIds.map(id => `<@${id}>`).join(', ')}`,
       response_type: isDM ? 'ephemeral' : 'ephemeral'
     });
     
@@ -118,17 +266,31 @@ async function handleAssignCommand({ command, respond, client, logger, isDM = fa
       }
     }
     
-    // Send a DM to the assignee if different from the creator
-    if (args.userId !== command.user_id) {
+    // Send a DM to each assignee other than the creator
+    for (const userId of args.userIds.filter(id => id !== command.user_id)) {
       try {
         await client.chat.postMessage({
-          channel: args.userId,
+          channel: userId,
           text: `You've been assigned a new task: ${task.title}`,
           blocks: taskService.formatDMNotification(task)
         });
-        logger.info(`DM sent to user ${args.userId}`);
+        logger.info(`DM sent to user ${userId}`);
+      } catch (error) {
+        logger.error(`Failed to DM user ${userId}:`, error);
+      }
+    }
+    
+    // Let watchers know they'll be kept in the loop
+    for (const watcherId of task.watcherIds.filter(id => id !== command.user_id)) {
+      try {
+        await client.chat.postMessage({
+          channel: watcherId,
+          text: `You're now watching the task: ${task.title}`,
+          blocks: taskService.formatWatcherNotification(task)
+        });
+        logger.info(`Watcher DM sent to user ${watcherId}`);
       } catch (error) {
-        logger.error(`Failed to DM user ${args.userId}:`, error);
+        logger.error(`Failed to DM watcher ${watcherId}:`, error);
       }
     }
     
@@ -160,28 +322,6 @@ async function getLastMessageTs(client, channelId) {
   }
 }
 
-// Determine team based on keywords in task description
-function determineTeam(text) {
-  const lowerText = text.toLowerCase();
-  
-  // Teams and their associated keywords
-  const teams = {
-    'content': ['content', 'writing', 'blog', 'article', 'post', 'copy', 'newsletter', 'text'],
-    'design': ['design', 'ui', 'ux', 'mockup', 'wireframe', 'visual', 'graphic', 'illustration'],
-    'product': ['product', 'feature', 'roadmap', 'spec', 'dev', 'code', 'programming', 'functionality'],
-    'ops': ['ops', 'operation', 'logistics', 'process', 'admin', 'management']
-  };
-  
-  for (const [team, keywords] of Object.entries(teams)) {
-    if (keywords.some(keyword => lowerText.includes(keyword))) {
-      return team;
-    }
-  }
-  
-  // Default to content if no team is detected
-  return 'content';
-}
-
 module.exports = {
   handleAssignCommand
 };
\ No newline at end of file
@@ -0,0 +1,69 @@
+// commands/calendar.js
+const calendarService = require('../services/calendarService');
+const clientService = require('../services/clientService');
+const { parseCalendarArgs } = require('../utils/parsers');
+const { getUserTimezone } = require('../utils/dates');
+const { validateArgs, formatValidationErrors } = require('../utils/validation');
+
+const USAGE = `Usage: /calendar [client] [-weeks=${calendarService.DEFAULT_CALENDAR_WEEKS}]`;
+
+const CALENDAR_SCHEMA = {
+  flags: ['-weeks'],
+  fields: {
+    weeks: {
+      validate: value => /^[1-9]\d*$/.test(value) && Number(value) <= calendarService.MAX_CALENDAR_WEEKS
+        ? null
+        : `-weeks must be a number of weeks from 1 to ${calendarService.MAX_CALENDAR_WEEKS} (got "${value}").`
+    }
+  }
+};
+
+async function handleCalendarCommand({ command, respond, client, logger, isDM = false }) {
+  logger.info('Processing /calendar command:', command);
+  
+  try {
+    const args = parseCalendarArgs(command.text.trim());
+    
+    const validation = await validateArgs(args, CALENDAR_SCHEMA);
+    if (validation.errors.length > 0) {
+      await respond({
+        text: `${formatValidationErrors(validation.errors)}\n${USAGE}`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    // The client is named, or the registered client of the current channel
+    let clientName = null;
+    if (args.client) {
+      clientName = await clientService.resolveClientName(args.client);
+    } else if (!isDM) {
+      const channelResult = await clientService.resolveClientForChannel(client, command.channel_id);
+      clientName = channelResult.registered ? channelResult.client : null;
+    }
+    
+    const timezone = await getUserTimezone(client, command.user_id);
+    const weeks = calendarService.getCalendarWeeks(
+      validation.values.weeks ? Number(validation.values.weeks) : calendarService.DEFAULT_CALENDAR_WEEKS,
+      timezone
+    );
+    const events = await calendarService.getCalendarEvents(clientName, weeks[0].from, weeks[weeks.length - 1].to);
+    
+    await respond({
+      blocks: calendarService.formatCalendar(events, weeks, clientName, timezone, calendarService.getFeedUrl(clientName)),
+      text: clientName ? `Content calendar for ${clientName}` : 'Content calendar',
+      response_type: 'ephemeral'
+    });
+  
+  } catch (error) {
+    logger.error('Error in /calendar command:', error);
+    await respond({
+      text: `Error fetching the calendar: ${error.message}`,
+      response_type: 'ephemeral'
+    });
+  }
+}
+
+module.exports = {
+  handleCalendarCommand
+};
\ No newline at end of file
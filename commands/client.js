@@ -0,0 +1,198 @@
+// commands/client.js
+const clientService = require('../services/clientService');
+const { parseClientArgs } = require('../utils/parsers');
+const { isAdmin } = require('../utils/permissions');
+const { validateArgs, formatValidationErrors } = require('../utils/validation');
+
+const USAGE = 'Usage: /client list | /client register "Client name" [-owner=@username] [-alias=name1,name2] [-status=active|paused|archived] [#channel] | /client link [client] #channel | /client alias [client] [alias1,alias2] | /client pipeline [client] stage:@reviewer [stage2:@reviewer,@reviewer ...] | /client pipeline [client] none | /client policy [client] [-quorum=2] [-required=@reviewer,...] [-lead=@reviewer,...] | /client policy [client] none';
+
+const CLIENT_SCHEMA = {
+  flags: ['-owner', '-alias', '-status', '-quorum', '-required', '-lead'],
+  fields: {
+    action: { values: ['list', 'register', 'link', 'alias', 'pipeline', 'policy'] },
+    status: { values: clientService.CLIENT_STATUSES },
+    quorum: {
+      validate: value => /^[1-9]\d*$/.test(value) ? null : `-quorum must be a number of approvals, e.g. -quorum=2 (got "${value}").`
+    }
+  }
+};
+
+async function handleClientCommand({ command, respond, client, logger, isDM = false }) {
+  logger.info('Processing /client command:', command);
+  
+  try {
+    const args = parseClientArgs(command.text.trim());
+    args.action = args.action || 'list';
+    
+    const validation = await validateArgs(args, CLIENT_SCHEMA);
+    if (validation.errors.length > 0) {
+      await respond({
+        text: `${formatValidationErrors(validation.errors)}\n${USAGE}`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    if (args.action === 'list') {
+      const clients = await clientService.getClients();
+      await respond({
+        blocks: clientService.formatClientList(clients),
+        text: `${clients.length} clients`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    if (!args.name) {
+      await respond({
+        text: USAGE,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    if (args.ownerId && args.ownerId.startsWith('USERNAME:')) {
+      await respond({
+        text: 'Please pick the account owner with a Slack @mention.',
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    // Anyone can register a new client; changing one takes an admin or its account owner
+    const existing = await clientService.findClient(args.name);
+    if (existing && existing.ownerId !== command.user_id && !(await isAdmin(client, command.user_id))) {
+      await respond({
+        text: `Only workspace admins or the account owner can change *${existing.name}*.`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    // Channels are linked by ID so renaming them doesn't matter
+    if (args.channel) {
+      const channelId = await clientService.getChannelId(client, args.channel);
+      if (!channelId) {
+        await respond({
+          text: `I couldn't find the channel #${args.channel}. Mention it with # so Slack links it, and make sure I can see it.`,
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      args.channel = channelId;
+    }
+    
+    let result;
+    if (args.action === 'register') {
+      result = await clientService.registerClient(args);
+      if (result.success && args.channel) {
+        result = await clientService.linkChannel(result.client.name, args.channel);
+      }
+    } else if (args.action === 'link') {
+      if (!args.channel) {
+        await respond({
+          text: 'Please mention the channel to link, e.g. `/client link Acme #client-acme`.',
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      result = await clientService.linkChannel(args.name, args.channel);
+    } else if (args.action === 'pipeline') {
+      if (!args.stages) {
+        await respond({
+          text: 'Please list the review stages in order, e.g. `/client pipeline Acme editor:@ed design:@dana "client lead":@lee`, or `none` to remove them.',
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      if (args.stages.some(stage => stage.reviewerIds.some(id => id.startsWith('USERNAME:')))) {
+        await respond({
+          text: 'Please pick stage reviewers with Slack @mentions.',
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      result = await clientService.setReviewPipeline(args.name, args.stages);
+    } else if (args.action === 'policy') {
+      const policy = {
+        quorum: args.quorum ? parseInt(args.quorum, 10) : null,
+        requiredIds: args.requiredIds,
+        leadIds: args.leadIds
+      };
+      if (!args.clearPolicy && !clientService.hasApprovalPolicy(policy)) {
+        await respond({
+          text: 'Please give a policy, e.g. `/client policy Acme -quorum=2 -required=@ann -lead=@lee`, or `none` to have everyone approve.',
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      if ([...policy.requiredIds, ...policy.leadIds].some(id => id.startsWith('USERNAME:'))) {
+        await respond({
+          text: 'Please pick required reviewers and leads with Slack @mentions.',
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      result = await clientService.setApprovalPolicy(args.name, args.clearPolicy ? {} : policy);
+    } else {
+      if (args.aliases.length === 0) {
+        await respond({
+          text: 'Please give at least one alias, e.g. `/client alias Acme acme-corp`.',
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      result = await clientService.addAliases(args.name, args.aliases);
+    }
+    
+    if (!result.success) {
+      await respond({
+        text: result.message,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    logger.info(`Client ${result.client.name} ${args.action} by ${command.user_id}`);
+    
+    const messages = {
+      register: existing ? `Updated client *${result.client.name}*.` : `Registered client *${result.client.name}*.`,
+      link: `Linked <#${args.channel}> to *${result.client.name}*.`,
+      alias: `Updated aliases for *${result.client.name}*.`,
+      pipeline: `Updated the review pipeline for *${result.client.name}*. New reviews follow it; open reviews keep their stages.`,
+      policy: `Updated the approval policy for *${result.client.name}*. New reviews follow it; open reviews keep theirs.`
+    };
+    
+    await respond({
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: messages[args.action]
+          }
+        },
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: clientService.formatClient(result.client)
+          }
+        }
+      ],
+      text: messages[args.action],
+      response_type: 'ephemeral'
+    });
+  
+  } catch (error) {
+    logger.error('Error in /client command:', error);
+    await respond({
+      text: `Error managing clients: ${error.message}`,
+      response_type: 'ephemeral'
+    });
+  }
+}
+
+module.exports = {
+  handleClientCommand
+};
\ No newline at end of file
@@ -0,0 +1,91 @@
+// commands/content.js
+const reviewService = require('../services/reviewService');
+const idService = require('../services/idService');
+const { parseContentArgs } = require('../utils/parsers');
+const { validateArgs, formatValidationErrors } = require('../utils/validation');
+
+const USAGE = `Usage: /content move [review ID] [${reviewService.REVIEW_STATUSES.join('|')}]`;
+
+const CONTENT_SCHEMA = {
+  flags: [],
+  fields: {
+    action: { values: ['move'] },
+    status: { values: reviewService.REVIEW_STATUSES }
+  }
+};
+
+async function handleContentCommand({ command, respond, client, logger, isDM = false }) {
+  logger.info('Processing /content command:', command);
+  
+  try {
+    const args = parseContentArgs(command.text.trim());
+    
+    if (!args.action || !args.reviewId || !args.status) {
+      await respond({
+        text: USAGE,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    const validation = await validateArgs(args, CONTENT_SCHEMA);
+    if (validation.errors.length > 0) {
+      await respond({
+        text: `${formatValidationErrors(validation.errors)}\n${USAGE}`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    if (!idService.isId(args.reviewId)) {
+      await respond({
+        text: `"${args.reviewId}" isn't a review ID. Use the ID shown in /client-status, e.g. \`/content move R-12 design\`.`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    let userName = "Unknown User";
+    try {
+      const userInfo = await client.users.info({ user: command.user_id });
+      userName = userInfo.user.real_name || userInfo.user.name;
+    } catch (error) {
+      logger.error(`Error fetching user info for ${command.user_id}:`, error);
+      // Continue with unknown user name
+    }
+    
+    // The service checks the move is allowed and posts it to the review's thread
+    const result = await reviewService.updateReviewStatusManually(
+      idService.normalizeId(args.reviewId),
+      validation.values.status,
+      command.user_id,
+      userName,
+      client
+    );
+    
+    if (!result.success) {
+      await respond({
+        text: result.message === "Review not found" ? `No review found with ID "${args.reviewId}".` : result.message,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    logger.info(`Review ${result.review.reviewId} moved to ${result.review.status} by ${command.user_id}`);
+    await respond({
+      text: `Moved \`${result.review.reviewId}\` *${result.review.title}* to ${reviewService.formatStatus(result.review.status)}.`,
+      response_type: 'ephemeral'
+    });
+  
+  } catch (error) {
+    logger.error('Error in /content command:', error);
+    await respond({
+      text: `Error moving content: ${error.message}`,
+      response_type: 'ephemeral'
+    });
+  }
+}
+
+module.exports = {
+  handleContentCommand
+};
\ No newline at end of file
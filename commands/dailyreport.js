@@ -1,7 +1,18 @@
 // commands/dailyreport.js
 const taskService = require('../services/taskService');
+const teamService = require('../services/teamService');
 const reviewService = require('../services/reviewService');
+const clientService = require('../services/clientService');
 const { formatDate } = require('../utils/formatters');
+const { validateArgs, formatValidationErrors } = require('../utils/validation');
+
+// Filters /dailyreport accepts and the values they allow
+const REPORT_SCHEMA = {
+  flags: ['team', 'client'],
+  fields: {
+    team: { values: teamService.getTeamNames }
+  }
+};
 
 async function handleDailyReportCommand({ command, respond, client, logger, isDM = false }) {
   logger.info('Processing /dailyreport command:', command);
@@ -9,6 +20,7 @@ async function handleDailyReportCommand({ command, respond, client, logger, isDM
   try {
     const text = command.text.trim();
     let filters = {};
+    const parsed = { unknownFlags: [] };
     
     // Parse filters if provided
     if (text) {
@@ -18,12 +30,30 @@ async function handleDailyReportCommand({ command, respond, client, logger, isDM
         if (part.includes('=')) {
           const [key, value] = part.split('=');
           if (key && value) {
-            filters[key] = value;
+            if (REPORT_SCHEMA.flags.includes(key)) {
+              parsed[key] = value;
+            } else {
+              parsed.unknownFlags.push(key);
+            }
           }
         }
       }
     }
     
+    const validation = await validateArgs(parsed, REPORT_SCHEMA);
+    if (validation.errors.length > 0) {
+      await respond({
+        text: formatValidationErrors(validation.errors),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    if (parsed.client) {
+      filters.client = await clientService.resolveClientName(parsed.client);
+    }
+    Object.assign(filters, validation.values);
+    
     logger.debug('Report filters:', filters);
     
     // Get today's date at start of day
@@ -54,12 +84,10 @@ async function handleDailyReportCommand({ command, respond, client, logger, isDM
     });
     
     // Group tasks by team
-    const teamTasks = {
-      content: { completed: [], created: [] },
-      design: { completed: [], created: [] },
-      product: { completed: [], created: [] },
-      ops: { completed: [], created: [] }
-    };
+    const teamTasks = {};
+    (await teamService.getTeams()).forEach(team => {
+      teamTasks[team.name] = { completed: [], created: [] };
+    });
     
     completedToday.forEach(task => {
       if (teamTasks[task.team]) {
@@ -129,7 +157,7 @@ function formatDailyReport(teamTasks, reviewActivity, date, filters = {}) {
       type: "section",
       text: {
         type: "mrkdwn",
-        text: `*${team.charAt(0).toUpperCase() + team.slice(1)} Team Summary:*\n• ${teamData.completed.length} tasks completed\n• ${teamData.created.length} new tasks created`
+        text: `*${teamService.getTeamLabel(team)} Team Summary:*\n• ${teamData.completed.length} tasks completed\n• ${teamData.created.length} new tasks created`
       }
     });
     
@@ -153,7 +181,7 @@ function formatDailyReport(teamTasks, reviewActivity, date, filters = {}) {
           type: "section",
           text: {
             type: "mrkdwn",
-            text: `• *${task.title}*\n   Completed by <@${task.assignee}>`
+            text: `• \`${task.taskId}\` *${task.title}*\n   Completed by <@${task.assignee}>`
           }
         });
       });
@@ -179,7 +207,7 @@ function formatDailyReport(teamTasks, reviewActivity, date, filters = {}) {
           type: "section",
           text: {
             type: "mrkdwn",
-            text: `• *${task.title}*\n   Assigned to <@${task.assignee}> by <@${task.creator}>\n   Due: ${formatDate(task.deadline)}`
+            text: `• \`${task.taskId}\` *${task.title}*\n   Assigned to <@${task.assignee}> by <@${task.creator}>\n   Due: ${formatDate(task.deadline)}`
           }
         });
       });
@@ -212,7 +240,7 @@ function formatDailyReport(teamTasks, reviewActivity, date, filters = {}) {
     for (const team in teamTasks) {
       const teamData = teamTasks[team];
       if (teamData.completed.length > 0 || teamData.created.length > 0) {
-        const teamName = team.charAt(0).toUpperCase() + team.slice(1);
+        const teamName = teamService.getTeamLabel(team);
         blocks.push({
           type: "section",
           text: {
@@ -229,7 +257,7 @@ function formatDailyReport(teamTasks, reviewActivity, date, filters = {}) {
       
       // Only show details for teams with activity
       if (teamData.completed.length > 0 || teamData.created.length > 0) {
-        const teamName = team.charAt(0).toUpperCase() + team.slice(1);
+        const teamName = teamService.getTeamLabel(team);
         
         blocks.push({
           type: "divider"
@@ -249,7 +277,7 @@ function formatDailyReport(teamTasks, reviewActivity, date, filters = {}) {
             type: "section",
             text: {
               type: "mrkdwn",
-              text: `*Completed Tasks (${teamData.completed.length}):*\n${teamData.completed.map(task => `• ${task.title}`).join('\n')}`
+              text: `*Completed Tasks (${teamData.completed.length}):*\n${teamData.completed.map(task => `• \`${task.taskId}\` ${task.title}`).join('\n')}`
             }
           });
         }
@@ -260,7 +288,7 @@ function formatDailyReport(teamTasks, reviewActivity, date, filters = {}) {
             type: "section",
             text: {
               type: "mrkdwn",
-              text: `*New Tasks (${teamData.created.length}):*\n${teamData.created.map(task => `• ${task.title}`).join('\n')}`
+              text: `*New Tasks (${teamData.created.length}):*\n${teamData.created.map(task => `• \`${task.taskId}\` ${task.title}`).join('\n')}`
             }
           });
         }
@@ -298,7 +326,7 @@ function formatDailyReport(teamTasks, reviewActivity, date, filters = {}) {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: `*${client}:* ${reviews.length} items\n${reviews.map(review => `• ${review.title} (${reviewService.formatStatus(review.status)})`).join('\n')}`
+          text: `*${client}:* ${reviews.length} items\n${reviews.map(review => `• \`${review.reviewId}\` ${review.title} (${reviewService.formatStatus(review.status)})`).join('\n')}`
         }
       });
     }
@@ -1,5 +1,6 @@
 // commands/done.js
 const taskService = require('../services/taskService');
+const idService = require('../services/idService');
 
 async function handleDoneCommand({ command, respond, client, logger, isDM = false }) {
   logger.info('Processing /done command:', command);
@@ -9,18 +10,48 @@ async function handleDoneCommand({ command, respond, client, logger, isDM = fals
     
     if (!text) {
       await respond({
-        text: 'Usage: /done [task description]',
+        text: 'Usage: /done [task ID or description]',
         response_type: 'ephemeral'
       });
       return;
     }
     
-    // Try to find the task by name/description
-    const task = await taskService.getTaskByDescription(text, command.user_id);
+    // An exact task ID wins over description matching
+    let task = null;
+    if (idService.isId(text)) {
+      task = await taskService.getTaskById(idService.normalizeId(text));
+    }
     
     if (!task) {
+      // Only open tasks are candidates, so a vague description never completes a task twice
+      const matches = await taskService.findTasksByDescription(text, { assigneeId: command.user_id });
+      
+      if (matches.length > 1) {
+        await respond({
+          blocks: taskService.formatTaskPicker(matches, text, { text: 'Complete', actionId: 'complete_task' }),
+          text: `${matches.length} tasks match "${text}". Pick the one to complete.`,
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      
+      if (matches.length === 0) {
+        const closedMatches = await taskService.findTasksByDescription(text, { assigneeId: command.user_id, status: 'closed', limit: 1 });
+        await respond({
+          text: closedMatches.length > 0
+            ? `You have no open task matching "${text}". \`${closedMatches[0].taskId}\` "${closedMatches[0].title}" is already ${closedMatches[0].status} — use \`/task reopen ${closedMatches[0].taskId}\` if it needs more work.`
+            : `No task found matching "${text}". Please check the task description and try again.`,
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      
+      task = matches[0];
+    }
+    
+    if (taskService.CLOSED_TASK_STATUSES.includes(task.status)) {
       await respond({
-        text: `No task found matching "${text}". Please check the task description and try again.`,
+        text: `\`${task.taskId}\` "${task.title}" is already ${task.status}. Use \`/task reopen ${task.taskId}\` if it needs more work.`,
         response_type: 'ephemeral'
       });
       return;
@@ -37,7 +68,7 @@ async function handleDoneCommand({ command, respond, client, logger, isDM = fals
     }
     
     // Mark the task as done
-    const updatedTask = await taskService.markTaskAsDone(task.taskId, command.user_id, userName);
+    const updatedTask = await taskService.markTaskAsDone(task.taskId, command.user_id, userName, client);
     
     if (!updatedTask) {
       await respond({
@@ -90,17 +121,17 @@ async function handleDoneCommand({ command, respond, client, logger, isDM = fals
       }
     }
     
-    // Notify task creator if different from completer
-    if (updatedTask.creatorId !== command.user_id) {
+    // Notify the creator, other assignees and watchers
+    for (const recipient of taskService.getTaskRecipients(updatedTask, command.user_id)) {
       try {
         await client.chat.postMessage({
-          channel: updatedTask.creatorId,
+          channel: recipient,
           blocks,
-          text: `Task "${updatedTask.title}" assigned to <@${updatedTask.assigneeId}> has been completed.`
+          text: `Task "${updatedTask.title}" has been completed by <@${command.user_id}>`
         });
-        logger.info(`Notification sent to task creator ${updatedTask.creatorId}`);
+        logger.info(`Completion notification sent to ${recipient}`);
       } catch (error) {
-        logger.error(`Error notifying task creator: ${error}`);
+        logger.error(`Error notifying ${recipient} about completion: ${error}`);
       }
     }
     
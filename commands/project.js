@@ -0,0 +1,134 @@
+// commands/project.js
+const projectService = require('../services/projectService');
+const clientService = require('../services/clientService');
+const { isAdmin } = require('../utils/permissions');
+const { parseProjectArgs } = require('../utils/parsers');
+const { validateArgs, formatValidationErrors } = require('../utils/validation');
+
+const USAGE = 'Usage: /project list [-client=name] | /project create "Project name" [-client=name] | /project status "Project name" [-client=name] | /project complete|reopen "Project name" [-client=name]';
+
+const PROJECT_SCHEMA = {
+  flags: ['-client'],
+  fields: {
+    action: { values: ['list', 'create', 'status', 'complete', 'reopen'] }
+  }
+};
+
+async function handleProjectCommand({ command, respond, client, logger, isDM = false }) {
+  logger.info('Processing /project command:', command);
+  
+  try {
+    const args = parseProjectArgs(command.text.trim());
+    args.action = args.action || 'list';
+    
+    const validation = await validateArgs(args, PROJECT_SCHEMA);
+    if (validation.errors.length > 0) {
+      await respond({
+        text: `${formatValidationErrors(validation.errors)}\n${USAGE}`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    // The client is -client=, or the registered client of the current channel
+    let clientName = null;
+    if (args.client) {
+      clientName = await clientService.resolveClientName(args.client);
+    } else if (!isDM) {
+      const channelResult = await clientService.resolveClientForChannel(client, command.channel_id);
+      clientName = channelResult.registered ? channelResult.client : null;
+    }
+    
+    if (args.action === 'list') {
+      const projects = await projectService.getProjects(clientName);
+      await respond({
+        blocks: projectService.formatProjectList(projects, clientName),
+        text: `${projects.length} projects`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    if (!args.name) {
+      await respond({
+        text: USAGE,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    if (args.action === 'create') {
+      const result = await projectService.createProject(args.name, clientName, command.user_id);
+      
+      if (!result.success) {
+        await respond({
+          text: result.message,
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      
+      logger.info(`Project ${result.project.name} created for ${result.project.client.name} by ${command.user_id}`);
+      await respond({
+        text: `Created project *${result.project.name}* for *${result.project.client.name}*. Add work to it with \`-project="${result.project.name}"\` on /assign and /review.`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    // A name used by several clients needs -client= to pick one
+    const projects = await projectService.findProjects(args.name, args.client ? clientName : null);
+    const project = projects.length > 1
+      ? projects.find(p => p.client.name === clientName)
+      : projects[0];
+    
+    if (!project) {
+      await respond({
+        text: projects.length > 1
+          ? `Several clients have a project called "${args.name}" (${projects.map(p => p.client.name).join(', ')}). Add -client=name to pick one.`
+          : `No project called "${args.name}". See \`/project list\`.`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    if (args.action === 'complete' || args.action === 'reopen') {
+      // As with /client, changing a client's project takes an admin or its account owner
+      if (project.client.ownerId !== command.user_id && !(await isAdmin(client, command.user_id))) {
+        await respond({
+          text: `Only workspace admins or the account owner of *${project.client.name}* can ${args.action} its projects.`,
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      
+      const updated = await projectService.setProjectStatus(project.id, args.action === 'complete' ? 'completed' : 'active');
+      logger.info(`Project ${updated.name} marked ${updated.status} by ${command.user_id}`);
+      
+      await respond({
+        text: `Marked *${updated.name}* (${updated.client.name}) as ${updated.status}.`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    const { tasks, reviews } = await projectService.getProjectItems(project.id);
+    
+    await respond({
+      blocks: projectService.formatProjectStatus(project, tasks, reviews),
+      text: `Status for project ${project.name}`,
+      response_type: isDM ? 'in_channel' : 'ephemeral'
+    });
+  
+  } catch (error) {
+    logger.error('Error in /project command:', error);
+    await respond({
+      text: `Error managing projects: ${error.message}`,
+      response_type: 'ephemeral'
+    });
+  }
+}
+
+module.exports = {
+  handleProjectCommand
+};
\ No newline at end of file
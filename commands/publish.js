@@ -0,0 +1,126 @@
+// commands/publish.js
+const publishService = require('../services/publishService');
+const reviewService = require('../services/reviewService');
+const clientService = require('../services/clientService');
+const idService = require('../services/idService');
+const { parsePublishArgs } = require('../utils/parsers');
+const { getUserTimezone } = require('../utils/dates');
+const { validateArgs, formatValidationErrors } = require('../utils/validation');
+
+const USAGE = 'Usage: /publish [review ID] - publish approved content now | /publish [review ID] -at=when - schedule it | /publish [review ID] -at=none - unschedule it | /publish calendar [client]';
+
+const PUBLISH_SCHEMA = {
+  flags: ['-at'],
+  fields: {
+    at: { type: 'deadline', label: 'publish date' }
+  }
+};
+
+async function handlePublishCommand({ command, respond, client, logger, isDM = false }) {
+  logger.info('Processing /publish command:', command);
+  
+  try {
+    const args = parsePublishArgs(command.text.trim());
+    
+    if (!args.target) {
+      await respond({
+        text: USAGE,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    // Only "calendar" takes more words; after a review ID they're most likely the rest of an unquoted -at date
+    if (args.client && args.target.toLowerCase() !== 'calendar') {
+      await respond({
+        text: `Unexpected "${args.client}" after ${args.target}. Put dates with spaces in quotes, e.g. \`-at="tomorrow 9am"\`.\n${USAGE}`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    // "-at=none" removes the schedule rather than naming a date
+    const unschedule = args.at !== null && args.at.toLowerCase() === 'none';
+    if (unschedule) {
+      args.at = null;
+    }
+    
+    const timezone = await getUserTimezone(client, command.user_id);
+    const validation = await validateArgs(args, PUBLISH_SCHEMA, { timezone });
+    if (validation.errors.length > 0) {
+      await respond({
+        text: `${formatValidationErrors(validation.errors)}\n${USAGE}`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    if (args.target.toLowerCase() === 'calendar') {
+      // The client is named, or the registered client of the current channel
+      let clientName = null;
+      if (args.client) {
+        clientName = await clientService.resolveClientName(args.client);
+      } else if (!isDM) {
+        const channelResult = await clientService.resolveClientForChannel(client, command.channel_id);
+        clientName = channelResult.registered ? channelResult.client : null;
+      }
+      
+      const reviews = await publishService.getPublishingSchedule(clientName);
+      await respond({
+        blocks: publishService.formatPublishingCalendar(reviews, clientName, timezone),
+        text: clientName ? `Publishing calendar for ${clientName}` : 'Publishing calendar',
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    if (!idService.isId(args.target)) {
+      await respond({
+        text: `"${args.target}" isn't a review ID. Use the ID shown in /client-status, e.g. \`/publish R-12\`.\n${USAGE}`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    const reviewId = idService.normalizeId(args.target);
+    
+    if (validation.values.at || unschedule) {
+      const result = await publishService.schedulePublish(reviewId, validation.values.at || null, command.user_id);
+      
+      if (result.success) {
+        logger.info(`Review ${reviewId} publish date set to ${result.review.publishAt} by ${command.user_id}`);
+      }
+      await respond({
+        text: result.success ? publishService.formatScheduleConfirmation(result.review, timezone) : result.message,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    const review = await reviewService.getReviewById(reviewId);
+    if (!review) {
+      await respond({
+        text: `No review found with ID "${args.target}".`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    const result = await publishService.publishReview(review, command.user_id, client);
+    await respond({
+      text: result.success ? `Published \`${result.review.reviewId}\` *${result.review.title}*.` : result.message,
+      response_type: 'ephemeral'
+    });
+  
+  } catch (error) {
+    logger.error('Error in /publish command:', error);
+    await respond({
+      text: `Error publishing content: ${error.message}`,
+      response_type: 'ephemeral'
+    });
+  }
+}
+
+module.exports = {
+  handlePublishCommand
+};
\ No newline at end of file
@@ -0,0 +1,82 @@
+// commands/recurring.js
+const recurringService = require('../services/recurringService');
+const { validateArgs, formatValidationErrors } = require('../utils/validation');
+
+const USAGE = 'Usage: /recurring list | /recurring pause [number] | /recurring resume [number] | /recurring delete [number]';
+
+const RECURRING_SCHEMA = {
+  fields: {
+    action: { values: ['list', 'pause', 'resume', 'delete'] }
+  }
+};
+
+async function handleRecurringCommand({ command, respond, client, logger, isDM = false }) {
+  logger.info('Processing /recurring command:', command);
+  
+  try {
+    const [subcommand, idText] = command.text.trim().split(/\s+/);
+    const action = (subcommand || 'list').toLowerCase();
+    
+    const validation = await validateArgs({ action }, RECURRING_SCHEMA);
+    if (validation.errors.length > 0) {
+      await respond({
+        text: `${formatValidationErrors(validation.errors)}\n${USAGE}`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    if (action === 'list') {
+      const recurringTasks = await recurringService.getRecurringTasks();
+      await respond({
+        blocks: recurringService.formatRecurringList(recurringTasks),
+        text: `Found ${recurringTasks.length} recurring tasks`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    // Accept "3" or "#3" as shown in the list
+    const id = parseInt((idText || '').replace(/^#/, ''), 10);
+    
+    if (isNaN(id)) {
+      await respond({
+        text: USAGE,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    const result = await recurringService.updateRecurringTask(id, action, command.user_id);
+    
+    if (!result.success) {
+      await respond({
+        text: result.message,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    const messages = {
+      pause: `Paused recurring task #${id} "${result.recurring.title}". No new tasks will be created until you resume it.`,
+      resume: `Resumed recurring task #${id} "${result.recurring.title}". The next task will be assigned ${recurringService.formatSchedule(result.recurring.schedule)}.`,
+      delete: `Deleted recurring task #${id} "${result.recurring.title}". Tasks already created from it are kept.`
+    };
+    
+    await respond({
+      text: messages[action],
+      response_type: 'ephemeral'
+    });
+  
+  } catch (error) {
+    logger.error('Error in /recurring command:', error);
+    await respond({
+      text: `Error managing recurring tasks: ${error.message}`,
+      response_type: 'ephemeral'
+    });
+  }
+}
+
+module.exports = {
+  handleRecurringCommand
+};
\ No newline at end of file
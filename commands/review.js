@@ -1,33 +1,24 @@
 // commands/review.js
 const reviewService = require('../services/reviewService');
+const clientService = require('../services/clientService');
+const projectService = require('../services/projectService');
+const idService = require('../services/idService');
 const { parseReviewArgs, extractUserId } = require('../utils/parsers');
+const { getUserTimezone } = require('../utils/dates');
+const { formatDeadlineEcho } = require('../utils/formatters');
+const { validateArgs, formatValidationErrors } = require('../utils/validation');
 
-// Extract client name from channel name
-async function extractClientFromChannelName(channelId, slackClient) {
-  try {
-    const info = await slackClient.conversations.info({ channel: channelId });
-    const channelName = info.channel.name;
-    
-    // Check if channel name starts with "client-"
-    if (channelName.startsWith('client-')) {
-      return {
-        client: channelName.substring(7), // Remove "client-" prefix
-        channelName: channelName
-      };
+// Options /review accepts and the values they allow
+const REVIEW_SCHEMA = {
+  flags: ['-r', '-url', '-deadline', '-client', '-project', '-status', '-quorum', '-required', '-lead'],
+  fields: {
+    status: { values: reviewService.REVIEW_STATUSES },
+    deadline: { type: 'deadline' },
+    quorum: {
+      validate: value => /^[1-9]\d*$/.test(value) ? null : `-quorum must be a number of approvals, e.g. -quorum=2 (got "${value}").`
     }
-    
-    return {
-      client: channelName,
-      channelName: channelName
-    };
-  } catch (error) {
-    console.error('Error getting channel info:', error);
-    return {
-      client: "general",
-      channelName: null
-    };
   }
-}
+};
 
 // Resolve usernames to user IDs and get user names
 async function resolveUserIds(userIds, slackClient) {
@@ -75,10 +66,145 @@ async function resolveUserIds(userIds, slackClient) {
   return { resolvedIds, resolvedNames };
 }
 
+// /review revise R-12 [-url=link] [note] and /review history R-12
+async function handleRevisionAction(action, reviewId, text, { command, respond, client, logger }) {
+  const review = await reviewService.getReviewById(idService.normalizeId(reviewId));
+  if (!review) {
+    await respond({
+      text: `No review found with ID "${reviewId}".`,
+      response_type: 'ephemeral'
+    });
+    return;
+  }
+  
+  if (action === 'history') {
+    await respond({
+      blocks: reviewService.formatRevisionHistory(review),
+      text: `Revisions of "${review.title}"`,
+      response_type: 'ephemeral'
+    });
+    return;
+  }
+  
+  const args = parseReviewArgs(text);
+  const validation = await validateArgs(args, { flags: ['-url'] });
+  if (validation.errors.length > 0) {
+    await respond({
+      text: formatValidationErrors(validation.errors),
+      response_type: 'ephemeral'
+    });
+    return;
+  }
+  
+  let authorName = "Unknown User";
+  try {
+    const authorInfo = await client.users.info({ user: command.user_id });
+    authorName = authorInfo.user.real_name || authorInfo.user.name;
+  } catch (error) {
+    logger.error(`Error fetching user info for ${command.user_id}:`, error);
+    // Continue with unknown user name
+  }
+  
+  // Anything that isn't an option is the note for reviewers
+  const note = [args.title, args.description].filter(Boolean).join(' ') || null;
+  const result = await reviewService.submitRevision(review.reviewId, command.user_id, authorName, { url: args.url, note }, client);
+  
+  await respond({
+    text: result.success
+      ? `Submitted revision ${result.revision.number} of "${result.review.title}". Its reviewers have been asked to look again.`
+      : result.message,
+    response_type: 'ephemeral'
+  });
+}
+
+// /review add-reviewer R-12 @ann, /review remove-reviewer R-12 @ann and /review delegate R-12 @ann [note]
+async function handleReviewerAction(action, reviewId, text, { command, respond, client, logger }) {
+  const args = parseReviewArgs(text);
+  const validation = await validateArgs(args, { flags: [] });
+  if (validation.errors.length > 0 || args.reviewers.length === 0) {
+    await respond({
+      text: validation.errors.length > 0
+        ? formatValidationErrors(validation.errors)
+        : `Tag who to ${action === 'remove-reviewer' ? 'remove' : action === 'delegate' ? 'delegate to' : 'add'}, e.g. \`/review ${action} ${reviewId} @ann\`.`,
+      response_type: 'ephemeral'
+    });
+    return;
+  }
+  
+  if (action === 'delegate' && args.reviewers.length > 1) {
+    await respond({
+      text: 'A review can only be delegated to one person.',
+      response_type: 'ephemeral'
+    });
+    return;
+  }
+  
+  let actorName = "Unknown User";
+  try {
+    const actorInfo = await client.users.info({ user: command.user_id });
+    actorName = actorInfo.user.real_name || actorInfo.user.name;
+  } catch (error) {
+    logger.error(`Error fetching user info for ${command.user_id}:`, error);
+    // Continue with unknown user name
+  }
+  
+  const { resolvedIds, resolvedNames } = await resolveUserIds(args.reviewers, client);
+  if (resolvedIds.length === 0) {
+    await respond({
+      text: 'Please tag reviewers with @username. Make sure the username exists in this workspace.',
+      response_type: 'ephemeral'
+    });
+    return;
+  }
+  
+  const changeAction = { 'add-reviewer': 'added', 'remove-reviewer': 'removed', 'delegate': 'delegated' }[action];
+  const note = [args.title, args.description].filter(Boolean).join(' ') || null;
+  const lines = [];
+  
+  for (const [i, reviewerId] of resolvedIds.entries()) {
+    const result = await reviewService.changeReviewer(
+      idService.normalizeId(reviewId),
+      changeAction,
+      { id: reviewerId, name: resolvedNames[i] },
+      { id: command.user_id, name: actorName },
+      note,
+      client
+    );
+    
+    if (!result.success) {
+      lines.push(result.message === "Review not found" ? `No review found with ID "${reviewId}".` : result.message);
+      continue;
+    }
+    
+    logger.info(`Review ${result.review.reviewId}: ${command.user_id} ${changeAction} ${reviewerId}`);
+    lines.push({
+      added: `Added <@${reviewerId}> as a reviewer of "${result.review.title}".`,
+      removed: `Removed <@${reviewerId}> from the reviewers of "${result.review.title}".`,
+      delegated: `Delegated your review of "${result.review.title}" to <@${reviewerId}>.`
+    }[changeAction]);
+  }
+  
+  await respond({
+    text: lines.join('\n'),
+    response_type: 'ephemeral'
+  });
+}
+
 async function handleReviewCommand({ command, respond, client, logger, isDM = false }) {
   logger.info('Processing /review command:', command);
   
   try {
+    // "revise", "history" and the reviewer actions followed by a review ID act on an existing review
+    const [action, reviewId, ...rest] = command.text.trim().split(/\s+/);
+    if (['revise', 'history'].includes((action || '').toLowerCase()) && reviewId && idService.isId(reviewId)) {
+      await handleRevisionAction(action.toLowerCase(), reviewId, rest.join(' '), { command, respond, client, logger });
+      return;
+    }
+    if (['add-reviewer', 'remove-reviewer', 'delegate'].includes((action || '').toLowerCase()) && reviewId && idService.isId(reviewId)) {
+      await handleReviewerAction(action.toLowerCase(), reviewId, rest.join(' '), { command, respond, client, logger });
+      return;
+    }
+    
     // Parse the command arguments
     const args = parseReviewArgs(command.text);
     logger.debug('Parsed review arguments:', args);
@@ -86,12 +212,26 @@ async function handleReviewCommand({ command, respond, client, logger, isDM = fa
     // Validate required fields
     if (!args.title) {
       await respond({
-        text: 'Usage: /review [title] [#channel] [@reviewer1 @reviewer2...] [-url=link] [-deadline=YYYY-MM-DD] [-status=stage]',
+        text: 'Usage: /review [title] [#channel] [@reviewer1 @reviewer2...] [-url=link] [-deadline=when] [-project=name] [-status=stage] [-quorum=2] [-required=@reviewer,...] [-lead=@reviewer,...] | /review revise [review ID] [-url=link] [note] | /review history [review ID] | /review add-reviewer|remove-reviewer [review ID] @reviewer | /review delegate [review ID] @reviewer [note]',
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    // Deadlines are written in the creator's own time zone
+    const creatorTimezone = await getUserTimezone(client, command.user_id);
+    const validation = await validateArgs(args, REVIEW_SCHEMA, { timezone: creatorTimezone });
+    
+    if (validation.errors.length > 0) {
+      await respond({
+        text: formatValidationErrors(validation.errors),
         response_type: 'ephemeral'
       });
       return;
     }
     
+    const deadline = validation.values.deadline || null;
+    
     // Get creator name
     let creatorName = "Unknown User";
     try {
@@ -102,59 +242,30 @@ async function handleReviewCommand({ command, respond, client, logger, isDM = fa
       // Continue with unknown user name
     }
     
-    // Extract client from channel and determine target channel
-    let clientName;
-    let channelId = command.channel_id;
-    let channelName;
+    // Resolve the client from the mentioned channel, or the current one
+    const channelResult = args.channelMention
+      ? await clientService.resolveClientForMention(client, args.channelMention)
+      : await clientService.resolveClientForChannel(client, command.channel_id);
     
-    if (args.channelMention) {
-      // If a specific channel was mentioned, use that
-      try {
-        // Handle both #channel-name and #C12345 formats
-        if (args.channelMention.startsWith('#C')) {
-          channelId = args.channelMention.substring(1);
-          const channelInfo = await client.conversations.info({ channel: channelId });
-          channelName = channelInfo.channel.name;
-          
-          // If the channel starts with "client-", extract the client name
-          if (channelName.startsWith('client-')) {
-            clientName = channelName.substring(7); // Remove "client-" prefix
-          } else {
-            clientName = channelName;
-          }
-        } else {
-          // Extract client name from the channel mention directly
-          const mentionedChannel = args.channelMention.substring(1);
-          channelName = mentionedChannel;
-          
-          // If the channel starts with "client-", extract the client name
-          if (mentionedChannel.startsWith('client-')) {
-            clientName = mentionedChannel.substring(7); // Remove "client-" prefix
-          } else {
-            clientName = mentionedChannel;
-          }
-        }
-      } catch (error) {
-        logger.error('Error processing channel mention:', error);
-        clientName = args.channelMention.substring(1); // Fallback to using channel name without #
-        channelName = args.channelMention.substring(1);
-      }
-    } else {
-      // No channel mentioned, use current channel
-      try {
-        const channelResult = await extractClientFromChannelName(channelId, client);
-        clientName = channelResult.client;
-        channelName = channelResult.channelName;
-      } catch (error) {
-        logger.error('Error getting current channel info:', error);
-        clientName = "general"; // Fallback
-        channelName = null;
-      }
-    }
+    const channelId = channelResult.channelId || command.channel_id;
+    const channelName = channelResult.channelName;
     
     // Override with explicit client if provided
-    if (args.client) {
-      clientName = args.client;
+    const clientName = args.client
+      ? await clientService.resolveClientName(args.client)
+      : channelResult.client || "general";
+    
+    let projectId = null;
+    if (args.project) {
+      const projectResult = await projectService.resolveProject(args.project, clientName);
+      if (!projectResult.project) {
+        await respond({
+          text: projectResult.message,
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      projectId = projectResult.project.id;
     }
     
     // Resolve any usernames to actual user IDs
@@ -167,6 +278,64 @@ async function handleReviewCommand({ command, respond, client, logger, isDM = fa
       reviewerNames = results.resolvedNames;
     }
     
+    // Clients with a review pipeline get its stages; tagged reviewers join the first stage
+    let stages = null;
+    const registeredClient = await clientService.findClient(clientName);
+    const pipeline = clientService.getReviewPipeline(registeredClient);
+    if (pipeline.length > 0) {
+      stages = [];
+      for (const [index, stage] of pipeline.entries()) {
+        const results = await resolveUserIds(stage.reviewerIds, client);
+        const stageReviewers = { name: stage.name, reviewerIds: [], reviewerNames: [] };
+        const ids = index === 0 ? [...reviewerIds, ...results.resolvedIds] : results.resolvedIds;
+        const names = index === 0 ? [...reviewerNames, ...results.resolvedNames] : results.resolvedNames;
+        
+        ids.forEach((id, i) => {
+          if (!stageReviewers.reviewerIds.includes(id)) {
+            stageReviewers.reviewerIds.push(id);
+            stageReviewers.reviewerNames.push(names[i]);
+          }
+        });
+        stages.push(stageReviewers);
+      }
+      
+      // Everyone in any stage counts as a reviewer
+      reviewerIds = [];
+      reviewerNames = [];
+      stages.forEach(stage => stage.reviewerIds.forEach((id, i) => {
+        if (!reviewerIds.includes(id)) {
+          reviewerIds.push(id);
+          reviewerNames.push(stage.reviewerNames[i]);
+        }
+      }));
+    }
+    
+    // The client's approval policy applies unless -quorum, -required or -lead replace parts of it
+    const approvalPolicy = clientService.getApprovalPolicy(registeredClient);
+    if (args.quorum) {
+      approvalPolicy.quorum = parseInt(args.quorum, 10);
+    }
+    for (const field of ['requiredIds', 'leadIds']) {
+      if (args[field].length === 0) {
+        continue;
+      }
+      
+      const results = await resolveUserIds(args[field], client);
+      approvalPolicy[field] = results.resolvedIds;
+      
+      // Required reviewers and leads who weren't tagged join the first stage
+      results.resolvedIds.forEach((id, i) => {
+        if (!reviewerIds.includes(id)) {
+          reviewerIds.push(id);
+          reviewerNames.push(results.resolvedNames[i]);
+          if (stages) {
+            stages[0].reviewerIds.push(id);
+            stages[0].reviewerNames.push(results.resolvedNames[i]);
+          }
+        }
+      });
+    }
+    
     // Ensure we have at least one reviewer
     if (!reviewerIds || reviewerIds.length === 0) {
       await respond({
@@ -177,7 +346,7 @@ async function handleReviewCommand({ command, respond, client, logger, isDM = fa
     }
     
     // Determine initial status (default to "in_review" if not specified)
-    const initialStatus = args.status || "in_review";
+    const initialStatus = validation.values.status || "in_review";
     
     // Create the review
     const review = await reviewService.createReview(
@@ -191,22 +360,38 @@ async function handleReviewCommand({ command, respond, client, logger, isDM = fa
       channelName,
       clientName,
       args.url,
-      args.deadline,
-      initialStatus
+      deadline,
+      initialStatus,
+      creatorTimezone,
+      projectId,
+      stages,
+      clientService.hasApprovalPolicy(approvalPolicy) ? approvalPolicy : null
     );
     
     // Notify the channel
     const blocks = reviewService.formatReviewRequestMessage(review);
     
-    await respond({
-      blocks,
-      text: `Review requested for "${review.title}" from ${reviewerIds.map(r => `<@${r}>`).join(', ')}`,
-      response_type: isDM ? 'in_channel' : 'in_channel'
-    });
+    if (deadline) {
+      blocks.push(formatDeadlineEcho(args.deadline, deadline, creatorTimezone));
+    }
+    
+    // Only the first stage is asked now; later stages are notified as earlier ones approve
+    const firstReviewers = reviewService.getCurrentStageReviewers(review);
+    const requestText = `Review requested for "${review.title}" from ${firstReviewers.map(r => `<@${r}>`).join(', ')}`;
+    
+    // Posted by the bot so the request's thread can hold the discussion
+    const posted = await reviewService.postReviewRequest(review, client, blocks, requestText);
+    if (!posted) {
+      await respond({
+        blocks,
+        text: requestText,
+        response_type: 'in_channel'
+      });
+    }
     
     // Send notifications to each reviewer
-    for (let i = 0; i < reviewerIds.length; i++) {
-      const reviewerId = reviewerIds[i];
+    for (let i = 0; i < firstReviewers.length; i++) {
+      const reviewerId = firstReviewers[i];
       try {
         await client.chat.postMessage({
           channel: reviewerId,
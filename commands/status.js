@@ -1,98 +1,27 @@
 // commands/status.js
 const reviewService = require('../services/reviewService');
-
-async function extractClientFromChannelMention(channelMention, client) {
-  // Handle #client-name format
-  if (channelMention.startsWith('#client-')) {
-    return {
-      client: channelMention.substring(8), // Remove "#client-" prefix
-      channelName: channelMention.substring(1)  // Just remove "#"
-    };
-  } else if (channelMention.startsWith('#')) {
-    try {
-      if (channelMention.startsWith('#C')) {
-        // It's a channel ID, get channel info
-        const channelId = channelMention.substring(1);
-        const info = await client.conversations.info({ channel: channelId });
-        const channelName = info.channel.name;
-        
-        // Check if channel name starts with "client-"
-        if (channelName.startsWith('client-')) {
-          return {
-            client: channelName.substring(7), // Remove "client-" prefix
-            channelName: channelName
-          };
-        } else {
-          return {
-            client: channelName,
-            channelName: channelName
-          };
-        }
-      } else {
-        // It's a channel name
-        const channelName = channelMention.substring(1);
-        return {
-          client: channelName.startsWith('client-') ? channelName.substring(7) : channelName,
-          channelName: channelName
-        };
-      }
-    } catch (error) {
-      console.error('Error getting channel info:', error);
-      return {
-        client: channelMention.substring(1),
-        channelName: channelMention.substring(1)
-      };
-    }
-  }
-  
-  return {
-    client: channelMention,
-    channelName: null
-  };
-}
+const clientService = require('../services/clientService');
 
 async function handleStatusCommand({ command, respond, client, logger, isDM = false }) {
   logger.info('Processing /client-status command:', command);
   
   try {
     const text = command.text.trim();
-    let clientName = null;
+    let clientName;
     let channelId = command.channel_id;
-    let channelName = null;
     
-    // Check if a specific channel was mentioned
-    if (text && text.startsWith('#')) {
-      // Extract client from the channel mention
-      const result = await extractClientFromChannelMention(text, client);
+    if (text.startsWith('#') || text.startsWith('<#')) {
+      // A channel was mentioned; resolve the client it belongs to
+      const result = await clientService.resolveClientForMention(client, text);
       clientName = result.client;
-      channelName = result.channelName;
-      
-      // If channel ID was provided, use that as the target channel
-      if (text.startsWith('#C')) {
-        channelId = text.substring(1);
-      }
+      channelId = result.channelId || channelId;
     } else if (text) {
-      // Treat as client name directly
-      clientName = text;
-    }
-    
-    // If no client name specified, try to extract from current channel name
-    if (!clientName) {
-      try {
-        // Try to get channel name directly
-        const info = await client.conversations.info({ channel: channelId });
-        channelName = info.channel.name;
-        
-        // Check if channel name starts with "client-"
-        if (channelName.startsWith('client-')) {
-          clientName = channelName.substring(7); // Remove "client-" prefix
-        } else {
-          clientName = channelName;
-        }
-      } catch (error) {
-        logger.error('Error getting channel info:', error);
-        clientName = "Unknown"; 
-      }
+      // Treat as client name or alias directly
+      clientName = await clientService.resolveClientName(text);
+    } else {
+      // No client given; use the current channel's client
+      const result = await clientService.resolveClientForChannel(client, channelId);
+      clientName = result.client || "Unknown";
     }
     
     logger.debug(`Getting status for client: ${clientName}, channel: ${channelId}`);
@@ -0,0 +1,190 @@
+// commands/task.js
+const taskService = require('../services/taskService');
+const idService = require('../services/idService');
+const { extractUserId } = require('../utils/parsers');
+const { validateArgs, formatValidationErrors } = require('../utils/validation');
+
+// Buttons offered when a description matches several tasks; reassign and history need an ID instead
+const PICKER_BUTTONS = {
+  start: { text: 'Start', actionId: 'start_task' },
+  reopen: { text: 'Reopen', actionId: 'reopen_task' },
+  cancel: { text: 'Cancel', actionId: 'cancel_task' }
+};
+
+// What a description lookup searched, for the not-found message
+const MATCH_LABELS = {
+  reopen: 'completed or cancelled task',
+  history: 'task'
+};
+
+const USAGE = 'Usage: /task start [task] | /task reassign @username [task] | /task reopen [task] | /task cancel [task] | /task history [task]';
+
+const TASK_SCHEMA = {
+  fields: {
+    action: { values: ['start', 'reassign', 'reopen', 'cancel', 'history'] }
+  }
+};
+
+async function handleTaskCommand({ command, respond, client, logger, isDM = false }) {
+  logger.info('Processing /task command:', command);
+  
+  try {
+    const text = command.text.trim();
+    const [subcommand, ...rest] = text.split(/\s+/);
+    const action = (subcommand || '').toLowerCase();
+    
+    if (!action) {
+      await respond({
+        text: USAGE,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    const validation = await validateArgs({ action }, TASK_SCHEMA);
+    if (validation.errors.length > 0) {
+      await respond({
+        text: `${formatValidationErrors(validation.errors)}\n${USAGE}`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    // Reassign takes the new assignee before the task description
+    let newAssigneeId = null;
+    if (action === 'reassign') {
+      if (!rest.length || !rest[0].includes('@')) {
+        await respond({
+          text: 'Usage: /task reassign @username [task description]',
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      
+      newAssigneeId = extractUserId(rest.shift());
+      if (newAssigneeId.startsWith('USERNAME:')) {
+        await respond({
+          text: 'Please pick the new assignee with a Slack @mention.',
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+    }
+    
+    const query = rest.join(' ').trim();
+    if (!query) {
+      await respond({
+        text: USAGE,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    const matches = await findTasks(query, action, action === 'start' ? command.user_id : null);
+    
+    if (matches.length === 0) {
+      await respond({
+        text: `No ${MATCH_LABELS[action] || 'open task'} found matching "${query}". Please check the task description and try again.`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    // Several descriptions matched: let the user pick instead of guessing
+    if (matches.length > 1) {
+      await respond({
+        blocks: taskService.formatTaskPicker(matches, query, PICKER_BUTTONS[action] || null),
+        text: `${matches.length} tasks match "${query}"`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    const task = matches[0];
+    
+    if (action === 'history') {
+      const history = await taskService.getTaskHistory(task.taskId);
+      await respond({
+        blocks: taskService.formatTaskHistory(history),
+        text: `History for "${task.title}"`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    // Get user information for the person making the change
+    let userName = "Unknown User";
+    try {
+      const userInfo = await client.users.info({ user: command.user_id });
+      userName = userInfo.user.real_name || userInfo.user.name;
+    } catch (error) {
+      logger.error(`Error fetching user info for ${command.user_id}:`, error);
+      // Continue with unknown user name
+    }
+    
+    let result;
+    if (action === 'reassign') {
+      let newAssigneeName = "Unknown User";
+      try {
+        const assigneeInfo = await client.users.info({ user: newAssigneeId });
+        newAssigneeName = assigneeInfo.user.real_name || assigneeInfo.user.name;
+      } catch (error) {
+        logger.error(`Error fetching user info for ${newAssigneeId}:`, error);
+        // Continue with unknown user name
+      }
+      
+      result = await taskService.reassignTask(task.taskId, newAssigneeId, newAssigneeName, command.user_id, userName);
+    } else {
+      result = await taskService.performTaskAction(task.taskId, action, command.user_id, userName, client);
+    }
+    
+    if (!result.success) {
+      await respond({
+        text: result.message,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    await respond({
+      blocks: taskService.formatTaskUpdateMessage(result.task, action, command.user_id, result.previousTask),
+      text: `Task "${result.task.title}" updated`,
+      response_type: 'ephemeral'
+    });
+    
+    await taskService.notifyTaskUpdate(client, result.task, action, command.user_id, result.previousTask);
+  
+  } catch (error) {
+    logger.error('Error in /task command:', error);
+    await respond({
+      text: `Error updating task: ${error.message}`,
+      response_type: 'ephemeral'
+    });
+  }
+}
+
+// Look up candidate tasks by ID or description, preferring the user's own tasks.
+// Descriptions only match tasks the action applies to: closed ones for reopen, any for history.
+async function findTasks(query, action, assigneeId = null) {
+  if (idService.isId(query)) {
+    const task = await taskService.getTaskById(idService.normalizeId(query));
+    if (task) {
+      return [task];
+    }
+  }
+  
+  const status = action === 'reopen' ? 'closed' : action === 'history' ? 'any' : 'open';
+  
+  if (assigneeId) {
+    const ownTasks = await taskService.findTasksByDescription(query, { assigneeId, status });
+    if (ownTasks.length > 0) {
+      return ownTasks;
+    }
+  }
+  
+  return taskService.findTasksByDescription(query, { status });
+}
+
+module.exports = {
+  handleTaskCommand
+};
\ No newline at end of file
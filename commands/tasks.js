@@ -1,6 +1,20 @@
 // commands/tasks.js
 const taskService = require('../services/taskService');
+const teamService = require('../services/teamService');
+const clientService = require('../services/clientService');
+const idService = require('../services/idService');
 const { extractUserId } = require('../utils/parsers');
+const { validateArgs, formatValidationErrors } = require('../utils/validation');
+
+// Filters /tasks accepts and the values they allow
+const TASKS_SCHEMA = {
+  flags: ['team', 'type', 'priority', 'status', 'client'],
+  fields: {
+    team: { values: teamService.getTeamNames },
+    priority: { values: taskService.TASK_PRIORITIES },
+    status: { values: taskService.TASK_STATUSES }
+  }
+};
 
 async function handleTasksCommand({ command, respond, client, logger, isDM = false }) {
   logger.info('Processing /tasks command:', command);
@@ -9,6 +23,28 @@ async function handleTasksCommand({ command, respond, client, logger, isDM = fal
     const text = command.text.trim();
     const filters = {};
     
+    // A single task ID shows just that task; text that only looks like one (e.g. "covid-19")
+    // is searched for in titles and descriptions instead
+    if (idService.isId(text)) {
+      const task = await taskService.getTaskById(idService.normalizeId(text));
+      const tasks = task ? [task] : await taskService.findTasksByDescription(text, { status: 'any' });
+      
+      if (tasks.length === 0) {
+        await respond({
+          text: `No task found with ID ${idService.normalizeId(text)} or matching "${text}".`,
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      
+      await respond({
+        blocks: taskService.formatTaskList(tasks),
+        text: task ? `Task ${task.taskId}: ${task.title}` : `Found ${tasks.length} tasks matching "${text}"`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
     // Default to current user's tasks if no arguments provided
     if (!text && isDM) {
       filters.assigneeId = command.user_id;
@@ -21,6 +57,7 @@ async function handleTasksCommand({ command, respond, client, logger, isDM = fal
     } else {
       // Parse other filters
       const args = text.split(' ');
+      const parsed = { unknownFlags: [] };
       
       for (const arg of args) {
         if (arg.includes('=')) {
@@ -28,21 +65,34 @@ async function handleTasksCommand({ command, respond, client, logger, isDM = fal
           if (key && value) {
             // Handle special case for team filter which might be specified as team= or type=
             if (key === 'team' || key === 'type') {
-              filters.team = value.toLowerCase();
+              parsed.team = value;
             } else if (key === 'priority') {
-              filters.priority = value.toLowerCase();
+              parsed.priority = value;
             } else if (key === 'status') {
-              filters.status = value.toLowerCase();
+              parsed.status = value;
             } else if (key === 'client') {
-              filters.client = value;
+              filters.client = await clientService.resolveClientName(value);
+            } else {
+              parsed.unknownFlags.push(key);
             }
           }
-        } else if (arg.startsWith('#')) {
-          // Treat as channel name for client
-          const channelName = arg.substring(1);
-          filters.client = channelName;
+        } else if (arg.startsWith('#') || arg.startsWith('<#')) {
+          // Treat as a client channel
+          const result = await clientService.resolveClientForMention(client, arg);
+          filters.client = result.client;
         }
       }
+      
+      const validation = await validateArgs(parsed, TASKS_SCHEMA);
+      if (validation.errors.length > 0) {
+        await respond({
+          text: formatValidationErrors(validation.errors),
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      
+      Object.assign(filters, validation.values);
     }
     
     logger.debug('Parsed task filters:', filters);
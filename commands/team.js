@@ -0,0 +1,125 @@
+// commands/team.js
+const teamService = require('../services/teamService');
+const { parseTeamArgs } = require('../utils/parsers');
+const { isAdmin } = require('../utils/permissions');
+const { validateArgs, formatValidationErrors } = require('../utils/validation');
+
+const USAGE = 'Usage: /team list | /team add [name] [-label="Display name"] [-keywords=word1,word2] [-channel=#channel] [-lead=@username] | /team edit [name] [options] | /team remove [name]';
+
+const TEAM_SCHEMA = {
+  flags: ['-label', '-keywords', '-channel', '-lead'],
+  fields: {
+    action: { values: ['list', 'add', 'edit', 'remove'] }
+  }
+};
+
+async function handleTeamCommand({ command, respond, client, logger, isDM = false }) {
+  logger.info('Processing /team command:', command);
+  
+  try {
+    const args = parseTeamArgs(command.text.trim());
+    args.action = args.action || 'list';
+    
+    const validation = await validateArgs(args, TEAM_SCHEMA);
+    if (validation.errors.length > 0) {
+      await respond({
+        text: `${formatValidationErrors(validation.errors)}\n${USAGE}`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    if (args.action === 'list') {
+      const teams = await teamService.loadTeams();
+      await respond({
+        blocks: teamService.formatTeamList(teams),
+        text: `${teams.length} teams`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    if (!args.name) {
+      await respond({
+        text: USAGE,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    if (!(await isAdmin(client, command.user_id))) {
+      await respond({
+        text: 'Only workspace admins can change teams.',
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    if (args.leadId && args.leadId.startsWith('USERNAME:')) {
+      await respond({
+        text: 'Please pick the team lead with a Slack @mention.',
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    let result;
+    if (args.action === 'add') {
+      result = await teamService.createTeam(args);
+    } else if (args.action === 'edit') {
+      result = await teamService.updateTeam(args.name, args);
+    } else {
+      result = await teamService.removeTeam(args.name);
+    }
+    
+    if (!result.success) {
+      await respond({
+        text: result.message,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    logger.info(`Team ${args.name} ${args.action} by ${command.user_id}`);
+    
+    const messages = {
+      add: `Added team \`${result.team.name}\`.`,
+      edit: `Updated team \`${result.team.name}\`.`,
+      remove: `Removed team \`${result.team.name}\`. Closed tasks keep their team name.`
+    };
+    
+    await respond({
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: messages[args.action]
+          }
+        },
+        ...(args.action === 'remove' ? [] : [
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: teamService.formatTeam(result.team)
+            }
+          }
+        ])
+      ],
+      text: messages[args.action],
+      response_type: 'ephemeral'
+    });
+  
+  } catch (error) {
+    logger.error('Error in /team command:', error);
+    await respond({
+      text: `Error managing teams: ${error.message}`,
+      response_type: 'ephemeral'
+    });
+  }
+}
+
+module.exports = {
+  handleTeamCommand
+};
\ No newline at end of file
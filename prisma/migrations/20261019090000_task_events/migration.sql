@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "TaskEvent" (
+    "id" SERIAL NOT NULL,
+    "taskId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "actorId" TEXT,
+    "actorName" TEXT,
+    "details" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TaskEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TaskEvent_taskId_idx" ON "TaskEvent"("taskId");
+
+-- AddForeignKey
+ALTER TABLE "TaskEvent" ADD CONSTRAINT "TaskEvent_taskId_fkey" FOREIGN KEY ("taskId") REFERENCES "Task"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
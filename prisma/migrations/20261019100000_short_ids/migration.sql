@@ -0,0 +1,7 @@
+-- CreateTable
+CREATE TABLE "Sequence" (
+    "name" TEXT NOT NULL,
+    "value" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "Sequence_pkey" PRIMARY KEY ("name")
+);
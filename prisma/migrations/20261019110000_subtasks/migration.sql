@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Task" ADD COLUMN     "autoComplete" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "parentId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Task_parentId_idx" ON "Task"("parentId");
+
+-- AddForeignKey
+ALTER TABLE "Task" ADD CONSTRAINT "Task_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "Task"("id") ON DELETE SET NULL ON UPDATE CASCADE;
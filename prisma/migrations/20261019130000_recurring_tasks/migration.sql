@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "Task" ADD COLUMN     "recurringTaskId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "RecurringTask" (
+    "id" SERIAL NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "priority" TEXT NOT NULL,
+    "team" TEXT NOT NULL,
+    "assigneeId" TEXT NOT NULL,
+    "assigneeName" TEXT NOT NULL,
+    "creatorId" TEXT NOT NULL,
+    "creatorName" TEXT NOT NULL,
+    "channel" TEXT NOT NULL,
+    "channelName" TEXT,
+    "client" TEXT,
+    "schedule" TEXT NOT NULL,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "lastRunAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RecurringTask_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "Task" ADD CONSTRAINT "Task_recurringTaskId_fkey" FOREIGN KEY ("recurringTaskId") REFERENCES "RecurringTask"("id") ON DELETE SET NULL ON UPDATE CASCADE;
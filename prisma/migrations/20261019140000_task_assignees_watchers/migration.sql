@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Task" ADD COLUMN     "assigneeIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "assigneeNames" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "watcherIds" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- Existing tasks have their single assignee as the only entry
+UPDATE "Task" SET "assigneeIds" = ARRAY["assigneeId"], "assigneeNames" = ARRAY["assigneeName"];
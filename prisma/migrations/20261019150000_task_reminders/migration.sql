@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "TaskReminder" (
+    "id" SERIAL NOT NULL,
+    "taskId" INTEGER NOT NULL,
+    "kind" TEXT NOT NULL,
+    "deadline" TIMESTAMP(3) NOT NULL,
+    "recipientId" TEXT NOT NULL,
+    "sentAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TaskReminder_pkey" PRIMARY KEY ("id")
+);
+
+-- Keep the one-hour reminders already sent so they are not repeated
+INSERT INTO "TaskReminder" ("taskId", "kind", "deadline", "recipientId")
+SELECT "id", 'before_1h', "deadline", "assigneeId" FROM "Task" WHERE "reminderSent" = true;
+
+-- AlterTable
+ALTER TABLE "Task" DROP COLUMN "reminderSent";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TaskReminder_taskId_kind_deadline_recipientId_key" ON "TaskReminder"("taskId", "kind", "deadline", "recipientId");
+
+-- AddForeignKey
+ALTER TABLE "TaskReminder" ADD CONSTRAINT "TaskReminder_taskId_fkey" FOREIGN KEY ("taskId") REFERENCES "Task"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
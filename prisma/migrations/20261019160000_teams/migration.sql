@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "Team" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "keywords" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "reportChannel" TEXT,
+    "leadId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Team_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Team_name_key" ON "Team"("name");
+
+-- Seed the teams that used to be hard-coded
+INSERT INTO "Team" ("name", "label", "keywords", "reportChannel") VALUES
+    ('content', 'Content', ARRAY['content', 'writing', 'blog', 'article', 'post', 'copy', 'newsletter', 'text'], 'team-content'),
+    ('design', 'Design', ARRAY['design', 'ui', 'ux', 'mockup', 'wireframe', 'visual', 'graphic', 'illustration'], 'team-design'),
+    ('product', 'Product', ARRAY['product', 'feature', 'roadmap', 'spec', 'dev', 'code', 'programming', 'functionality'], 'team-product'),
+    ('ops', 'Operations', ARRAY['ops', 'operation', 'logistics', 'process', 'admin', 'management'], 'team-ops');
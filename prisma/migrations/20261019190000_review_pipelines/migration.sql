@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Client" ADD COLUMN "reviewPipeline" JSONB;
+
+-- AlterTable
+ALTER TABLE "Review" ADD COLUMN "stages" JSONB,
+ADD COLUMN "currentStage" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Feedback" ADD COLUMN "stage" INTEGER NOT NULL DEFAULT 0;
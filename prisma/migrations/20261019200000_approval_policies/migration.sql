@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Client" ADD COLUMN "approvalPolicy" JSONB;
+
+-- AlterTable
+ALTER TABLE "Review" ADD COLUMN "approvalPolicy" JSONB;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Review" ADD COLUMN "messageTs" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Review_channel_messageTs_idx" ON "Review"("channel", "messageTs");
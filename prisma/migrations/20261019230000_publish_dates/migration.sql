@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Review" ADD COLUMN "publishAt" TIMESTAMP(3),
+ADD COLUMN "publishedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Review_status_publishAt_idx" ON "Review"("status", "publishAt");
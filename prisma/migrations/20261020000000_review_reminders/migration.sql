@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "ReviewReminder" (
+    "id" SERIAL NOT NULL,
+    "reviewId" INTEGER NOT NULL,
+    "kind" TEXT NOT NULL,
+    "deadline" TIMESTAMP(3) NOT NULL,
+    "recipientId" TEXT NOT NULL,
+    "sentAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ReviewReminder_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReviewReminder_reviewId_kind_deadline_recipientId_key" ON "ReviewReminder"("reviewId", "kind", "deadline", "recipientId");
+
+-- AddForeignKey
+ALTER TABLE "ReviewReminder" ADD CONSTRAINT "ReviewReminder_reviewId_fkey" FOREIGN KEY ("reviewId") REFERENCES "Review"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
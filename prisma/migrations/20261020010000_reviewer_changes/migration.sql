@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "ReviewerChange" (
+    "id" SERIAL NOT NULL,
+    "reviewId" INTEGER NOT NULL,
+    "action" TEXT NOT NULL,
+    "reviewerId" TEXT NOT NULL,
+    "reviewerName" TEXT NOT NULL,
+    "actorId" TEXT NOT NULL,
+    "actorName" TEXT NOT NULL,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ReviewerChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ReviewerChange_reviewId_idx" ON "ReviewerChange"("reviewId");
+
+-- AddForeignKey
+ALTER TABLE "ReviewerChange" ADD CONSTRAINT "ReviewerChange_reviewId_fkey" FOREIGN KEY ("reviewId") REFERENCES "Review"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,289 @@
+// services/calendarService.js
+const crypto = require('crypto');
+const reviewService = require('./reviewService');
+const taskService = require('./taskService');
+const clientService = require('./clientService');
+const { getZonedParts, zonedTimeToUtc, addCalendarDays, getWeekday, getDefaultTimezone } = require('../utils/dates');
+const { fitSectionLines } = require('../utils/formatters');
+
+let prisma;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_CALENDAR_WEEKS = 4;
+const MAX_CALENDAR_WEEKS = 12;
+
+// How far back and ahead the iCalendar feed reaches
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 180;
+
+const EVENT_LABELS = {
+  review: { icon: '👀', text: 'review due' },
+  task: { icon: '📋', text: 'task due' },
+  publish: { icon: '🚀', text: 'publishing' },
+  published: { icon: '🚀', text: 'published' }
+};
+
+function init(prismaClient) {
+  prisma = prismaClient;
+}
+
+// Review deadlines, task deadlines and publish dates between from and to, oldest first.
+// Each event is { type, date, id, title, client, url, userIds }.
+async function getCalendarEvents(clientName, from, to) {
+  const clientWhere = clientName ? { client: await clientService.clientFilter(clientName) } : {};
+  const range = { gte: from, lt: to };
+  
+  try {
+    const [reviews, tasks, scheduled] = await Promise.all([
+      prisma.review.findMany({
+        where: {
+          ...clientWhere,
+          deadline: range,
+          status: { notIn: reviewService.CLOSED_REVIEW_STATUSES }
+        }
+      }),
+      prisma.task.findMany({
+        where: {
+          ...clientWhere,
+          deadline: range,
+          status: { notIn: taskService.CLOSED_TASK_STATUSES }
+        }
+      }),
+      prisma.review.findMany({
+        where: {
+          ...clientWhere,
+          OR: [
+            { publishAt: range, status: { not: 'published' } },
+            { publishedAt: range, status: 'published' }
+          ]
+        }
+      })
+    ]);
+    
+    const events = [
+      ...reviews.map(review => ({
+        type: 'review',
+        date: review.deadline,
+        id: review.reviewId,
+        title: review.title,
+        client: review.client,
+        url: review.url,
+        userIds: reviewService.getCurrentStageReviewers(review)
+      })),
+      ...tasks.map(task => ({
+        type: 'task',
+        date: task.deadline,
+        id: task.taskId,
+        title: task.title,
+        client: task.client,
+        url: null,
+        userIds: task.assigneeIds.length > 0 ? task.assigneeIds : [task.assigneeId]
+      })),
+      ...scheduled.map(review => ({
+        type: review.status === 'published' ? 'published' : 'publish',
+        date: review.status === 'published' ? review.publishedAt : review.publishAt,
+        id: review.reviewId,
+        title: review.title,
+        client: review.client,
+        url: review.url,
+        userIds: []
+      }))
+    ];
+    
+    return events.sort((a, b) => new Date(a.date) - new Date(b.date));
+  } catch (error) {
+    console.error('Error fetching calendar events:', error);
+    return [];
+  }
+}
+
+// Monday-to-Sunday weeks starting with the current one, in the viewer's time zone
+function getCalendarWeeks(weeks = DEFAULT_CALENDAR_WEEKS, timezone = getDefaultTimezone(), now = new Date()) {
+  const today = getZonedParts(now, timezone).date;
+  const monday = addCalendarDays(today, -((getWeekday(today) + 6) % 7));
+  
+  return Array.from({ length: weeks }, (_, i) => {
+    const start = addCalendarDays(monday, i * 7);
+    return {
+      start,
+      from: zonedTimeToUtc(start, '00:00', timezone),
+      to: zonedTimeToUtc(addCalendarDays(start, 7), '00:00', timezone)
+    };
+  });
+}
+
+function formatDay(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+}
+
+function formatCalendarEvent(event, clientName, timezone) {
+  const parts = getZonedParts(event.date, timezone);
+  const label = EVENT_LABELS[event.type];
+  const people = event.userIds.length > 0 ? ` · ${event.userIds.map(id => `<@${id}>`).join(', ')}` : '';
+  const title = event.url ? `<${event.url}|${event.title}>` : event.title;
+  
+  return `• ${formatDay(parts.date)} ${parts.time} ${label.icon} \`${event.id}\` ${title}${clientName || !event.client ? '' : ` (${event.client})`} - ${label.text}${people}`;
+}
+
+function formatCalendar(events, weeks, clientName = null, timezone = getDefaultTimezone(), feedUrl = null) {
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: clientName ? `Content calendar for ${clientName}` : "Content calendar",
+        emoji: false
+      }
+    }
+  ];
+  
+  weeks.forEach(week => {
+    const heading = `*Week of ${formatDay(week.start)}*`;
+    const lines = events
+      .filter(event => new Date(event.date) >= week.from && new Date(event.date) < week.to)
+      .map(event => formatCalendarEvent(event, clientName, timezone));
+    
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `${heading}\n${lines.length > 0 ? fitSectionLines(lines, heading.length + 1).join('\n') : '_Nothing due_'}`
+      }
+    });
+  });
+  
+  blocks.push({
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: `Times in ${timezone} · 👀 review deadlines · 📋 task deadlines · 🚀 publish dates` +
+              (feedUrl ? ` · <${feedUrl}|Subscribe in your calendar app>` : '')
+      }
+    ]
+  });
+  
+  return blocks;
+}
+
+// The feed is only served when CALENDAR_FEED_TOKEN is set, to requests carrying that token
+function isValidFeedToken(token) {
+  const expected = process.env.CALENDAR_FEED_TOKEN;
+  if (!expected || typeof token !== 'string') {
+    return false;
+  }
+  
+  const given = Buffer.from(token);
+  const wanted = Buffer.from(expected);
+  return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+}
+
+// Subscription link for a client's feed (all clients without one), or null when the feed is off
+function getFeedUrl(clientName = null) {
+  const baseUrl = process.env.PUBLIC_URL;
+  const token = process.env.CALENDAR_FEED_TOKEN;
+  if (!baseUrl || !token) {
+    return null;
+  }
+  
+  const params = new URLSearchParams({ token });
+  if (clientName) {
+    params.set('client', clientName);
+  }
+  return `${baseUrl.replace(/\/+$/, '')}/calendar.ics?${params}`;
+}
+
+async function getFeedEvents(clientName = null, now = new Date()) {
+  return getCalendarEvents(
+    clientName,
+    new Date(now.getTime() - FEED_PAST_DAYS * DAY_MS),
+    new Date(now.getTime() + FEED_FUTURE_DAYS * DAY_MS)
+  );
+}
+
+function formatICalDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeICalText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545 3.1)
+function foldICalLine(line) {
+  const folded = [];
+  let current = '';
+  
+  for (const char of line) {
+    const limit = folded.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      folded.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  folded.push(current);
+  
+  return folded.join('\r\n ');
+}
+
+function formatICalendar(events, clientName = null, now = new Date()) {
+  const name = clientName ? `Content calendar for ${clientName}` : 'Content calendar';
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Inagiffy//Workflow Bot//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICalText(name)}`
+  ];
+  
+  events.forEach(event => {
+    const label = EVENT_LABELS[event.type];
+    const description = [
+      `${event.id}${event.client ? ` for ${event.client}` : ''}`,
+      event.url
+    ].filter(Boolean).join('\n');
+    
+    lines.push(
+      'BEGIN:VEVENT',
+      // Stable per item and kind, so calendar apps move an event when its date changes
+      `UID:${event.type}-${event.id}@inagiffy-bot`,
+      `DTSTAMP:${formatICalDate(now)}`,
+      `DTSTART:${formatICalDate(event.date)}`,
+      `SUMMARY:${escapeICalText(`${label.icon} ${event.title} - ${label.text}`)}`,
+      `DESCRIPTION:${escapeICalText(description)}`
+    );
+    if (event.url) {
+      lines.push(`URL:${event.url}`);
+    }
+    lines.push('END:VEVENT');
+  });
+  
+  lines.push('END:VCALENDAR');
+  return lines.map(foldICalLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  DEFAULT_CALENDAR_WEEKS,
+  MAX_CALENDAR_WEEKS,
+  init,
+  getCalendarEvents,
+  getCalendarWeeks,
+  formatCalendar,
+  isValidFeedToken,
+  getFeedUrl,
+  getFeedEvents,
+  formatICalendar
+};
\ No newline at end of file
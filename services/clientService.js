@@ -0,0 +1,514 @@
+// services/clientService.js
+const { extractChannel } = require('../utils/parsers');
+
+let prisma;
+
+const CLIENT_STATUSES = ['active', 'paused', 'archived'];
+
+// Most clients listed by /client list, to stay within Slack's block limit
+const MAX_LISTED_CLIENTS = 45;
+
+function init(prismaClient) {
+  prisma = prismaClient;
+}
+
+// "#client-Acme", "client-acme" and "ACME " all normalize to "acme"
+function normalizeClientName(text) {
+  return (text || '')
+    .trim()
+    .replace(/^#/, '')
+    .replace(/^client-/i, '')
+    .toLowerCase();
+}
+
+// Registered client by canonical name or alias, or null
+async function findClient(text) {
+  const normalized = normalizeClientName(text);
+  if (!normalized) {
+    return null;
+  }
+  
+  try {
+    return await prisma.client.findFirst({
+      where: {
+        OR: [
+          { name: { equals: normalized, mode: 'insensitive' } },
+          { aliases: { has: normalized } }
+        ]
+      }
+    });
+  } catch (error) {
+    console.error(`Error finding client ${text}:`, error);
+    return null;
+  }
+}
+
+// Registered client a Slack channel is linked to, or null
+async function getClientByChannel(channelId) {
+  if (!channelId) {
+    return null;
+  }
+  
+  try {
+    return await prisma.client.findFirst({
+      where: {
+        channelIds: {
+          has: channelId
+        }
+      }
+    });
+  } catch (error) {
+    console.error(`Error finding client for channel ${channelId}:`, error);
+    return null;
+  }
+}
+
+async function getClients() {
+  try {
+    return await prisma.client.findMany({
+      orderBy: {
+        name: 'asc'
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching clients:', error);
+    return [];
+  }
+}
+
+// Every name a client's tasks and reviews may be stored under, for filters
+async function getClientNames(text) {
+  const registered = await findClient(text);
+  if (!registered) {
+    return [text];
+  }
+  return [...new Set([registered.name, ...registered.aliases])];
+}
+
+// Prisma where clause matching a client under any of its names, e.g. where.client = await clientFilter('acme')
+async function clientFilter(text) {
+  return {
+    in: await getClientNames(text),
+    mode: 'insensitive'
+  };
+}
+
+// Canonical client name for text typed by a user, or the text itself if unregistered
+async function resolveClientName(text) {
+  if (!text) {
+    return null;
+  }
+  const registered = await findClient(text);
+  return registered ? registered.name : text;
+}
+
+// Client for a channel: its linked client, else a "client: X" channel purpose, else the
+// channel name without a "client-" prefix. Returns { client, channelId, channelName, registered }.
+async function resolveClientForChannel(slackClient, channelId) {
+  const linked = await getClientByChannel(channelId);
+  let channelName = null;
+  let derived = null;
+  
+  try {
+    const info = await slackClient.conversations.info({ channel: channelId });
+    channelName = info.channel.name;
+    
+    const purpose = info.channel.purpose && info.channel.purpose.value;
+    const purposeMatch = purpose ? purpose.match(/client:\s*([^,\n]+)/i) : null;
+    derived = purposeMatch ? purposeMatch[1].trim() : channelName.replace(/^client-/, '');
+  } catch (error) {
+    console.error(`Error getting channel info for ${channelId}:`, error);
+  }
+  
+  if (linked) {
+    return { client: linked.name, channelId, channelName, registered: linked };
+  }
+  
+  const registered = derived ? await findClient(derived) : null;
+  return {
+    client: registered ? registered.name : derived,
+    channelId,
+    channelName,
+    registered
+  };
+}
+
+// Slack channel ID for a channel as typed: <#C123|name>, #C123 or #name; null if not found
+async function getChannelId(slackClient, mention) {
+  const channel = extractChannel(mention);
+  if (/^[CG][A-Z0-9]+$/.test(channel)) {
+    return channel;
+  }
+  
+  try {
+    const result = await slackClient.conversations.list();
+    const match = result.channels.find(c => c.name === channel);
+    return match ? match.id : null;
+  } catch (error) {
+    console.error(`Error looking up channel ${channel}:`, error);
+    return null;
+  }
+}
+
+// Client for a channel mention as typed: <#C123|name>, #C123 or #name
+async function resolveClientForMention(slackClient, mention) {
+  const channelId = await getChannelId(slackClient, mention);
+  if (channelId) {
+    return resolveClientForChannel(slackClient, channelId);
+  }
+  
+  // Not a channel we can see; treat it as a client name
+  const name = extractChannel(mention);
+  const registered = await findClient(name);
+  return {
+    client: registered ? registered.name : normalizeClientName(name),
+    channelId: null,
+    channelName: name,
+    registered
+  };
+}
+
+// Whether an alias or name is already taken by a client other than exceptId
+async function findConflict(names, exceptId = null) {
+  for (const name of names) {
+    const existing = await findClient(name);
+    if (existing && existing.id !== exceptId) {
+      return { name, client: existing };
+    }
+  }
+  return null;
+}
+
+// Register a new client, or update owner, status and aliases of an existing one
+async function registerClient(data) {
+  const name = (data.name || '').trim();
+  if (!name) {
+    return {
+      success: false,
+      message: 'Please give the client a name.'
+    };
+  }
+  
+  const existing = await findClient(name);
+  const aliases = (data.aliases || []).map(normalizeClientName).filter(Boolean);
+  
+  const conflict = await findConflict(aliases, existing ? existing.id : null);
+  if (conflict) {
+    return {
+      success: false,
+      message: `"${conflict.name}" already refers to client *${conflict.client.name}*.`
+    };
+  }
+  
+  try {
+    let client;
+    if (existing) {
+      const changes = {
+        aliases: [...new Set([...existing.aliases, ...aliases])]
+      };
+      if (data.ownerId !== undefined) {
+        changes.ownerId = data.ownerId;
+      }
+      if (data.status !== undefined) {
+        changes.status = data.status;
+      }
+      
+      client = await prisma.client.update({
+        where: {
+          id: existing.id
+        },
+        data: changes
+      });
+    } else {
+      client = await prisma.client.create({
+        data: {
+          name,
+          aliases: [...new Set([normalizeClientName(name), ...aliases])],
+          ownerId: data.ownerId || null,
+          status: data.status || 'active'
+        }
+      });
+    }
+    
+    console.log(`Client ${existing ? 'updated' : 'registered'}:`, client);
+    
+    return {
+      success: true,
+      created: !existing,
+      client
+    };
+  } catch (error) {
+    console.error(`Error registering client ${name}:`, error);
+    return {
+      success: false,
+      message: `Error registering client: ${error.message}`
+    };
+  }
+}
+
+// Link a Slack channel to a client; a channel belongs to at most one client
+async function linkChannel(name, channelId) {
+  const client = await findClient(name);
+  if (!client) {
+    return {
+      success: false,
+      message: `No client named "${name}". Register it first with \`/client register ${name}\`.`
+    };
+  }
+  
+  const linked = await getClientByChannel(channelId);
+  if (linked && linked.id !== client.id) {
+    return {
+      success: false,
+      message: `<#${channelId}> is already linked to *${linked.name}*.`
+    };
+  }
+  
+  if (linked) {
+    return {
+      success: true,
+      client
+    };
+  }
+  
+  try {
+    const updated = await prisma.client.update({
+      where: {
+        id: client.id
+      },
+      data: {
+        channelIds: {
+          push: channelId
+        }
+      }
+    });
+    
+    console.log(`Linked channel ${channelId} to client ${client.name}`);
+    return {
+      success: true,
+      client: updated
+    };
+  } catch (error) {
+    console.error(`Error linking channel ${channelId} to ${client.name}:`, error);
+    return {
+      success: false,
+      message: `Error linking channel: ${error.message}`
+    };
+  }
+}
+
+async function addAliases(name, aliases) {
+  const client = await findClient(name);
+  if (!client) {
+    return {
+      success: false,
+      message: `No client named "${name}". Register it first with \`/client register ${name}\`.`
+    };
+  }
+  
+  return registerClient({ name: client.name, aliases });
+}
+
+// A client's review stages in order, or [] when reviews go to tagged reviewers only
+function getReviewPipeline(client) {
+  return client && Array.isArray(client.reviewPipeline) ? client.reviewPipeline : [];
+}
+
+// Replace a client's review pipeline; an empty list removes it
+async function setReviewPipeline(name, stages) {
+  const client = await findClient(name);
+  if (!client) {
+    return {
+      success: false,
+      message: `No client named "${name}". Register it first with \`/client register ${name}\`.`
+    };
+  }
+  
+  const empty = stages.find(stage => stage.reviewerIds.length === 0);
+  if (empty) {
+    return {
+      success: false,
+      message: `The ${empty.name} stage needs at least one reviewer, e.g. \`${empty.name}:@username\`.`
+    };
+  }
+  
+  try {
+    const updated = await prisma.client.update({
+      where: {
+        id: client.id
+      },
+      data: {
+        reviewPipeline: stages.map(stage => ({ name: stage.name, reviewerIds: stage.reviewerIds }))
+      }
+    });
+    
+    console.log(`Review pipeline for ${client.name} set to:`, stages);
+    return {
+      success: true,
+      client: updated
+    };
+  } catch (error) {
+    console.error(`Error setting review pipeline for ${client.name}:`, error);
+    return {
+      success: false,
+      message: `Error setting review pipeline: ${error.message}`
+    };
+  }
+}
+
+// Approval policy of a client or review. With no quorum, required reviewers or leads everyone must approve.
+function getApprovalPolicy(record) {
+  const policy = (record && record.approvalPolicy) || {};
+  return {
+    quorum: policy.quorum || null,
+    requiredIds: policy.requiredIds || [],
+    leadIds: policy.leadIds || []
+  };
+}
+
+function hasApprovalPolicy(policy) {
+  return Boolean(policy.quorum || policy.requiredIds.length > 0 || policy.leadIds.length > 0);
+}
+
+// Replace a client's default approval policy; an empty policy means everyone must approve
+async function setApprovalPolicy(name, policy) {
+  const client = await findClient(name);
+  if (!client) {
+    return {
+      success: false,
+      message: `No client named "${name}". Register it first with \`/client register ${name}\`.`
+    };
+  }
+  
+  try {
+    const updated = await prisma.client.update({
+      where: {
+        id: client.id
+      },
+      data: {
+        approvalPolicy: getApprovalPolicy({ approvalPolicy: policy })
+      }
+    });
+    
+    console.log(`Approval policy for ${client.name} set to:`, policy);
+    return {
+      success: true,
+      client: updated
+    };
+  } catch (error) {
+    console.error(`Error setting approval policy for ${client.name}:`, error);
+    return {
+      success: false,
+      message: `Error setting approval policy: ${error.message}`
+    };
+  }
+}
+
+// e.g. "any 2 of 4 · must approve: @ann · can approve alone: @lee"; quorums apply to each review stage
+function formatApprovalPolicy(policy, reviewerCount = null) {
+  if (!hasApprovalPolicy(policy)) {
+    return 'everyone must approve';
+  }
+  
+  const quorum = reviewerCount ? `any ${Math.min(policy.quorum, reviewerCount)} of ${reviewerCount}` : `any ${policy.quorum} approvals`;
+  const parts = [policy.quorum ? quorum : 'everyone must approve'];
+  if (policy.requiredIds.length > 0) {
+    parts.push(`must approve: ${policy.requiredIds.map(id => `<@${id}>`).join(', ')}`);
+  }
+  if (policy.leadIds.length > 0) {
+    parts.push(`can approve alone: ${policy.leadIds.map(id => `<@${id}>`).join(', ')}`);
+  }
+  
+  return parts.join(' · ');
+}
+
+function formatClient(client) {
+  const owner = client.ownerId ? `<@${client.ownerId}>` : 'none';
+  const channels = client.channelIds.length > 0 ? client.channelIds.map(id => `<#${id}>`).join(', ') : 'none';
+  const aliases = client.aliases.filter(alias => alias !== client.name.toLowerCase());
+  const status = client.status === 'active' ? '' : ` · ${client.status}`;
+  
+  const pipeline = getReviewPipeline(client)
+    .map(stage => `${stage.name} (${stage.reviewerIds.map(id => `<@${id}>`).join(', ')})`)
+    .join(' → ');
+  
+  return `*${client.name}*${status}\n` +
+         `Owner: ${owner} · Channels: ${channels}\n` +
+         `Also known as: ${aliases.length > 0 ? aliases.join(', ') : 'none'}\n` +
+         `Review pipeline: ${pipeline || 'none, reviews go to the tagged reviewers'}\n` +
+         `Approval policy: ${formatApprovalPolicy(getApprovalPolicy(client))}`;
+}
+
+function formatClientList(clients) {
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: "Clients",
+        emoji: false
+      }
+    }
+  ];
+  
+  if (clients.length === 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "No clients registered yet. Add one with `/client register [name]`."
+      }
+    });
+    return blocks;
+  }
+  
+  clients.slice(0, MAX_LISTED_CLIENTS).forEach(client => {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: formatClient(client)
+      }
+    });
+  });
+  
+  if (clients.length > MAX_LISTED_CLIENTS) {
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `_…and ${clients.length - MAX_LISTED_CLIENTS} more clients_`
+        }
+      ]
+    });
+  }
+  
+  return blocks;
+}
+
+module.exports = {
+  CLIENT_STATUSES,
+  init,
+  normalizeClientName,
+  findClient,
+  getClientByChannel,
+  getClients,
+  getClientNames,
+  clientFilter,
+  resolveClientName,
+  resolveClientForChannel,
+  getChannelId,
+  resolveClientForMention,
+  registerClient,
+  linkChannel,
+  addAliases,
+  getReviewPipeline,
+  setReviewPipeline,
+  getApprovalPolicy,
+  hasApprovalPolicy,
+  setApprovalPolicy,
+  formatApprovalPolicy,
+  formatClient,
+  formatClientList
+};
\ No newline at end of file
@@ -0,0 +1,87 @@
+// services/idService.js
+
+let prisma;
+
+// Short codes look like T-142, R-37 or ACME-12
+const SHORT_ID_PATTERN = /^[A-Za-z][A-Za-z0-9]*-\d+$/;
+
+// IDs generated before short codes existed
+const LEGACY_ID_PATTERN = /^(task|review)_\d+$/;
+
+function init(prismaClient) {
+  prisma = prismaClient;
+}
+
+// Optional per-client prefixes, e.g. CLIENT_ID_PREFIXES="acme:ACME,sunroof:SUN"
+function getClientPrefix(client) {
+  if (!client || !process.env.CLIENT_ID_PREFIXES) {
+    return null;
+  }
+  
+  for (const entry of process.env.CLIENT_ID_PREFIXES.split(',')) {
+    const [name, prefix] = entry.split(':').map(part => part.trim());
+    if (name && prefix && name.toLowerCase() === client.toLowerCase()) {
+      return prefix.toUpperCase();
+    }
+  }
+  
+  return null;
+}
+
+// Atomically bump a named counter and return the new value
+async function nextValue(name) {
+  // Prisma runs this as INSERT ... ON CONFLICT DO UPDATE, so concurrent callers never share a value
+  const sequence = await prisma.sequence.upsert({
+    where: {
+      name
+    },
+    create: {
+      name,
+      value: 1
+    },
+    update: {
+      value: {
+        increment: 1
+      }
+    }
+  });
+  
+  return sequence.value;
+}
+
+// Client-prefixed codes share one counter so a code is never both a task and a review
+async function nextId(defaultPrefix, client) {
+  const clientPrefix = getClientPrefix(client);
+  const prefix = clientPrefix || defaultPrefix;
+  const value = await nextValue(clientPrefix ? `client:${clientPrefix}` : defaultPrefix);
+  
+  return `${prefix}-${value}`;
+}
+
+async function nextTaskId(client = null) {
+  return nextId('T', client);
+}
+
+async function nextReviewId(client = null) {
+  return nextId('R', client);
+}
+
+// Whether the text is a task/review ID rather than a title
+function isId(text) {
+  const trimmed = (text || '').trim();
+  return SHORT_ID_PATTERN.test(trimmed) || LEGACY_ID_PATTERN.test(trimmed);
+}
+
+// Short codes are stored upper-case; accept "t-12" as typed
+function normalizeId(text) {
+  const trimmed = text.trim();
+  return SHORT_ID_PATTERN.test(trimmed) ? trimmed.toUpperCase() : trimmed;
+}
+
+module.exports = {
+  init,
+  nextTaskId,
+  nextReviewId,
+  isId,
+  normalizeId
+};
\ No newline at end of file
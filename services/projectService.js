@@ -0,0 +1,337 @@
+// services/projectService.js
+const { formatDate, fitSectionLines } = require('../utils/formatters');
+const { suggest } = require('../utils/validation');
+const clientService = require('./clientService');
+const { formatStatus, CLOSED_REVIEW_STATUSES } = require('./reviewService');
+const { formatTaskStatus, CLOSED_TASK_STATUSES } = require('./taskService');
+
+let prisma;
+
+function init(prismaClient) {
+  prisma = prismaClient;
+}
+
+// Projects of a registered client, or of every client; open ones first
+async function getProjects(clientName = null) {
+  const where = {};
+  
+  if (clientName) {
+    const registered = await clientService.findClient(clientName);
+    if (!registered) {
+      return [];
+    }
+    where.clientId = registered.id;
+  }
+  
+  try {
+    return await prisma.project.findMany({
+      where,
+      orderBy: [
+        { status: 'asc' },
+        { name: 'asc' }
+      ],
+      include: {
+        client: true,
+        _count: {
+          select: { tasks: true, reviews: true }
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching projects:', error);
+    return [];
+  }
+}
+
+// Projects called name (any case), optionally only those of one client
+async function findProjects(name, clientName = null) {
+  const where = {
+    name: {
+      equals: name.trim(),
+      mode: 'insensitive'
+    }
+  };
+  
+  if (clientName) {
+    const registered = await clientService.findClient(clientName);
+    if (!registered) {
+      return [];
+    }
+    where.clientId = registered.id;
+  }
+  
+  try {
+    return await prisma.project.findMany({
+      where,
+      include: {
+        client: true
+      }
+    });
+  } catch (error) {
+    console.error(`Error finding project ${name}:`, error);
+    return [];
+  }
+}
+
+// The project a -project= option names for a client. Returns { project } or { message }.
+async function resolveProject(name, clientName) {
+  if (!clientName) {
+    return {
+      message: `Projects belong to a client. Add -client=name, or use -project= in a channel linked with \`/client link\`.`
+    };
+  }
+  
+  const registered = await clientService.findClient(clientName);
+  if (!registered) {
+    return {
+      message: `*${clientName}* isn't a registered client yet. Register it with \`/client register ${clientName}\`, then create the project with \`/project create\`.`
+    };
+  }
+  
+  const [project] = await findProjects(name, registered.name);
+  if (project) {
+    return { project };
+  }
+  
+  const names = (await getProjects(registered.name)).map(p => p.name);
+  const suggestion = suggest(name, names);
+  
+  return {
+    message: `No project "${name}" for *${registered.name}*.${suggestion ? ` Did you mean \`${suggestion}\`?` : ''} Create it with \`/project create "${name}" -client=${registered.name}\`.`
+  };
+}
+
+async function createProject(name, clientName, creatorId) {
+  const registered = clientName ? await clientService.findClient(clientName) : null;
+  if (!registered) {
+    return {
+      success: false,
+      message: clientName
+        ? `*${clientName}* isn't a registered client yet. Register it first with \`/client register ${clientName}\`.`
+        : 'Which client is this project for? Add -client=name, or run this in a channel linked with `/client link`.'
+    };
+  }
+  
+  if ((await findProjects(name, registered.name)).length > 0) {
+    return {
+      success: false,
+      message: `*${registered.name}* already has a project called "${name}".`
+    };
+  }
+  
+  try {
+    const project = await prisma.project.create({
+      data: {
+        name: name.trim(),
+        clientId: registered.id,
+        creatorId
+      },
+      include: {
+        client: true
+      }
+    });
+    
+    console.log('Project created:', project);
+    return {
+      success: true,
+      project
+    };
+  } catch (error) {
+    console.error(`Error creating project ${name}:`, error);
+    return {
+      success: false,
+      message: `Error creating project: ${error.message}`
+    };
+  }
+}
+
+async function setProjectStatus(projectId, status) {
+  try {
+    return await prisma.project.update({
+      where: {
+        id: projectId
+      },
+      data: {
+        status
+      },
+      include: {
+        client: true
+      }
+    });
+  } catch (error) {
+    console.error(`Error updating project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+// Every task and review in a project
+async function getProjectItems(projectId) {
+  try {
+    const [tasks, reviews] = await Promise.all([
+      prisma.task.findMany({
+        where: { projectId },
+        orderBy: { deadline: 'asc' }
+      }),
+      prisma.review.findMany({
+        where: { projectId },
+        orderBy: { createdAt: 'asc' },
+        include: { feedbacks: true }
+      })
+    ]);
+    
+    return { tasks, reviews };
+  } catch (error) {
+    console.error(`Error fetching items for project ${projectId}:`, error);
+    return { tasks: [], reviews: [] };
+  }
+}
+
+// Share of a project that is finished: completed tasks and approved or published reviews.
+// Cancelled tasks don't count either way.
+function getCompletion(tasks, reviews) {
+  const counted = tasks.filter(task => task.status !== 'cancelled');
+  const done = counted.filter(task => task.status === 'completed').length +
+               reviews.filter(review => CLOSED_REVIEW_STATUSES.includes(review.status)).length;
+  const total = counted.length + reviews.length;
+  
+  return {
+    done,
+    total,
+    percent: total > 0 ? Math.round((done / total) * 100) : 0
+  };
+}
+
+// Text progress bar, e.g. "▓▓▓▓░░░░░░"
+function formatProgressBar(percent) {
+  const filled = Math.round(percent / 10);
+  return '▓'.repeat(filled) + '░'.repeat(10 - filled);
+}
+
+function formatProjectStatus(project, tasks, reviews) {
+  const completion = getCompletion(tasks, reviews);
+  
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: `${project.name} · ${project.client.name}`,
+        emoji: false
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `${formatProgressBar(completion.percent)} *${completion.percent}% complete* (${completion.done} of ${completion.total} items done)` +
+              (project.status === 'completed' ? '\nThis project is marked completed.' : '')
+      }
+    }
+  ];
+  
+  if (tasks.length === 0 && reviews.length === 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `Nothing in this project yet. Add work with \`-project="${project.name}"\` on /assign or /review.`
+      }
+    });
+    return blocks;
+  }
+  
+  if (tasks.length > 0) {
+    const openTasks = tasks.filter(task => !CLOSED_TASK_STATUSES.includes(task.status));
+    const closedCount = tasks.length - openTasks.length;
+    const heading = `*Tasks (${tasks.length}):*`;
+    const closedLine = closedCount > 0 && openTasks.length > 0 ? `\n_${closedCount} more completed or cancelled_` : '';
+    const taskLines = openTasks.map(task => `• \`${task.taskId}\` ${task.title} - ${formatTaskStatus(task.status)}, <@${task.assigneeId}>, due ${formatDate(task.deadline)}`);
+    
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `${heading}\n` +
+              (openTasks.length > 0
+                ? fitSectionLines(taskLines, heading.length + 1 + closedLine.length).join('\n')
+                : 'All tasks are done.') +
+              closedLine
+      }
+    });
+  }
+  
+  if (reviews.length > 0) {
+    const heading = `*Reviews (${reviews.length}):*`;
+    
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `${heading}\n` +
+              fitSectionLines(reviews.map(review => `• \`${review.reviewId}\` ${review.title} - ${formatStatus(review.status)}`), heading.length + 1).join('\n')
+      }
+    });
+  }
+  
+  return blocks;
+}
+
+function formatProjectList(projects, clientName = null) {
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: clientName ? `Projects for ${clientName}` : "Projects",
+        emoji: false
+      }
+    }
+  ];
+  
+  if (projects.length === 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "No projects yet. Start one with `/project create \"Name\" -client=name`."
+      }
+    });
+    return blocks;
+  }
+  
+  blocks.push({
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: projects.map(project => {
+        const status = project.status === 'active' ? '' : ` · ${project.status}`;
+        return `• *${project.name}* (${project.client.name})${status} - ${project._count.tasks} tasks, ${project._count.reviews} reviews`;
+      }).join('\n')
+    }
+  });
+  
+  blocks.push({
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: "See progress with `/project status [name]`"
+      }
+    ]
+  });
+  
+  return blocks;
+}
+
+module.exports = {
+  init,
+  getProjects,
+  findProjects,
+  resolveProject,
+  createProject,
+  setProjectStatus,
+  getProjectItems,
+  getCompletion,
+  formatProjectStatus,
+  formatProjectList
+};
\ No newline at end of file
@@ -0,0 +1,310 @@
+// services/publishService.js
+const reviewService = require('./reviewService');
+const clientService = require('./clientService');
+const { getZonedParts, formatZonedDate, getDefaultTimezone } = require('../utils/dates');
+
+let prisma;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long published items stay on the publishing calendar
+const CALENDAR_PAST_DAYS = 7;
+
+// Most days listed on the calendar, to stay within Slack's block limit
+const MAX_CALENDAR_DAYS = 40;
+
+function init(prismaClient) {
+  prisma = prismaClient;
+}
+
+// The review's creator and reviewers may schedule or publish it
+function canPublish(review, userId) {
+  return review.creatorId === userId || review.reviewerIds.includes(userId);
+}
+
+// Set or clear (publishAt = null) when a review goes live. Items can be scheduled before they
+// are approved; they are only published once approved.
+async function schedulePublish(reviewId, publishAt, userId) {
+  const review = await reviewService.getReviewById(reviewId);
+  
+  if (!review) {
+    return {
+      success: false,
+      message: `No review found with ID "${reviewId}".`
+    };
+  }
+  
+  if (!canPublish(review, userId)) {
+    return {
+      success: false,
+      message: `Only the creator or reviewers of "${review.title}" can schedule it.`
+    };
+  }
+  
+  if (review.status === 'published') {
+    return {
+      success: false,
+      message: `"${review.title}" is already published.`
+    };
+  }
+  
+  try {
+    const updated = await prisma.review.update({
+      where: {
+        id: review.id
+      },
+      data: {
+        publishAt
+      }
+    });
+    
+    console.log(`Review ${review.reviewId} publish date set to ${publishAt}`);
+    return {
+      success: true,
+      review: updated
+    };
+  } catch (error) {
+    console.error(`Error scheduling review ${review.reviewId}:`, error);
+    return {
+      success: false,
+      message: `Error scheduling review: ${error.message}`
+    };
+  }
+}
+
+// Mark an approved review published and announce it in its channel.
+// userId is null when the scheduler publishes it.
+async function publishReview(review, userId, client) {
+  if (userId && !canPublish(review, userId)) {
+    return {
+      success: false,
+      message: `Only the creator or reviewers of "${review.title}" can publish it.`
+    };
+  }
+  
+  if (review.status !== 'approved') {
+    return {
+      success: false,
+      message: review.status === 'published'
+        ? `"${review.title}" is already published.`
+        : `"${review.title}" is ${reviewService.formatStatus(review.status)}. Only approved content can be published; schedule it with -at= to publish once it is approved.`
+    };
+  }
+  
+  try {
+    // Claim the publish atomically so an overlapping scheduler run or /publish can't announce it twice
+    const publishedAt = new Date();
+    const claimed = await prisma.review.updateMany({
+      where: {
+        id: review.id,
+        status: 'approved'
+      },
+      data: {
+        status: 'published',
+        publishedAt
+      }
+    });
+    
+    if (claimed.count !== 1) {
+      return {
+        success: false,
+        message: `"${review.title}" is already published.`
+      };
+    }
+    
+    const updated = {
+      ...review,
+      status: 'published',
+      publishedAt
+    };
+    
+    console.log(`Review ${review.reviewId} published${userId ? ` by ${userId}` : ' on schedule'}`);
+    
+    if (client) {
+      await reviewService.refreshReviewRequest(updated, client);
+      
+      // Announced in the channel as well as the review's thread
+      try {
+        await reviewService.postToReviewThread(updated, client, {
+          blocks: formatPublishedAnnouncement(updated, userId),
+          text: `"${updated.title}" is live`,
+          reply_broadcast: true
+        });
+      } catch (error) {
+        console.error(`Error announcing published review ${review.reviewId}: ${error.message}`);
+      }
+    }
+    
+    return {
+      success: true,
+      review: updated
+    };
+  } catch (error) {
+    console.error(`Error publishing review ${review.reviewId}:`, error);
+    return {
+      success: false,
+      message: `Error publishing review: ${error.message}`
+    };
+  }
+}
+
+// Publish every approved review whose publish date has come. Scheduled items that aren't
+// approved yet wait and are published on the first run after they are.
+async function publishDueReviews(client) {
+  try {
+    const due = await prisma.review.findMany({
+      where: {
+        status: 'approved',
+        publishAt: {
+          lte: new Date()
+        }
+      }
+    });
+    
+    for (const review of due) {
+      await publishReview(review, null, client);
+    }
+    
+    return due.length;
+  } catch (error) {
+    console.error('Error publishing scheduled reviews:', error);
+    return 0;
+  }
+}
+
+// Scheduled items that aren't published yet, and items published in the last week
+async function getPublishingSchedule(clientName = null) {
+  const where = {
+    OR: [
+      { publishAt: { not: null }, status: { not: 'published' } },
+      { publishedAt: { gte: new Date(Date.now() - CALENDAR_PAST_DAYS * DAY_MS) } }
+    ]
+  };
+  
+  if (clientName) {
+    where.client = await clientService.clientFilter(clientName);
+  }
+  
+  try {
+    const reviews = await prisma.review.findMany({ where });
+    
+    // Published items sit on the day they went live, the rest on their scheduled day
+    return reviews.sort((a, b) => getCalendarDate(a) - getCalendarDate(b));
+  } catch (error) {
+    console.error('Error fetching publishing schedule:', error);
+    return [];
+  }
+}
+
+function getCalendarDate(review) {
+  return new Date(review.status === 'published' && review.publishedAt ? review.publishedAt : review.publishAt);
+}
+
+function formatPublishingCalendar(reviews, clientName = null, timezone = getDefaultTimezone()) {
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: clientName ? `Publishing calendar for ${clientName}` : "Publishing calendar",
+        emoji: false
+      }
+    }
+  ];
+  
+  if (reviews.length === 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "Nothing scheduled. Schedule approved content with `/publish R-12 -at=2026-11-02T09:00`."
+      }
+    });
+    return blocks;
+  }
+  
+  // One section per day, in the viewer's time zone
+  const days = new Map();
+  const now = new Date();
+  reviews.forEach(review => {
+    const date = getCalendarDate(review);
+    const parts = getZonedParts(date, timezone);
+    if (!days.has(parts.date)) {
+      days.set(parts.date, { label: formatZonedDate(date, timezone).split(',').slice(0, 2).join(','), lines: [] });
+    }
+    
+    let state = reviewService.formatStatus(review.status);
+    if (review.status !== 'published' && review.status !== 'approved' && date <= now) {
+      state += ' - ⚠️ waiting for approval';
+    }
+    
+    days.get(parts.date).lines.push(`• ${parts.time} \`${review.reviewId}\` ${review.title}${clientName ? '' : ` (${review.client})`} - ${state}`);
+  });
+  
+  [...days.values()].slice(0, MAX_CALENDAR_DAYS).forEach(day => {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${day.label}*\n${day.lines.join('\n')}`
+      }
+    });
+  });
+  
+  blocks.push({
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: `Times in ${timezone} · Published items stay listed for ${CALENDAR_PAST_DAYS} days`
+      }
+    ]
+  });
+  
+  return blocks;
+}
+
+// Confirmation shown to whoever scheduled a review
+function formatScheduleConfirmation(review, timezone = getDefaultTimezone()) {
+  if (!review.publishAt) {
+    return `Removed the publish date from \`${review.reviewId}\` *${review.title}*.`;
+  }
+  
+  const waiting = review.status === 'approved'
+    ? ''
+    : ` It is ${reviewService.formatStatus(review.status)} now and will go live at that time once approved.`;
+  
+  return `\`${review.reviewId}\` *${review.title}* will be published ${formatZonedDate(review.publishAt, timezone)}.${waiting}`;
+}
+
+function formatPublishedAnnouncement(review, userId) {
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `🚀 \`${review.reviewId}\` *${review.title}* is live for ${review.client}!` +
+              (review.url ? `\n<${review.url}|View Content>` : '')
+      }
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: userId ? `Published by <@${userId}>` : 'Published on schedule'
+        }
+      ]
+    }
+  ];
+}
+
+module.exports = {
+  init,
+  schedulePublish,
+  publishReview,
+  publishDueReviews,
+  getPublishingSchedule,
+  formatPublishingCalendar,
+  formatScheduleConfirmation
+};
\ No newline at end of file
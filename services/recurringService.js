@@ -0,0 +1,368 @@
+// services/recurringService.js
+const cron = require('node-cron');
+const taskService = require('./taskService');
+const { getUserTimezone, getDefaultTimezone } = require('../utils/dates');
+const { formatDate } = require('../utils/formatters');
+
+let prisma;
+
+// Scheduled cron jobs keyed by RecurringTask id
+const jobs = new Map();
+
+// Slack client the scheduled jobs post with, set once the scheduler starts
+let schedulerClient = null;
+
+// Named schedules accepted by -every=, as cron expressions
+const SCHEDULE_PRESETS = {
+  weekly: '0 9 * * 1',
+  monthly: '0 9 1 * *'
+};
+
+// A run within this window counts as already done, so a second bot instance doesn't duplicate it
+const RUN_GUARD_MS = 50 * 1000;
+
+function init(prismaClient) {
+  prisma = prismaClient;
+}
+
+function getCronExpression(schedule) {
+  return SCHEDULE_PRESETS[schedule.toLowerCase()] || schedule;
+}
+
+function isValidSchedule(schedule) {
+  return Boolean(schedule) && cron.validate(getCronExpression(schedule));
+}
+
+async function createRecurringTask(data) {
+  try {
+    const recurring = await prisma.recurringTask.create({
+      data: {
+        ...data,
+        schedule: SCHEDULE_PRESETS[data.schedule.toLowerCase()] ? data.schedule.toLowerCase() : data.schedule
+      }
+    });
+    
+    console.log('Recurring task created:', recurring);
+    return recurring;
+  } catch (error) {
+    console.error('Error creating recurring task:', error);
+    throw error;
+  }
+}
+
+async function getRecurringTasks(filters = {}) {
+  const where = {};
+  
+  if (filters.channel) {
+    where.channel = filters.channel;
+  }
+  if (filters.assigneeId) {
+    where.assigneeId = filters.assigneeId;
+  }
+  
+  try {
+    return await prisma.recurringTask.findMany({
+      where,
+      orderBy: [
+        { active: 'desc' },
+        { createdAt: 'asc' }
+      ]
+    });
+  } catch (error) {
+    console.error('Error fetching recurring tasks:', error);
+    return [];
+  }
+}
+
+async function getRecurringTaskById(id) {
+  try {
+    return await prisma.recurringTask.findUnique({
+      where: {
+        id
+      }
+    });
+  } catch (error) {
+    console.error(`Error finding recurring task ${id}:`, error);
+    return null;
+  }
+}
+
+// Pause, resume or delete a recurrence; only its creator or assignee may change it
+async function updateRecurringTask(id, action, userId) {
+  const recurring = await getRecurringTaskById(id);
+  
+  if (!recurring) {
+    return {
+      success: false,
+      message: `No recurring task #${id} found`
+    };
+  }
+  
+  if (recurring.creatorId !== userId && recurring.assigneeId !== userId) {
+    return {
+      success: false,
+      message: `Only the creator or assignee can ${action} recurring task #${id}`
+    };
+  }
+  
+  if ((action === 'pause' && !recurring.active) || (action === 'resume' && recurring.active)) {
+    return {
+      success: false,
+      message: `Recurring task #${id} is already ${recurring.active ? 'active' : 'paused'}`
+    };
+  }
+  
+  try {
+    let updated = null;
+    if (action === 'delete') {
+      await prisma.recurringTask.delete({
+        where: {
+          id
+        }
+      });
+      unscheduleRecurringTask(id);
+    } else {
+      updated = await prisma.recurringTask.update({
+        where: {
+          id
+        },
+        data: {
+          active: action === 'resume'
+        }
+      });
+      
+      if (updated.active) {
+        scheduleRecurringTask(updated);
+      } else {
+        unscheduleRecurringTask(id);
+      }
+    }
+    
+    console.log(`Recurring task ${id} ${action}d by ${userId}`);
+    
+    return {
+      success: true,
+      recurring: updated || recurring
+    };
+  } catch (error) {
+    console.error(`Error applying ${action} to recurring task ${id}:`, error);
+    return {
+      success: false,
+      message: `Error updating recurring task: ${error.message}`
+    };
+  }
+}
+
+// Create the next Task from a recurrence and DM the assignee
+async function runRecurringTask(id, client) {
+  try {
+    // Claim this run atomically; paused, deleted or just-run recurrences are skipped
+    const claimed = await prisma.recurringTask.updateMany({
+      where: {
+        id,
+        active: true,
+        OR: [
+          { lastRunAt: null },
+          { lastRunAt: { lt: new Date(Date.now() - RUN_GUARD_MS) } }
+        ]
+      },
+      data: {
+        lastRunAt: new Date()
+      }
+    });
+    
+    if (claimed.count === 0) {
+      return null;
+    }
+    
+    const recurring = await getRecurringTaskById(id);
+    
+    const task = await taskService.createTask(
+      recurring.team,
+      recurring.priority,
+      recurring.assigneeId,
+      recurring.assigneeName,
+      recurring.title,
+      recurring.description,
+      recurring.creatorId,
+      recurring.creatorName,
+      recurring.channel,
+      recurring.channelName,
+      recurring.client,
+      recurring.priority === 'urgent',
+      null,
+      {
+        recurringTaskId: recurring.id,
+        projectId: recurring.projectId,
+        timezone: await getUserTimezone(client, recurring.assigneeId)
+      }
+    );
+    
+    console.log(`Created task ${task.taskId} from recurring task ${id}`);
+    
+    try {
+      await client.chat.postMessage({
+        channel: recurring.assigneeId,
+        text: `You've been assigned a new task: ${task.title}`,
+        blocks: taskService.formatDMNotification(task)
+      });
+    } catch (error) {
+      console.error(`Failed to DM user ${recurring.assigneeId} about recurring task ${id}:`, error);
+    }
+    
+    return task;
+  } catch (error) {
+    console.error(`Error running recurring task ${id}:`, error);
+    return null;
+  }
+}
+
+function scheduleRecurringTask(recurring, client = schedulerClient) {
+  unscheduleRecurringTask(recurring.id);
+  
+  if (!recurring.active || !client) {
+    return;
+  }
+  
+  const expression = getCronExpression(recurring.schedule);
+  if (!cron.validate(expression)) {
+    console.error(`Recurring task ${recurring.id} has an invalid schedule: ${recurring.schedule}`);
+    return;
+  }
+  
+  // Schedules are read in the workspace's default time zone, not the server's
+  jobs.set(recurring.id, cron.schedule(expression, async () => {
+    console.log(`Running recurring task ${recurring.id}`);
+    await runRecurringTask(recurring.id, client);
+  }, {
+    timezone: getDefaultTimezone()
+  }));
+}
+
+function unscheduleRecurringTask(id) {
+  const job = jobs.get(id);
+  if (job) {
+    job.stop();
+    jobs.delete(id);
+  }
+}
+
+// Schedule every active recurrence; called once at startup
+async function startScheduler(client) {
+  schedulerClient = client;
+  
+  try {
+    const recurringTasks = await prisma.recurringTask.findMany({
+      where: {
+        active: true
+      }
+    });
+    
+    recurringTasks.forEach(recurring => scheduleRecurringTask(recurring, client));
+    console.log(`Scheduled ${recurringTasks.length} recurring tasks`);
+  } catch (error) {
+    console.error('Error starting recurring task scheduler:', error);
+  }
+}
+
+// Human-readable schedule
+function formatSchedule(schedule) {
+  const timezone = getDefaultTimezone();
+  switch (schedule) {
+    case 'weekly':
+      return `every Monday at 9:00 (${timezone})`;
+    case 'monthly':
+      return `on the 1st of every month at 9:00 (${timezone})`;
+    default:
+      return `on schedule \`${schedule}\` (${timezone})`;
+  }
+}
+
+function formatRecurringTask(recurring) {
+  const status = recurring.active ? 'Active' : '⏸️ Paused';
+  const lastRun = recurring.lastRunAt ? ` · last assigned ${formatDate(recurring.lastRunAt)}` : '';
+  
+  return `*#${recurring.id}* ${recurring.title}\n` +
+         `<@${recurring.assigneeId}> · ${recurring.team} · ${recurring.priority} · ${formatSchedule(recurring.schedule)}\n` +
+         `${status}${lastRun}`;
+}
+
+function formatRecurringList(recurringTasks) {
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: "Recurring Tasks",
+        emoji: false
+      }
+    }
+  ];
+  
+  if (recurringTasks.length === 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "No recurring tasks yet. Create one with `/assign @username [task] -every=weekly`."
+      }
+    });
+    return blocks;
+  }
+  
+  recurringTasks.forEach(recurring => {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: formatRecurringTask(recurring)
+      }
+    });
+  });
+  
+  blocks.push({
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: "Manage with `/recurring pause|resume|delete [number]`"
+      }
+    ]
+  });
+  
+  return blocks;
+}
+
+function formatRecurringCreatedMessage(recurring) {
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `:repeat: Recurring task set up. A new task will be assigned ${formatSchedule(recurring.schedule)}.`
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: formatRecurringTask(recurring)
+      }
+    }
+  ];
+}
+
+module.exports = {
+  init,
+  isValidSchedule,
+  createRecurringTask,
+  getRecurringTasks,
+  getRecurringTaskById,
+  updateRecurringTask,
+  runRecurringTask,
+  scheduleRecurringTask,
+  startScheduler,
+  formatSchedule,
+  formatRecurringList,
+  formatRecurringCreatedMessage
+};
\ No newline at end of file
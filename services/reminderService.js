@@ -0,0 +1,609 @@
+// services/reminderService.js
+const taskService = require('./taskService');
+const reviewService = require('./reviewService');
+const { formatDate } = require('../utils/formatters');
+const { getUserTimezone, isWithinWorkingHours } = require('../utils/dates');
+
+let prisma;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Used when TASK_REMINDERS is not set: a day before, an hour before, at the deadline and daily while overdue
+const DEFAULT_REMINDERS = '24h,1h,due,daily';
+
+// Days overdue before the creator is told, when TASK_ESCALATION_DAYS is not set
+const DEFAULT_ESCALATION_DAYS = 2;
+
+// Used when REVIEW_REMINDERS is not set: a day before, at the deadline and daily while overdue
+const DEFAULT_REVIEW_REMINDERS = '24h,due,daily';
+
+// Days without feedback before the review's creator is nudged, when REVIEW_STALE_DAYS is not set
+const DEFAULT_STALE_DAYS = 2;
+
+function init(prismaClient) {
+  prisma = prismaClient;
+}
+
+// Parse TASK_REMINDERS or REVIEW_REMINDERS, e.g. "24h,1h,due,daily" or "2d,30m,due"
+function getReminderSchedule(setting = 'TASK_REMINDERS', defaultValue = DEFAULT_REMINDERS) {
+  const schedule = {
+    before: [],
+    daily: false
+  };
+  
+  const units = { m: 60 * 1000, h: HOUR_MS, d: DAY_MS };
+  
+  for (const entry of (process.env[setting] || defaultValue).split(',')) {
+    const token = entry.trim().toLowerCase();
+    const match = token.match(/^(\d+)([mhd])$/);
+    
+    if (token === 'due') {
+      schedule.before.push({ kind: 'due', offset: 0 });
+    } else if (token === 'daily') {
+      schedule.daily = true;
+    } else if (match) {
+      schedule.before.push({ kind: `before_${token}`, offset: parseInt(match[1], 10) * units[match[2]] });
+    } else if (token) {
+      console.error(`Ignoring unknown ${setting} entry: ${token}`);
+    }
+  }
+  
+  return schedule;
+}
+
+function getEscalationDays() {
+  const days = parseInt(process.env.TASK_ESCALATION_DAYS, 10);
+  return isNaN(days) ? DEFAULT_ESCALATION_DAYS : days;
+}
+
+function getStaleDays() {
+  const days = parseInt(process.env.REVIEW_STALE_DAYS, 10);
+  return isNaN(days) ? DEFAULT_STALE_DAYS : days;
+}
+
+// The latest reminder slot that has come due for a task or review, or null. Earlier slots that were
+// missed (e.g. the task was created an hour before its deadline) are skipped, not sent late.
+function getDueReminder(item, schedule, now) {
+  const deadline = item.deadline.getTime();
+  let latest = null;
+  
+  for (const slot of schedule.before) {
+    const fireAt = deadline - slot.offset;
+    if (fireAt <= now && (!latest || fireAt > latest.fireAt)) {
+      latest = { kind: slot.kind, fireAt };
+    }
+  }
+  
+  const daysOverdue = Math.floor((now - deadline) / DAY_MS);
+  if (schedule.daily && daysOverdue >= 1) {
+    latest = { kind: `overdue_day_${daysOverdue}`, fireAt: deadline + daysOverdue * DAY_MS };
+  }
+  
+  return latest;
+}
+
+// Record a reminder before sending it; returns false if it was already sent (possibly by another instance)
+async function claimReminder(task, kind, recipientId) {
+  const result = await prisma.taskReminder.createMany({
+    data: [
+      {
+        taskId: task.id,
+        kind,
+        deadline: task.deadline,
+        recipientId
+      }
+    ],
+    skipDuplicates: true
+  });
+  
+  return result.count > 0;
+}
+
+// Forget a claimed reminder that could not be delivered so the next run retries it
+async function releaseReminder(task, kind, recipientId) {
+  await prisma.taskReminder.deleteMany({
+    where: {
+      taskId: task.id,
+      kind,
+      deadline: task.deadline,
+      recipientId
+    }
+  });
+}
+
+// Record a review reminder before sending it, keyed like task reminders; stale nudges are keyed
+// on when the review last moved instead of its deadline
+async function claimReviewReminder(review, kind, recipientId, deadline = review.deadline) {
+  const result = await prisma.reviewReminder.createMany({
+    data: [
+      {
+        reviewId: review.id,
+        kind,
+        deadline,
+        recipientId
+      }
+    ],
+    skipDuplicates: true
+  });
+  
+  return result.count > 0;
+}
+
+async function releaseReviewReminder(review, kind, recipientId, deadline = review.deadline) {
+  await prisma.reviewReminder.deleteMany({
+    where: {
+      reviewId: review.id,
+      kind,
+      deadline,
+      recipientId
+    }
+  });
+}
+
+async function sendTaskReminders(client) {
+  try {
+    const now = Date.now();
+    const schedule = getReminderSchedule();
+    const escalationDays = getEscalationDays();
+    const maxOffset = Math.max(0, ...schedule.before.map(slot => slot.offset));
+    
+    console.log(`Checking task reminders (${process.env.TASK_REMINDERS || DEFAULT_REMINDERS}, escalation after ${escalationDays} days)`);
+    
+    // Open tasks close to or past their deadline; blocked tasks can't be worked on yet, so don't nag about them
+    const tasks = await prisma.task.findMany({
+      where: {
+        status: {
+          notIn: taskService.CLOSED_TASK_STATUSES
+        },
+        deadline: {
+          lte: new Date(now + maxOffset)
+        },
+        ...taskService.NOT_BLOCKED
+      }
+    });
+    
+    let sent = 0;
+    const escalations = new Map();
+    
+    for (const task of tasks) {
+      const reminder = getDueReminder(task, schedule, now);
+      
+      if (reminder) {
+        for (const assigneeId of taskService.getAssigneeIds(task)) {
+          // Hold reminders until the assignee's working hours; a later run sends the latest one due
+          if (!isWithinWorkingHours(await getUserTimezone(client, assigneeId))) {
+            continue;
+          }
+          
+          if (!(await claimReminder(task, reminder.kind, assigneeId))) {
+            continue;
+          }
+          
+          try {
+            await client.chat.postMessage({
+              channel: assigneeId,
+              text: `Reminder: Task "${task.title}" (${taskService.formatReminderKind(reminder.kind)})`,
+              blocks: formatReminderMessage(task, reminder.kind)
+            });
+            
+            await prisma.taskEvent.create({
+              data: {
+                taskId: task.id,
+                type: 'reminder_sent',
+                details: {
+                  recipientId: assigneeId,
+                  kind: reminder.kind
+                }
+              }
+            });
+            
+            sent++;
+            console.log(`Sent ${reminder.kind} reminder for task ${task.taskId} to user ${assigneeId}`);
+          } catch (error) {
+            console.error(`Failed to send reminder for task ${task.taskId} to ${assigneeId}:`, error);
+            await releaseReminder(task, reminder.kind, assigneeId);
+          }
+        }
+      }
+      
+      // Collect long-overdue tasks per creator for a single digest
+      const daysOverdue = Math.floor((now - task.deadline.getTime()) / DAY_MS);
+      if (escalationDays > 0 && daysOverdue >= escalationDays) {
+        if (!escalations.has(task.creatorId)) {
+          escalations.set(task.creatorId, []);
+        }
+        escalations.get(task.creatorId).push({ task, daysOverdue });
+      }
+    }
+    
+    for (const [creatorId, overdue] of escalations) {
+      sent += await sendEscalationDigest(client, creatorId, overdue);
+    }
+    
+    return sent;
+  } catch (error) {
+    console.error(`Error in reminder job:`, error);
+    return 0;
+  }
+}
+
+// DM a creator one digest of their tasks that are long overdue, at most once a day per task and only during their working hours
+async function sendEscalationDigest(client, creatorId, overdue) {
+  if (!isWithinWorkingHours(await getUserTimezone(client, creatorId))) {
+    return 0;
+  }
+  
+  const claimed = [];
+  for (const item of overdue) {
+    if (await claimReminder(item.task, `escalation_day_${item.daysOverdue}`, creatorId)) {
+      claimed.push(item);
+    }
+  }
+  
+  if (claimed.length === 0) {
+    return 0;
+  }
+  
+  try {
+    await client.chat.postMessage({
+      channel: creatorId,
+      text: `${claimed.length} task${claimed.length === 1 ? ' you created is' : 's you created are'} overdue`,
+      blocks: formatOverdueDigest(claimed)
+    });
+    
+    await prisma.taskEvent.createMany({
+      data: claimed.map(item => ({
+        taskId: item.task.id,
+        type: 'escalated',
+        details: {
+          recipientId: creatorId,
+          daysOverdue: item.daysOverdue
+        }
+      }))
+    });
+    
+    console.log(`Sent overdue digest with ${claimed.length} tasks to creator ${creatorId}`);
+    return 1;
+  } catch (error) {
+    console.error(`Failed to send overdue digest to ${creatorId}:`, error);
+    for (const item of claimed) {
+      await releaseReminder(item.task, `escalation_day_${item.daysOverdue}`, creatorId);
+    }
+    return 0;
+  }
+}
+
+// When the task or review is due, for a reminder of the given kind
+function formatDueText(deadline, kind) {
+  if (kind.startsWith('overdue_day_')) {
+    return `Overdue since ${formatDate(deadline)} (${taskService.formatReminderKind(kind)}).`;
+  }
+  if (kind === 'due') {
+    return "Due now.";
+  }
+  
+  const dueIn = Math.max(1, Math.round((deadline - new Date()) / HOUR_MS));
+  return dueIn <= 1
+    ? "Due in less than an hour."
+    : `Due in approximately ${dueIn} hours.`;
+}
+
+// When a review last moved: its request, its current revision or the latest decision on it
+function getLastReviewActivity(review) {
+  const times = [
+    review.createdAt,
+    ...(review.revisions || []).filter(revision => revision.number === review.revision).map(revision => revision.createdAt),
+    ...(review.feedbacks || []).filter(feedback => feedback.status !== "comment").map(feedback => feedback.createdAt)
+  ];
+  
+  return new Date(Math.max(...times.map(time => new Date(time).getTime())));
+}
+
+async function sendReviewReminders(client) {
+  try {
+    const now = Date.now();
+    const schedule = getReminderSchedule('REVIEW_REMINDERS', DEFAULT_REVIEW_REMINDERS);
+    const staleDays = getStaleDays();
+    
+    console.log(`Checking review reminders (${process.env.REVIEW_REMINDERS || DEFAULT_REVIEW_REMINDERS}, stale after ${staleDays} days)`);
+    
+    // Only reviews waiting on reviewers; drafts and items in design aren't ready for feedback
+    const reviews = await prisma.review.findMany({
+      where: {
+        status: 'in_review'
+      },
+      include: {
+        feedbacks: true,
+        revisions: true
+      }
+    });
+    
+    let sent = 0;
+    const staleByCreator = new Map();
+    
+    for (const review of reviews) {
+      const awaitedIds = reviewService.getAwaitedReviewers(review);
+      if (awaitedIds.length === 0) {
+        continue;
+      }
+      
+      const reminder = review.deadline ? getDueReminder(review, schedule, now) : null;
+      
+      if (reminder) {
+        for (const reviewerId of awaitedIds) {
+          // Hold reminders until the reviewer's working hours; a later run sends the latest one due
+          if (!isWithinWorkingHours(await getUserTimezone(client, reviewerId))) {
+            continue;
+          }
+          
+          if (!(await claimReviewReminder(review, reminder.kind, reviewerId))) {
+            continue;
+          }
+          
+          try {
+            await client.chat.postMessage({
+              channel: reviewerId,
+              text: `Reminder: Review "${review.title}" (${taskService.formatReminderKind(reminder.kind)})`,
+              blocks: formatReviewReminderMessage(review, reminder.kind)
+            });
+            
+            sent++;
+            console.log(`Sent ${reminder.kind} reminder for review ${review.reviewId} to user ${reviewerId}`);
+          } catch (error) {
+            console.error(`Failed to send reminder for review ${review.reviewId} to ${reviewerId}:`, error);
+            await releaseReviewReminder(review, reminder.kind, reviewerId);
+          }
+        }
+      }
+      
+      // Collect reviews with no feedback for a while per creator for a single digest
+      const lastActivity = getLastReviewActivity(review);
+      const daysStale = Math.floor((now - lastActivity.getTime()) / DAY_MS);
+      if (staleDays > 0 && daysStale >= staleDays) {
+        if (!staleByCreator.has(review.creatorId)) {
+          staleByCreator.set(review.creatorId, []);
+        }
+        staleByCreator.get(review.creatorId).push({ review, awaitedIds, lastActivity, daysStale });
+      }
+    }
+    
+    for (const [creatorId, stale] of staleByCreator) {
+      sent += await sendStaleReviewDigest(client, creatorId, stale);
+    }
+    
+    return sent;
+  } catch (error) {
+    console.error(`Error in review reminder job:`, error);
+    return 0;
+  }
+}
+
+// DM a creator one digest of their reviews stuck without feedback, at most once a day per review and only during their working hours
+async function sendStaleReviewDigest(client, creatorId, stale) {
+  if (!isWithinWorkingHours(await getUserTimezone(client, creatorId))) {
+    return 0;
+  }
+  
+  const claimed = [];
+  for (const item of stale) {
+    if (await claimReviewReminder(item.review, `stale_day_${item.daysStale}`, creatorId, item.lastActivity)) {
+      claimed.push(item);
+    }
+  }
+  
+  if (claimed.length === 0) {
+    return 0;
+  }
+  
+  try {
+    await client.chat.postMessage({
+      channel: creatorId,
+      text: `${claimed.length} review${claimed.length === 1 ? ' you requested is' : 's you requested are'} waiting on feedback`,
+      blocks: formatStaleReviewDigest(claimed)
+    });
+    
+    console.log(`Sent stale review digest with ${claimed.length} reviews to creator ${creatorId}`);
+    return 1;
+  } catch (error) {
+    console.error(`Failed to send stale review digest to ${creatorId}:`, error);
+    for (const item of claimed) {
+      await releaseReviewReminder(item.review, `stale_day_${item.daysStale}`, creatorId, item.lastActivity);
+    }
+    return 0;
+  }
+}
+
+// Format reminder notification
+function formatReminderMessage(task, kind) {
+  const overdue = kind.startsWith('overdue_day_');
+  const dueText = formatDueText(task.deadline, kind);
+  
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: overdue ? "🚨 Overdue Task" : "⏰ Task Reminder",
+        emoji: true
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${dueText}*\n\n${taskService.formatTaskForDisplay(task)}`
+      }
+    },
+    {
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          text: {
+            type: "plain_text",
+            text: "Mark Complete",
+            emoji: false
+          },
+          value: task.taskId,
+          action_id: "complete_task",
+          style: "primary"
+        }
+      ]
+    }
+  ];
+  
+  return blocks;
+}
+
+// Digest for a creator listing their long-overdue tasks, most overdue first
+function formatOverdueDigest(overdue) {
+  const lines = [...overdue]
+    .sort((a, b) => b.daysOverdue - a.daysOverdue)
+    .map(({ task, daysOverdue }) =>
+      `• \`${task.taskId}\` *${task.title}* - ${taskService.getAssigneeIds(task).map(id => `<@${id}>`).join(', ')}, ${daysOverdue} day${daysOverdue === 1 ? '' : 's'} overdue`
+    );
+  
+  return [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: "🚨 Overdue Tasks",
+        emoji: true
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `These tasks you created are still open past their deadline:\n${lines.join('\n')}`
+      }
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: "Check in with the assignees, move the deadline with *Edit* in `/tasks`, or cancel tasks that are no longer needed."
+        }
+      ]
+    }
+  ];
+}
+
+// Reminder DM for a reviewer who hasn't given feedback yet
+function formatReviewReminderMessage(review, kind) {
+  const overdue = kind.startsWith('overdue_day_');
+  const dueText = formatDueText(review.deadline, kind);
+  
+  return [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: overdue ? "🚨 Overdue Review" : "⏰ Review Reminder",
+        emoji: true
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${dueText}*\n\n\`${review.reviewId}\` *${review.title}* for ${review.client}` +
+              (review.url ? `\n<${review.url}|View Content>` : '')
+      }
+    },
+    {
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          text: {
+            type: "plain_text",
+            text: "Approve",
+            emoji: false
+          },
+          value: review.reviewId,
+          action_id: "approve_review",
+          style: "primary"
+        },
+        {
+          type: "button",
+          text: {
+            type: "plain_text",
+            text: "Request Changes",
+            emoji: false
+          },
+          value: review.reviewId,
+          action_id: "request_changes"
+        },
+        {
+          type: "button",
+          text: {
+            type: "plain_text",
+            text: "Delegate to…",
+            emoji: false
+          },
+          value: review.reviewId,
+          action_id: "delegate_review"
+        }
+      ]
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `Requested by <@${review.creatorId}> (${review.creatorName}) in <#${review.channel}>`
+        }
+      ]
+    }
+  ];
+}
+
+// Digest for a creator listing their reviews with no feedback for a while, longest waiting first
+function formatStaleReviewDigest(stale) {
+  const lines = [...stale]
+    .sort((a, b) => b.daysStale - a.daysStale)
+    .map(({ review, awaitedIds, daysStale }) =>
+      `• \`${review.reviewId}\` *${review.title}* - waiting on ${awaitedIds.map(id => `<@${id}>`).join(', ')}, no feedback for ${daysStale} day${daysStale === 1 ? '' : 's'}`
+    );
+  
+  return [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: "⏳ Reviews Waiting on Feedback",
+        emoji: true
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `These reviews you requested haven't had any feedback lately:\n${lines.join('\n')}`
+      }
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: "Reviewers get their own reminders as the deadline approaches. Check in with them in the review's thread if it's urgent."
+        }
+      ]
+    }
+  ];
+}
+
+module.exports = {
+  init,
+  sendTaskReminders,
+  sendReviewReminders,
+  formatReminderMessage,
+  formatOverdueDigest,
+  formatReviewReminderMessage,
+  formatStaleReviewDigest
+};
\ No newline at end of file
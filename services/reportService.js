@@ -1,5 +1,6 @@
 // services/reportService.js
 const { formatDate } = require('../utils/formatters');
+const teamService = require('./teamService');
 
 let prisma;
 
@@ -72,12 +73,10 @@ async function generateDailyReport(client) {
     });
     
     // Group tasks by team
-    const teamTasks = {
-      content: { completed: [], new: [] },
-      design: { completed: [], new: [] },
-      product: { completed: [], new: [] },
-      ops: { completed: [], new: [] }
-    };
+    const teamTasks = {};
+    (await teamService.getTeams()).forEach(team => {
+      teamTasks[team.name] = { completed: [], new: [] };
+    });
     
     completedTasks.forEach(task => {
       if (teamTasks[task.team]) {
@@ -143,22 +142,26 @@ async function sendReportToChannels(client, teamTasks, clientReviews, date) {
         continue;
       }
       
-      // Try to find team channel
-      const channelName = `team-${team}`;
+      // Post to the team's report channel, or DM the lead if it has none
+      const teamInfo = teamService.getTeam(team);
+      const target = teamInfo && (teamInfo.reportChannel || teamInfo.leadId);
+      if (!target) {
+        continue;
+      }
+      
       try {
-        const result = await client.conversations.list();
-        const channel = result.channels.find(c => c.name === channelName);
+        const channelId = await resolveChannel(client, target);
         
-        if (channel) {
+        if (channelId) {
           await client.chat.postMessage({
-            channel: channel.id,
+            channel: channelId,
             blocks: formatTeamReport(team, tasks, date),
-            text: `Daily ${team} team report for ${formatDate(date)}`
+            text: `Daily ${teamService.getTeamLabel(team)} team report for ${formatDate(date)}`
           });
-          console.log(`Sent daily report to ${channelName}`);
+          console.log(`Sent daily ${team} report to ${target}`);
         }
       } catch (error) {
-        console.error(`Error sending report to ${channelName}:`, error);
+        console.error(`Error sending ${team} report to ${target}:`, error);
       }
     }
     
@@ -184,9 +187,21 @@ async function sendReportToChannels(client, teamTasks, clientReviews, date) {
   }
 }
 
+// Channel IDs and user IDs (for DMs) are used as they are; names are looked up
+async function resolveChannel(client, channel) {
+  if (/^[CGU][A-Z0-9]+$/.test(channel)) {
+    return channel;
+  }
+  
+  const result = await client.conversations.list();
+  const match = result.channels.find(c => c.name === channel);
+  return match ? match.id : null;
+}
+
 // Format a team-specific report
 function formatTeamReport(team, tasks, date) {
-  const teamName = team.charAt(0).toUpperCase() + team.slice(1);
+  const teamName = teamService.getTeamLabel(team);
+  const teamInfo = teamService.getTeam(team);
   const formattedDate = formatDate(date);
   
   const blocks = [
@@ -202,7 +217,7 @@ function formatTeamReport(team, tasks, date) {
       type: "section",
       text: {
         type: "mrkdwn",
-        text: `*Summary:* Completed ${tasks.completed.length} tasks, Created ${tasks.new.length} tasks`
+        text: `*Summary:* Completed ${tasks.completed.length} tasks, Created ${tasks.new.length} tasks${teamInfo && teamInfo.leadId ? `\n*Lead:* <@${teamInfo.leadId}>` : ''}`
       }
     }
   ];
@@ -227,7 +242,7 @@ function formatTeamReport(team, tasks, date) {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: `• *${task.title}*\n   Completed by <@${task.assignee}>`
+          text: `• \`${task.taskId}\` *${task.title}*\n   Completed by <@${task.assignee}>`
         }
       });
     });
@@ -253,7 +268,7 @@ function formatTeamReport(team, tasks, date) {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: `• *${task.title}*\n   Assigned to <@${task.assignee}> by <@${task.creator}>\n   Due: ${formatDate(task.deadline)}`
+          text: `• \`${task.taskId}\` *${task.title}*\n   Assigned to <@${task.assignee}> by <@${task.creator}>\n   Due: ${formatDate(task.deadline)}`
         }
       });
     });
@@ -321,7 +336,7 @@ function formatSummaryReport(teamTasks, clientReviews, date) {
   
   for (const [team, tasks] of Object.entries(teamTasks)) {
     if (tasks.completed.length > 0 || tasks.new.length > 0) {
-      const teamName = team.charAt(0).toUpperCase() + team.slice(1);
+      const teamName = teamService.getTeamLabel(team);
       blocks.push({
         type: "section",
         text: {
@@ -1,8 +1,43 @@
 // services/reviewService.js
-const { formatDate } = require('../utils/formatters');
+const { formatDate, fitSectionLines } = require('../utils/formatters');
+const { addBusinessDays, getDefaultTimezone } = require('../utils/dates');
+const idService = require('./idService');
+const clientService = require('./clientService');
 
 let prisma;
 
+// Stages a review moves through
+const REVIEW_STATUSES = ['draft', 'design', 'in_review', 'approved', 'published'];
+
+// Reviews that no longer need sign-off
+const CLOSED_REVIEW_STATUSES = ['approved', 'published'];
+
+// Statuses an item can be moved to by hand from each status; published is final. Approval only
+// comes from reviewer feedback, so the stages and the approval policy can't be skipped.
+const REVIEW_TRANSITIONS = {
+  draft: ['design', 'in_review'],
+  design: ['draft', 'in_review'],
+  in_review: ['draft', 'design'],
+  approved: ['in_review', 'published'],
+  published: []
+};
+
+// Most candidates shown when a title matches several reviews
+const MAX_REVIEW_MATCHES = 10;
+
+// Longest feedback comment or note shown in /review history
+const MAX_HISTORY_TEXT = 200;
+
+// Business days reviewers get when no deadline is given
+const DEFAULT_REVIEW_BUSINESS_DAYS = 3;
+
+// How each kind of feedback reads in a review's history
+const FEEDBACK_LABELS = {
+  approved: "✅ approved",
+  requested_changes: "⚠️ requested changes",
+  comment: "💬 commented"
+};
+
 function init(prismaClient) {
   prisma = prismaClient;
 }
@@ -36,113 +71,204 @@ async function ensureBotInChannel(channelId, client) {
   }
 }
 
-// Extract client from a channel mention
-async function extractClientFromChannel(channelMention, client) {
-  if (!channelMention || !channelMention.startsWith('#')) {
+// Post a message about a review as a reply in its request thread. Reviews from before threads, or
+// whose request couldn't be posted, get a top-level channel message instead.
+async function postToReviewThread(review, client, message) {
+  await ensureBotInChannel(review.channel, client);
+  return client.chat.postMessage({
+    channel: review.channel,
+    ...(review.messageTs ? { thread_ts: review.messageTs } : {}),
+    ...message
+  });
+}
+
+// Post the review request to its channel and remember the message, so the discussion can live in its
+// thread. Returns the updated review, or null if the request couldn't be posted.
+async function postReviewRequest(review, client, blocks, text) {
+  try {
+    const result = await postToReviewThread({ ...review, messageTs: null }, client, { blocks, text });
+    
+    return await prisma.review.update({
+      where: {
+        id: review.id
+      },
+      data: {
+        messageTs: result.ts
+      }
+    });
+  } catch (error) {
+    console.error(`Error posting review request ${review.reviewId} to ${review.channel}: ${error.message}`);
     return null;
   }
-  
-  // Extract channel name or ID
-  let channelId;
-  let channelName = null;
-  if (channelMention.startsWith('#C')) {
-    // It's a channel ID
-    channelId = channelMention.substring(1);
-  } else {
-    // It's a channel name, need to look up the ID
-    try {
-      const result = await client.conversations.list();
-      const channel = result.channels.find(c => c.name === channelMention.substring(1));
-      if (channel) {
-        channelId = channel.id;
-        channelName = channel.name;
-      } else {
-        return channelMention.substring(1);
+}
+
+// Review whose request message started a thread, or null
+async function getReviewByThread(channel, threadTs) {
+  try {
+    return await prisma.review.findFirst({
+      where: {
+        channel,
+        messageTs: threadTs
+      },
+      include: {
+        feedbacks: true
       }
-    } catch (error) {
-      console.error('Error looking up channel:', error);
-      return channelMention.substring(1);
-    }
+    });
+  } catch (error) {
+    console.error(`Error finding review for thread ${threadTs} in ${channel}:`, error);
+    return null;
   }
-  
-  // Try to get channel info to extract purpose (which might contain client name)
+}
+
+// Keep a human reply in a review's thread as a comment; comments never change reviewer decisions
+async function addComment(review, userId, userName, comment) {
   try {
-    const info = await client.conversations.info({ channel: channelId });
-    channelName = info.channel.name;
-    
-    if (info.channel.purpose && info.channel.purpose.value) {
-      // Try to extract client name from purpose
-      const purpose = info.channel.purpose.value.toLowerCase();
-      const clientMatch = purpose.match(/client:\s*([^,]+)/i);
-      if (clientMatch && clientMatch[1]) {
-        return {
-          client: clientMatch[1].trim(),
-          channelName: channelName
-        };
+    return await prisma.feedback.create({
+      data: {
+        reviewId: review.id,
+        reviewerId: userId,
+        reviewerName: userName,
+        comment,
+        status: "comment",
+        stage: review.currentStage,
+        revision: review.revision
       }
-    }
-    
-    // If no client found in purpose, check if channel name starts with "client-"
-    if (info.channel.name.startsWith('client-')) {
-      return {
-        client: info.channel.name.substring(7), // Remove "client-" prefix
-        channelName: channelName
-      };
-    }
-    
-    // Otherwise, just use the channel name
-    return {
-      client: info.channel.name,
-      channelName: channelName
-    };
+    });
   } catch (error) {
-    console.error('Error getting channel info:', error);
-    return {
-      client: channelMention.substring(1), // Just use the channel name without #
-      channelName: channelName || channelMention.substring(1)
-    };
+    console.error(`Error saving thread comment on review ${review.reviewId}:`, error);
+    return null;
+  }
+}
+
+// Stages of a review in order; reviews created without a pipeline have one stage of every reviewer
+function getReviewStages(review) {
+  if (Array.isArray(review.stages) && review.stages.length > 0) {
+    return review.stages;
+  }
+  return [{ name: "Review", reviewerIds: review.reviewerIds, reviewerNames: review.reviewerNames }];
+}
+
+function getCurrentStage(review) {
+  const stages = getReviewStages(review);
+  return stages[Math.min(review.currentStage || 0, stages.length - 1)];
+}
+
+// Reviewers whose turn it is
+function getCurrentStageReviewers(review) {
+  return getCurrentStage(review).reviewerIds;
+}
+
+// Current-stage reviewers who still have to decide on the current revision. Nobody once someone
+// has asked for changes: the review then waits on its creator's next revision.
+function getAwaitedReviewers(review) {
+  const stages = getReviewStages(review);
+  const current = Math.min(review.currentStage || 0, stages.length - 1);
+  const feedback = getStageFeedback(review, current);
+  
+  if (Object.values(feedback).some(f => f.status === "requested_changes")) {
+    return [];
+  }
+  return stages[current].reviewerIds.filter(id => !feedback[id]);
+}
+
+// Most recent decision from each reviewer in one stage of the current revision; submitting a
+// revision starts everyone's decisions afresh, and thread comments are not decisions
+function getStageFeedback(review, stageIndex) {
+  const latest = {};
+  (review.feedbacks || [])
+    .filter(feedback => feedback.status !== "comment")
+    .filter(feedback => (feedback.stage || 0) === stageIndex && (feedback.revision || 1) === (review.revision || 1))
+    .forEach(feedback => {
+      if (!latest[feedback.reviewerId] || new Date(feedback.createdAt) > new Date(latest[feedback.reviewerId].createdAt)) {
+        latest[feedback.reviewerId] = feedback;
+      }
+    });
+  return latest;
+}
+
+// Whether a stage has approved under the review's approval policy. A lead's approval is enough on its
+// own; otherwise every required reviewer and the quorum (everyone, when there is none) must approve.
+// Changes requested by a required reviewer or lead veto the stage even when the quorum is met.
+function evaluateStage(review, stageIndex) {
+  const stage = getReviewStages(review)[stageIndex];
+  const policy = clientService.getApprovalPolicy(review);
+  const feedback = getStageFeedback(review, stageIndex);
+  const hasStatus = (id, status) => Boolean(feedback[id]) && feedback[id].status === status;
+  
+  const approvedIds = stage.reviewerIds.filter(id => hasStatus(id, "approved"));
+  const requiredIds = policy.requiredIds.filter(id => stage.reviewerIds.includes(id));
+  const leadIds = policy.leadIds.filter(id => stage.reviewerIds.includes(id));
+  const needed = policy.quorum ? Math.min(policy.quorum, stage.reviewerIds.length) : stage.reviewerIds.length;
+  
+  const vetoIds = [...requiredIds, ...leadIds].filter(id => hasStatus(id, "requested_changes"));
+  const leadApproved = leadIds.some(id => approvedIds.includes(id));
+  const quorumMet = requiredIds.every(id => approvedIds.includes(id)) && approvedIds.length >= needed;
+  
+  return {
+    approved: vetoIds.length === 0 && (leadApproved || quorumMet),
+    approvedIds,
+    needed,
+    vetoIds,
+    leadApproved
+  };
+}
+
+// Why a reviewer can't give feedback yet, or null if it is their turn
+function checkReviewerTurn(review, reviewerId) {
+  const stages = getReviewStages(review);
+  const current = Math.min(review.currentStage || 0, stages.length - 1);
+  
+  if (stages[current].reviewerIds.includes(reviewerId)) {
+    return null;
+  }
+  
+  const later = stages.slice(current + 1).find(stage => stage.reviewerIds.includes(reviewerId));
+  if (later) {
+    return `"${review.title}" is still with the ${stages[current].name} stage. You review in the ${later.name} stage and will be notified when it's your turn.`;
   }
+  
+  const earlier = stages.slice(0, current).find(stage => stage.reviewerIds.includes(reviewerId));
+  if (earlier) {
+    return `The ${earlier.name} stage of "${review.title}" is already done; it is now with the ${stages[current].name} stage.`;
+  }
+  
+  return null;
 }
 
 // Create a new review request
-async function createReview(title, description, creatorId, creatorName, reviewerIds, reviewerNames, channel, channelName, client, url = null, deadline = null, initialStatus = "in_review") {
+async function createReview(title, description, creatorId, creatorName, reviewerIds, reviewerNames, channel, channelName, client, url = null, deadline = null, initialStatus = "in_review", timezone = null, projectId = null, stages = null, approvalPolicy = null) {
   console.log(`Creating review: title=${title}, creator=${creatorId}, reviewers=${reviewerIds.join(',')}, client=${client}, initialStatus=${initialStatus}`);
   
   // Validate status
-  const validStatuses = ["draft", "design", "in_review", "approved", "published"];
-  if (!validStatuses.includes(initialStatus)) {
+  if (!REVIEW_STATUSES.includes(initialStatus)) {
     initialStatus = "in_review"; // Default to in_review if invalid
   }
   
-  // Calculate deadline if not provided (default to 3 days)
+  // Use the parsed deadline if given, otherwise 3 business days, at the end of the working day in the creator's time zone
   let reviewDeadline = null;
   if (deadline) {
     reviewDeadline = new Date(deadline);
-    
-    // Set time to end of workday if not specified
-    if (deadline.length <= 10) { // YYYY-MM-DD format
-      reviewDeadline.setHours(17, 0, 0, 0);
-    }
   } else {
-    reviewDeadline = new Date();
-    reviewDeadline.setDate(reviewDeadline.getDate() + 3);
-    reviewDeadline.setHours(17, 0, 0, 0);
+    reviewDeadline = addBusinessDays(DEFAULT_REVIEW_BUSINESS_DAYS, timezone || getDefaultTimezone());
   }
   
   try {
     // Create review in database
     const review = await prisma.review.create({
       data: {
-        reviewId: 'review_' + Date.now().toString(),
+        reviewId: await idService.nextReviewId(client),
         title,
         description,
         creatorId,
         creatorName,
         reviewerIds,
         reviewerNames,
+        ...(stages ? { stages } : {}),
+        ...(approvalPolicy ? { approvalPolicy } : {}),
         channel,
         channelName,
         client,
+        projectId,
         url,
         status: initialStatus,
         createdAt: new Date(),
@@ -165,7 +291,7 @@ async function getReviews(filters = {}) {
   
   // Apply filters
   if (filters.client) {
-    where.client = filters.client;
+    where.client = await clientService.clientFilter(filters.client);
   }
   if (filters.channel) {
     where.channel = filters.channel;
@@ -204,7 +330,8 @@ async function getReviews(filters = {}) {
         { createdAt: 'desc' }
       ],
       include: {
-        feedbacks: true
+        feedbacks: true,
+        project: true
       }
     });
     
@@ -265,7 +392,40 @@ async function getReviews(filters = {}) {
   }
 }
 
-// Get a single review by ID or title
+// Reviews whose title contains the text, newest first. Approved and published
+// reviews are only matched when includeClosed is set.
+async function findReviewsByTitle(title, filters = {}, includeClosed = false) {
+  const where = {
+    title: {
+      contains: title,
+      mode: 'insensitive'
+    }
+  };
+  
+  if (filters.client) {
+    where.client = await clientService.clientFilter(filters.client);
+  }
+  if (!includeClosed) {
+    where.status = { notIn: CLOSED_REVIEW_STATUSES };
+  }
+  
+  try {
+    return await prisma.review.findMany({
+      where,
+      orderBy: {
+        createdAt: 'desc'
+      },
+      take: MAX_REVIEW_MATCHES,
+      include: {
+        feedbacks: true
+      }
+    });
+  } catch (error) {
+    console.error(`Error finding reviews by title ${title}:`, error);
+    return [];
+  }
+}
+
 async function getReviewById(reviewId) {
   try {
     const review = await prisma.review.findUnique({
@@ -273,7 +433,13 @@ async function getReviewById(reviewId) {
         reviewId
       },
       include: {
-        feedbacks: true
+        feedbacks: true,
+        revisions: {
+          orderBy: { number: 'asc' }
+        },
+        reviewerChanges: {
+          orderBy: { createdAt: 'asc' }
+        }
       }
     });
     
@@ -298,6 +464,14 @@ async function addFeedback(reviewId, reviewerId, reviewerName, comment, status,
       };
     }
     
+    // Late votes from reviewers a quorum didn't wait for can't reopen finished content
+    if (CLOSED_REVIEW_STATUSES.includes(review.status)) {
+      return {
+        success: false,
+        message: `"${review.title}" is already ${review.status}; it no longer takes feedback.`
+      };
+    }
+    
     // Check if reviewer is authorized
     if (!review.reviewerIds.includes(reviewerId)) {
       return {
@@ -306,6 +480,14 @@ async function addFeedback(reviewId, reviewerId, reviewerName, comment, status,
       };
     }
     
+    const turnError = checkReviewerTurn(review, reviewerId);
+    if (turnError) {
+      return {
+        success: false,
+        message: turnError
+      };
+    }
+    
     // Add feedback
     await prisma.feedback.create({
       data: {
@@ -314,6 +496,8 @@ async function addFeedback(reviewId, reviewerId, reviewerName, comment, status,
         reviewerName,
         comment,
         status,
+        stage: review.currentStage,
+        revision: review.revision,
         createdAt: new Date()
       }
     });
@@ -360,6 +544,21 @@ async function approveReview(reviewId, reviewerId, reviewerName, comment = "Appr
       };
     }
     
+    if (CLOSED_REVIEW_STATUSES.includes(review.status)) {
+      return {
+        success: false,
+        message: `"${review.title}" is already ${review.status}; it no longer takes approvals.`
+      };
+    }
+    
+    const turnError = checkReviewerTurn(review, reviewerId);
+    if (turnError) {
+      return {
+        success: false,
+        message: turnError
+      };
+    }
+    
     // Add the feedback - FIXED to ensure comment is a string
     await prisma.feedback.create({
       data: {
@@ -369,6 +568,8 @@ async function approveReview(reviewId, reviewerId, reviewerName, comment = "Appr
         // Make sure comment is a string
         comment: typeof comment === 'string' ? comment : "Approved",
         status: "approved",
+        stage: review.currentStage,
+        revision: review.revision,
         createdAt: new Date()
       }
     });
@@ -383,22 +584,6 @@ async function approveReview(reviewId, reviewerId, reviewerName, comment = "Appr
       };
     }
     
-    // If the review is not in a completed state yet, notify the creator
-    if (updatedReview.status !== "approved" && updatedReview.status !== "published" && client) {
-      // Notify the creator if different from reviewer
-      if (updatedReview.creatorId !== reviewerId) {
-        try {
-          await client.chat.postMessage({
-            channel: updatedReview.creatorId,
-            blocks: formatReviewStatusUpdate(updatedReview, reviewerId, reviewerName),
-            text: `<@${reviewerId}> approved your content "${updatedReview.title}"`
-          });
-        } catch (error) {
-          console.error(`Error sending approval notification to creator: ${error.message}`);
-        }
-      }
-    }
-    
     return {
       success: true,
       review: updatedReview
@@ -429,28 +614,27 @@ async function updateReviewStatus(reviewId, client = null) {
       return null;
     }
     
-    // Get the most recent feedback from each reviewer
-    const reviewerFeedback = {};
-    review.feedbacks.forEach(feedback => {
-      if (!reviewerFeedback[feedback.reviewerId] || 
-          new Date(feedback.createdAt) > new Date(reviewerFeedback[feedback.reviewerId].createdAt)) {
-        reviewerFeedback[feedback.reviewerId] = feedback;
-      }
-    });
+    // Only the current stage's reviewers decide; earlier stages are already signed off
+    const stages = getReviewStages(review);
+    const currentStage = Math.min(review.currentStage || 0, stages.length - 1);
+    const reviewerFeedback = getStageFeedback(review, currentStage);
     
-    // Check if all reviewers have approved
-    const allApproved = review.reviewerIds.every(reviewerId => {
-      return reviewerFeedback[reviewerId] && reviewerFeedback[reviewerId].status === "approved";
-    });
+    // Check whether the stage has approved under the review's approval policy
+    const stageResult = evaluateStage(review, currentStage);
     
-    // Update status if necessary
+    // Update status if necessary; a finished stage hands over to the next one
     let newStatus = review.status;
+    let nextStage = currentStage;
     let statusChanged = false;
     
-    if (allApproved && review.status === "in_review") {
-      newStatus = "approved";
+    if (stageResult.approved && review.status === "in_review") {
+      if (currentStage < stages.length - 1) {
+        nextStage = currentStage + 1;
+      } else {
+        newStatus = "approved";
+      }
       statusChanged = true;
-    } else if (Object.values(reviewerFeedback).some(f => f.status === "requested_changes")) {
+    } else if (review.status === "in_review" && Object.values(reviewerFeedback).some(f => f.status === "requested_changes")) {
       newStatus = "in_review";
       statusChanged = true;
     }
@@ -459,7 +643,7 @@ async function updateReviewStatus(reviewId, client = null) {
     
     // Update if status changed
     if (statusChanged) {
-      console.log(`Review ${review.reviewId} status changing from ${review.status} to ${newStatus}`);
+      console.log(`Review ${review.reviewId} status changing from ${review.status} to ${newStatus}, stage ${currentStage} to ${nextStage}`);
       
       updatedReview = await prisma.review.update({
         where: {
@@ -467,6 +651,7 @@ async function updateReviewStatus(reviewId, client = null) {
         },
         data: {
           status: newStatus,
+          currentStage: nextStage,
           ...(newStatus === "approved" ? { completedAt: new Date() } : {})
         },
         include: {
@@ -474,12 +659,19 @@ async function updateReviewStatus(reviewId, client = null) {
         }
       });
       
+      // Keep the stage progress and status on the original request up to date
+      if (client) {
+        await refreshReviewRequest(updatedReview, client);
+      }
+      
+      // The next stage's reviewers only hear about the review once the previous stage approves
+      if (nextStage !== currentStage && client) {
+        await notifyStageReviewers(updatedReview, stages[currentStage], client);
+      }
+      
       // If review is now approved and client object is provided, send a channel notification
       if (newStatus === "approved" && client) {
         try {
-          // Make sure bot can post to the channel
-          await ensureBotInChannel(review.channel, client);
-          
           // Get the last reviewer who approved
           const lastApprover = review.feedbacks
             .filter(f => f.status === "approved")
@@ -488,11 +680,11 @@ async function updateReviewStatus(reviewId, client = null) {
           const lastApproverId = lastApprover.reviewerId || "Unknown";
           const lastApproverName = lastApprover.reviewerName || "Unknown User";
           
-          // Send notification to the channel
-          await client.chat.postMessage({
-            channel: review.channel,
+          // Reply in the review's thread, and show the outcome in the channel too
+          await postToReviewThread(updatedReview, client, {
             blocks: formatReviewCompletionNotification(updatedReview, lastApproverId, lastApproverName),
-            text: `Review for "${updatedReview.title}" is now complete and approved!`
+            text: `Review for "${updatedReview.title}" is now complete and approved!`,
+            reply_broadcast: true
           });
           
           console.log(`Sent completion notification to channel ${review.channel} for review ${review.reviewId}`);
@@ -519,6 +711,32 @@ async function updateReviewStatus(reviewId, client = null) {
   }
 }
 
+// Tell the review's thread a stage is done and ask the current stage's reviewers for their review
+async function notifyStageReviewers(review, completedStage, client) {
+  const stage = getCurrentStage(review);
+  
+  try {
+    await postToReviewThread(review, client, {
+      blocks: formatStageAdvanceNotification(review, completedStage),
+      text: `"${review.title}" passed the ${completedStage.name} stage and is now with ${stage.name}`
+    });
+  } catch (error) {
+    console.error(`Error posting stage update for review ${review.reviewId}: ${error.message}`);
+  }
+  
+  for (const reviewerId of stage.reviewerIds) {
+    try {
+      await client.chat.postMessage({
+        channel: reviewerId,
+        blocks: formatReviewNotification(review),
+        text: `You've been asked to review "${review.title}" for ${review.client} (${stage.name} stage)`
+      });
+    } catch (error) {
+      console.error(`Error sending stage notification to ${reviewerId}: ${error.message}`);
+    }
+  }
+}
+
 // Update review status manually and send completion notification if appropriate
 async function updateReviewStatusManually(reviewId, newStatus, userId, userName, client = null) {
   console.log(`Manually updating review ${reviewId} to status ${newStatus} by ${userId} (${userName})`);
@@ -542,18 +760,29 @@ async function updateReviewStatusManually(reviewId, newStatus, userId, userName,
     }
     
     // Validate status
-    const validStatuses = ["draft", "design", "in_review", "approved", "published"];
-    if (!validStatuses.includes(newStatus)) {
+    if (!REVIEW_STATUSES.includes(newStatus)) {
+      return {
+        success: false,
+        message: `Invalid status. Must be one of: ${REVIEW_STATUSES.join(', ')}`
+      };
+    }
+    
+    if (newStatus === review.status) {
       return {
         success: false,
-        message: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+        message: `"${review.title}" is already ${formatStatus(newStatus)}.`
       };
     }
     
-    // Check if this is a completion status (approved or published)
-    const isCompletionStatus = newStatus === "approved" || newStatus === "published";
-    const wasCompleted = review.status === "approved" || review.status === "published";
-    const isNewCompletion = isCompletionStatus && !wasCompleted;
+    const allowed = REVIEW_TRANSITIONS[review.status] || [];
+    if (!allowed.includes(newStatus)) {
+      return {
+        success: false,
+        message: allowed.length > 0
+          ? `"${review.title}" can't go from ${formatStatus(review.status)} to ${formatStatus(newStatus)}. From ${formatStatus(review.status)} it can move to: ${allowed.map(formatStatus).join(', ')}.`
+          : `"${review.title}" is ${formatStatus(review.status)} and can't be moved any more.`
+      };
+    }
     
     // Try to ensure channel access if client is provided
     if (client && review.channel) {
@@ -564,33 +793,84 @@ async function updateReviewStatusManually(reviewId, newStatus, userId, userName,
       }
     }
     
-    // Update the status
-    const updatedReview = await prisma.review.update({
-      where: {
-        reviewId
-      },
-      data: {
-        status: newStatus,
-        ...(isCompletionStatus ? { completedAt: new Date() } : {})
-      },
-      include: {
-        feedbacks: true
-      }
-    });
+    const data = {
+      status: newStatus,
+      // Sending an item back for more work reopens it
+      ...(newStatus === "published" ? { completedAt: new Date(), publishedAt: new Date() } : { completedAt: null })
+    };
+    
+    // Approved content sent back starts a fresh round from the first stage, recorded as a new
+    // revision so the earlier approvals no longer count
+    const reReview = review.status === "approved" && newStatus === "in_review";
+    let updatedReview;
+    
+    if (reReview) {
+      const number = (review.revision || 1) + 1;
+      [, updatedReview] = await prisma.$transaction([
+        prisma.reviewRevision.create({
+          data: {
+            reviewId: review.id,
+            number,
+            note: `Sent back from ${formatStatus(review.status)} for another review`,
+            authorId: userId,
+            authorName: userName
+          }
+        }),
+        prisma.review.update({
+          where: {
+            reviewId
+          },
+          data: {
+            ...data,
+            revision: number,
+            currentStage: 0
+          },
+          include: {
+            feedbacks: true
+          }
+        })
+      ]);
+    } else {
+      updatedReview = await prisma.review.update({
+        where: {
+          reviewId
+        },
+        data,
+        include: {
+          feedbacks: true
+        }
+      });
+    }
+    
+    // Keep the status on the original request up to date
+    if (client) {
+      await refreshReviewRequest(updatedReview, client);
+    }
     
-    // Send completion notification to channel if this is a new completion
-    if (isNewCompletion && client && updatedReview.channel) {
+    // Every move is noted in the review's thread
+    if (client && updatedReview.channel) {
       try {
-        await client.chat.postMessage({
-          channel: updatedReview.channel,
-          blocks: formatReviewCompletionNotification(updatedReview, userId, userName),
-          text: `Review for "${updatedReview.title}" is now complete and ${newStatus}!`
+        await postToReviewThread(updatedReview, client, {
+          blocks: formatContentMoveNotification(updatedReview, review.status, userId, userName),
+          text: `<@${userId}> moved "${updatedReview.title}" from ${formatStatus(review.status)} to ${formatStatus(newStatus)}`
         });
-        
-        console.log(`Sent completion notification to channel ${updatedReview.channel} for manually completed review ${reviewId}`);
       } catch (error) {
-        console.error(`Error sending manual completion notification: ${error.message}`);
-        // Continue anyway - we don't want to fail just because notification failed
+        console.error(`Error sending status change notification: ${error.message}`);
+      }
+    }
+    
+    // The first stage's reviewers are asked to look again
+    if (reReview && client) {
+      for (const reviewerId of getCurrentStageReviewers(updatedReview)) {
+        try {
+          await client.chat.postMessage({
+            channel: reviewerId,
+            blocks: formatReviewNotification(updatedReview),
+            text: `"${updatedReview.title}" was sent back for another review`
+          });
+        } catch (error) {
+          console.error(`Error sending re-review notification to ${reviewerId}: ${error.message}`);
+        }
       }
     }
     
@@ -607,51 +887,405 @@ async function updateReviewStatusManually(reviewId, newStatus, userId, userName,
   }
 }
 
-// Format review request notification
-function formatReviewRequestMessage(review) {
-  const blocks = [
-    {
-      type: "header",
-      text: {
-        type: "plain_text",
-        text: "Review Request",
-        emoji: false
-      }
-    },
-    {
-      type: "section",
-      text: {
-        type: "mrkdwn",
-        text: `*${review.title}*${review.description ? `\n${review.description}` : ''}`
-      }
-    },
-    {
-      type: "section",
-      fields: [
-        {
-          type: "mrkdwn",
-          text: `*Client:*\n${review.client}`
-        },
-        {
-          type: "mrkdwn",
-          text: `*Status:*\n${formatStatus(review.status)}`
-        },
-        {
-          type: "mrkdwn",
-          text: `*Created by:*\n<@${review.creatorId}> (${review.creatorName})`
-        },
-        {
-          type: "mrkdwn",
-          text: `*Due:*\n${review.deadline ? formatDate(review.deadline) : 'Not specified'}`
-        }
-      ]
-    }
-  ];
+// Redraw the review request message with the review's current status
+async function refreshReviewRequest(review, client) {
+  if (!review.messageTs) {
+    return;
+  }
   
-  // Add URL if present
-  if (review.url) {
-    blocks.push({
-      type: "section",
+  try {
+    await client.chat.update({
+      channel: review.channel,
+      ts: review.messageTs,
+      blocks: formatReviewRequestMessage(review),
+      text: `Review requested for "${review.title}"`
+    });
+  } catch (error) {
+    console.error(`Error refreshing review request ${review.reviewId}: ${error.message}`);
+  }
+}
+
+// Submit a new version of a review. Reviewer decisions start afresh for the new revision, and the
+// current stage's reviewers are asked again; stages that already signed off stay done.
+async function submitRevision(reviewId, authorId, authorName, { url = null, note = null } = {}, client = null) {
+  console.log(`Submitting revision of review ${reviewId} by ${authorId} (${authorName})`);
+  
+  try {
+    const review = await getReviewById(reviewId);
+    
+    if (!review) {
+      return {
+        success: false,
+        message: "Review not found"
+      };
+    }
+    
+    if (review.creatorId !== authorId) {
+      return {
+        success: false,
+        message: `Only <@${review.creatorId}>, who requested the review, can submit a revision of "${review.title}".`
+      };
+    }
+    
+    if (CLOSED_REVIEW_STATUSES.includes(review.status)) {
+      return {
+        success: false,
+        message: `"${review.title}" is already ${review.status}; there is nothing left to revise.`
+      };
+    }
+    
+    const number = (review.revision || 1) + 1;
+    
+    const [revision, updatedReview] = await prisma.$transaction([
+      prisma.reviewRevision.create({
+        data: {
+          reviewId: review.id,
+          number,
+          url,
+          note,
+          authorId,
+          authorName
+        }
+      }),
+      prisma.review.update({
+        where: {
+          id: review.id
+        },
+        data: {
+          revision: number,
+          status: "in_review",
+          ...(url ? { url } : {})
+        },
+        include: {
+          feedbacks: true,
+          revisions: {
+            orderBy: { number: 'asc' }
+          }
+        }
+      })
+    ]);
+    
+    console.log(`Review ${review.reviewId} is now on revision ${number}`);
+    
+    if (client) {
+      // The request shows the new link and revision number
+      await refreshReviewRequest(updatedReview, client);
+      await notifyRevision(updatedReview, revision, client);
+    }
+    
+    return {
+      success: true,
+      review: updatedReview,
+      revision
+    };
+  } catch (error) {
+    console.error(`Error submitting revision: ${error}`);
+    return {
+      success: false,
+      message: `Error submitting revision: ${error.message}`
+    };
+  }
+}
+
+// Tell the review's thread about a new revision and ask the current stage's reviewers to look again
+async function notifyRevision(review, revision, client) {
+  try {
+    await postToReviewThread(review, client, {
+      blocks: formatRevisionNotification(review, revision),
+      text: `<@${revision.authorId}> submitted revision ${revision.number} of "${review.title}"`
+    });
+  } catch (error) {
+    console.error(`Error posting revision of review ${review.reviewId}: ${error.message}`);
+  }
+  
+  for (const reviewerId of getCurrentStageReviewers(review)) {
+    try {
+      await client.chat.postMessage({
+        channel: reviewerId,
+        blocks: formatReviewNotification(review),
+        text: `Revision ${revision.number} of "${review.title}" is ready for your review`
+      });
+    } catch (error) {
+      console.error(`Error sending revision notification to ${reviewerId}: ${error.message}`);
+    }
+  }
+}
+
+// Change who reviews an open review and record who did it. "added" joins the current stage,
+// "removed" leaves every stage, and "delegated" hands the actor's own place in every stage
+// (and any required or lead role) to the reviewer. reviewer and actor are { id, name }.
+async function changeReviewer(reviewId, action, reviewer, actor, note = null, client = null) {
+  console.log(`Reviewer change on review ${reviewId}: ${actor.id} ${action} ${reviewer.id}`);
+  
+  try {
+    const review = await getReviewById(reviewId);
+    
+    if (!review) {
+      return {
+        success: false,
+        message: "Review not found"
+      };
+    }
+    
+    if (CLOSED_REVIEW_STATUSES.includes(review.status)) {
+      return {
+        success: false,
+        message: `"${review.title}" is already ${review.status}; its reviewers can't change any more.`
+      };
+    }
+    
+    if (action === "delegated" && !review.reviewerIds.includes(actor.id)) {
+      return {
+        success: false,
+        message: `Only reviewers of "${review.title}" can delegate it.`
+      };
+    }
+    
+    if (action === "added" && review.creatorId !== actor.id && !review.reviewerIds.includes(actor.id)) {
+      return {
+        success: false,
+        message: `Only the creator or reviewers of "${review.title}" can add reviewers.`
+      };
+    }
+    
+    if (action === "removed" && review.creatorId !== actor.id) {
+      return {
+        success: false,
+        message: `Only <@${review.creatorId}>, who requested the review, can remove reviewers from "${review.title}".`
+      };
+    }
+    
+    const stages = getReviewStages(review).map(stage => ({
+      ...stage,
+      reviewerIds: [...stage.reviewerIds],
+      reviewerNames: [...stage.reviewerNames]
+    }));
+    const current = Math.min(review.currentStage || 0, stages.length - 1);
+    const removeFrom = (stage, id) => {
+      const index = stage.reviewerIds.indexOf(id);
+      stage.reviewerIds.splice(index, 1);
+      stage.reviewerNames.splice(index, 1);
+    };
+    let approvalPolicy = review.approvalPolicy;
+    
+    if (action === "added") {
+      if (review.reviewerIds.includes(reviewer.id)) {
+        return {
+          success: false,
+          message: `<@${reviewer.id}> already reviews "${review.title}".`
+        };
+      }
+      stages[current].reviewerIds.push(reviewer.id);
+      stages[current].reviewerNames.push(reviewer.name);
+    } else if (action === "removed") {
+      if (!review.reviewerIds.includes(reviewer.id)) {
+        return {
+          success: false,
+          message: `<@${reviewer.id}> isn't a reviewer of "${review.title}".`
+        };
+      }
+      
+      // Required reviewers and leads can hand their review over, but nobody can take away their say
+      const policy = clientService.getApprovalPolicy(review);
+      if (policy.requiredIds.includes(reviewer.id) || policy.leadIds.includes(reviewer.id)) {
+        return {
+          success: false,
+          message: `<@${reviewer.id}> is a ${policy.leadIds.includes(reviewer.id) ? 'lead' : 'required'} reviewer of "${review.title}" and can't be removed. They can delegate it instead.`
+        };
+      }
+      
+      // A stage with nobody left in it would count as approved
+      const emptied = stages.find(stage => stage.reviewerIds.length === 1 && stage.reviewerIds[0] === reviewer.id);
+      if (emptied) {
+        return {
+          success: false,
+          message: `<@${reviewer.id}> is the only reviewer in the ${emptied.name} stage of "${review.title}". Add someone else first, or ask them to delegate it.`
+        };
+      }
+      stages.filter(stage => stage.reviewerIds.includes(reviewer.id)).forEach(stage => removeFrom(stage, reviewer.id));
+    } else {
+      if (reviewer.id === actor.id) {
+        return {
+          success: false,
+          message: "You can't delegate a review to yourself."
+        };
+      }
+      
+      stages.filter(stage => stage.reviewerIds.includes(actor.id)).forEach(stage => {
+        if (stage.reviewerIds.includes(reviewer.id)) {
+          removeFrom(stage, actor.id);
+        } else {
+          const index = stage.reviewerIds.indexOf(actor.id);
+          stage.reviewerIds[index] = reviewer.id;
+          stage.reviewerNames[index] = reviewer.name;
+        }
+      });
+      
+      // The delegate takes over the delegator's say in the approval policy
+      if (approvalPolicy) {
+        const handOver = ids => [...new Set((ids || []).map(id => id === actor.id ? reviewer.id : id))];
+        approvalPolicy = {
+          ...approvalPolicy,
+          requiredIds: handOver(approvalPolicy.requiredIds),
+          leadIds: handOver(approvalPolicy.leadIds)
+        };
+      }
+    }
+    
+    // Everyone in any stage counts as a reviewer; reviews without a pipeline keep their single implicit stage
+    const hasPipeline = Array.isArray(review.stages) && review.stages.length > 0;
+    const reviewerIds = [];
+    const reviewerNames = [];
+    stages.forEach(stage => stage.reviewerIds.forEach((id, i) => {
+      if (!reviewerIds.includes(id)) {
+        reviewerIds.push(id);
+        reviewerNames.push(stage.reviewerNames[i]);
+      }
+    }));
+    
+    const [updatedReview, change] = await prisma.$transaction([
+      prisma.review.update({
+        where: {
+          id: review.id
+        },
+        data: {
+          reviewerIds,
+          reviewerNames,
+          ...(hasPipeline ? { stages } : {}),
+          ...(approvalPolicy ? { approvalPolicy } : {})
+        },
+        include: {
+          feedbacks: true
+        }
+      }),
+      prisma.reviewerChange.create({
+        data: {
+          reviewId: review.id,
+          action,
+          reviewerId: reviewer.id,
+          reviewerName: reviewer.name,
+          actorId: actor.id,
+          actorName: actor.name,
+          note
+        }
+      })
+    ]);
+    
+    console.log(`Review ${review.reviewId} reviewers are now ${reviewerIds.join(', ')}`);
+    
+    if (client) {
+      await notifyReviewerChange(updatedReview, change, client);
+    }
+    
+    // A delegator may leave the stage with enough approvals. A removal alone never approves it:
+    // the stage is decided again on the next vote from the reviewers who are left.
+    const finalReview = action === "delegated"
+      ? await updateReviewStatus(review.id, client) || updatedReview
+      : updatedReview;
+    
+    return {
+      success: true,
+      review: finalReview,
+      change
+    };
+  } catch (error) {
+    console.error(`Error changing reviewers: ${error}`);
+    return {
+      success: false,
+      message: `Error changing reviewers: ${error.message}`
+    };
+  }
+}
+
+// Post a reviewer change to the review's thread, and tell whoever joined or left
+async function notifyReviewerChange(review, change, client) {
+  await refreshReviewRequest(review, client);
+  
+  try {
+    await postToReviewThread(review, client, {
+      text: formatReviewerChange(change)
+    });
+  } catch (error) {
+    console.error(`Error posting reviewer change on review ${review.reviewId}: ${error.message}`);
+  }
+  
+  try {
+    if (change.action === "removed") {
+      await client.chat.postMessage({
+        channel: change.reviewerId,
+        text: `<@${change.actorId}> removed you from the reviewers of \`${review.reviewId}\` "${review.title}" for ${review.client}; you don't need to review it.`
+      });
+    } else if (getCurrentStageReviewers(review).includes(change.reviewerId)) {
+      // Reviewers who joined a later stage hear about it when that stage's turn comes
+      const blocks = formatReviewNotification(review);
+      blocks.splice(1, 0, {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: change.action === "delegated"
+              ? `<@${change.actorId}> delegated their review to you${change.note ? `: _${change.note}_` : ''}`
+              : `<@${change.actorId}> added you as a reviewer${change.note ? `: _${change.note}_` : ''}`
+          }
+        ]
+      });
+      
+      await client.chat.postMessage({
+        channel: change.reviewerId,
+        blocks,
+        text: `You've been asked to review "${review.title}" for ${review.client}`
+      });
+    }
+  } catch (error) {
+    console.error(`Error notifying ${change.reviewerId} about review ${review.reviewId}: ${error.message}`);
+  }
+}
+
+// Format review request notification
+function formatReviewRequestMessage(review) {
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: "Review Request",
+        emoji: false
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `\`${review.reviewId}\` *${review.title}*${review.description ? `\n${review.description}` : ''}`
+      }
+    },
+    {
+      type: "section",
+      fields: [
+        {
+          type: "mrkdwn",
+          text: `*Client:*\n${review.client}`
+        },
+        {
+          type: "mrkdwn",
+          text: `*Status:*\n${formatStatus(review.status)}`
+        },
+        {
+          type: "mrkdwn",
+          text: `*Created by:*\n<@${review.creatorId}> (${review.creatorName})`
+        },
+        {
+          type: "mrkdwn",
+          text: `*Due:*\n${review.deadline ? formatDate(review.deadline) : 'Not specified'}`
+        }
+      ]
+    }
+  ];
+  
+  // Add URL if present
+  if (review.url) {
+    blocks.push({
+      type: "section",
       text: {
         type: "mrkdwn",
         text: `*Link:* <${review.url}|View Content>`
@@ -659,22 +1293,105 @@ function formatReviewRequestMessage(review) {
     });
   }
   
-  // Add reviewers section
-  const reviewerMentions = review.reviewerIds.map((id, index) => 
-    `<@${id}> (${review.reviewerNames[index] || 'Unknown'})`
-  ).join(', ');
+  // Add reviewers section, stage by stage for pipelines
+  if (getReviewStages(review).length > 1) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Review stages:*\n${formatStageProgress(review)}`
+      }
+    });
+  } else {
+    const reviewerMentions = review.reviewerIds.map((id, index) => 
+      `<@${id}> (${review.reviewerNames[index] || 'Unknown'})`
+    ).join(', ');
+    
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Reviewers:* ${reviewerMentions}`
+      }
+    });
+  }
   
-  blocks.push({
-    type: "section",
-    text: {
-      type: "mrkdwn",
-      text: `*Reviewers:* ${reviewerMentions}`
-    }
-  });
+  const policyBlock = formatPolicyContext(review);
+  if (policyBlock) {
+    blocks.push(policyBlock);
+  }
   
   return blocks;
 }
 
+// Context line describing a review's approval policy, or null when everyone must approve
+function formatPolicyContext(review, prefix = "Approval policy") {
+  const policy = clientService.getApprovalPolicy(review);
+  if (!clientService.hasApprovalPolicy(policy)) {
+    return null;
+  }
+  
+  const stages = getReviewStages(review);
+  const reviewerCount = stages.length === 1 ? stages[0].reviewerIds.length : null;
+  
+  return {
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: `${prefix}: ${clientService.formatApprovalPolicy(policy, reviewerCount)}${stages.length > 1 ? ' (in each stage)' : ''}`
+      }
+    ]
+  };
+}
+
+// One line per stage: done, in progress (with each reviewer's feedback) or waiting
+function formatStageProgress(review) {
+  const stages = getReviewStages(review);
+  const current = Math.min(review.currentStage || 0, stages.length - 1);
+  const closed = CLOSED_REVIEW_STATUSES.includes(review.status);
+  
+  return stages.map((stage, index) => {
+    const reviewers = stage.reviewerIds.map((id, i) => `<@${id}> (${(stage.reviewerNames || [])[i] || 'Unknown'})`);
+    
+    if (index < current || closed) {
+      return `✅ *${index + 1}. ${stage.name}:* ${reviewers.join(', ')}`;
+    }
+    if (index > current) {
+      return `⏸️ *${index + 1}. ${stage.name}:* ${reviewers.join(', ')} - waiting`;
+    }
+    
+    const feedback = getStageFeedback(review, index);
+    const statuses = stage.reviewerIds.map((id, i) => {
+      const status = !feedback[id] ? "pending" : feedback[id].status === "approved" ? "approved" : "requested changes";
+      return `${reviewers[i]} ${status}`;
+    });
+    return `⏳ *${index + 1}. ${stage.name}:* ${statuses.join(', ')}`;
+  }).join('\n');
+}
+
+// Posted to the review's channel when one stage approves and the next takes over
+function formatStageAdvanceNotification(review, completedStage) {
+  const stage = getCurrentStage(review);
+  
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `\`${review.reviewId}\` *${review.title}* passed the *${completedStage.name}* stage. Now with *${stage.name}*: ${stage.reviewerIds.map(id => `<@${id}>`).join(', ')}`
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: formatStageProgress(review)
+      }
+    }
+  ];
+}
+
 // Format review notification for a reviewer
 function formatReviewNotification(review) {
   const blocks = [
@@ -682,7 +1399,7 @@ function formatReviewNotification(review) {
       type: "header",
       text: {
         type: "plain_text",
-        text: "New Review Request",
+        text: (review.revision || 1) > 1 ? `Revision ${review.revision} Ready for Review` : "New Review Request",
         emoji: false
       }
     },
@@ -690,7 +1407,7 @@ function formatReviewNotification(review) {
       type: "section",
       text: {
         type: "mrkdwn",
-        text: `*${review.title}*${review.description ? `\n${review.description}` : ''}`
+        text: `\`${review.reviewId}\` *${review.title}*${review.description ? `\n${review.description}` : ''}`
       }
     },
     {
@@ -743,6 +1460,16 @@ function formatReviewNotification(review) {
         },
         value: review.reviewId,
         action_id: "request_changes"
+      },
+      {
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: "Delegate to…",
+          emoji: false
+        },
+        value: review.reviewId,
+        action_id: "delegate_review"
       }
     ]
   });
@@ -776,16 +1503,16 @@ function formatReviewFeedbackMessage(review, userId, userName, status) {
       type: "section",
       text: {
         type: "mrkdwn",
-        text: `*${review.title}*`
+        text: `\`${review.reviewId}\` *${review.title}*`
       }
     }
   ];
   
   // Add the feedback that was just given
-  const feedback = review.feedbacks.find(f => 
-    f.reviewerId === userId && 
-    (status === "approved" ? f.status === "approved" : f.status === "requested_changes")
-  );
+  const feedback = review.feedbacks
+    .filter(f => f.reviewerId === userId && (f.revision || 1) === (review.revision || 1))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .find(f => status === "approved" ? f.status === "approved" : f.status === "requested_changes");
   
   if (feedback) {
     blocks.push({
@@ -803,7 +1530,7 @@ function formatReviewFeedbackMessage(review, userId, userName, status) {
     elements: [
       {
         type: "mrkdwn",
-        text: `Feedback submitted for ${review.client}'s "${review.title}"`
+        text: `Feedback submitted for ${review.client}'s "${review.title}" (${review.reviewId})`
       }
     ]
   });
@@ -826,7 +1553,7 @@ function formatReviewFeedbackNotification(review, reviewerId, reviewerName, feed
       type: "section",
       text: {
         type: "mrkdwn",
-        text: `*${review.title}*\n<@${reviewerId}> (${reviewerName}) has requested changes:`
+        text: `\`${review.reviewId}\` *${review.title}*\n<@${reviewerId}> (${reviewerName}) has requested changes:`
       }
     },
     {
@@ -841,7 +1568,22 @@ function formatReviewFeedbackNotification(review, reviewerId, reviewerName, feed
       elements: [
         {
           type: "mrkdwn",
-          text: `Current status: ${formatStatus(review.status)}`
+          text: `Current status: ${formatStatus(review.status)} · Revision ${review.revision || 1}`
+        }
+      ]
+    },
+    {
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          text: {
+            type: "plain_text",
+            text: "Submit Revision",
+            emoji: false
+          },
+          value: review.reviewId,
+          action_id: "submit_revision"
         }
       ]
     }
@@ -850,6 +1592,122 @@ function formatReviewFeedbackNotification(review, reviewerId, reviewerName, feed
   return blocks;
 }
 
+// Posted to the review's channel when the author submits a new version
+function formatRevisionNotification(review, revision) {
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `<@${revision.authorId}> submitted *revision ${revision.number}* of \`${review.reviewId}\` *${review.title}*` +
+              (revision.note ? `\n>${revision.note.split('\n').join('\n>')}` : '')
+      }
+    }
+  ];
+  
+  if (review.url) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Link:* <${review.url}|View Content>`
+      }
+    });
+  }
+  
+  blocks.push({
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: `Earlier decisions are cleared. Waiting on ${getCurrentStageReviewers(review).map(id => `<@${id}>`).join(', ')} · \`/review history ${review.reviewId}\` shows feedback on every revision`
+      }
+    ]
+  });
+  
+  return blocks;
+}
+
+// Every revision of a review with the feedback given on it, oldest first
+function formatRevisionHistory(review) {
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: `${review.reviewId} revisions`,
+        emoji: false
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${review.title}* (${review.client}) - ${formatStatus(review.status)}`
+      }
+    }
+  ];
+  
+  const revisions = [
+    { number: 1, authorId: review.creatorId, note: review.description, createdAt: review.createdAt },
+    ...(review.revisions || [])
+  ];
+  
+  revisions.forEach(revision => {
+    const inRevision = (review.feedbacks || []).filter(f => (f.revision || 1) === revision.number);
+    // Thread discussion stays in the thread; the history only counts it
+    const comments = inRevision.filter(f => f.status === "comment").length;
+    const feedback = inRevision
+      .filter(f => f.status !== "comment")
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(f => `• <@${f.reviewerId}> ${FEEDBACK_LABELS[f.status] || f.status}${f.comment && f.comment !== "Approved" ? `: ${trimHistoryText(f.comment)}` : ''}`);
+    
+    const current = revision.number === (review.revision || 1) ? ' (current)' : '';
+    const heading = `*Revision ${revision.number}*${current} · <@${revision.authorId}> · ${formatDate(revision.createdAt)}` +
+                    (revision.url ? ` · <${revision.url}|link>` : '') +
+                    (revision.note ? `\n_${trimHistoryText(revision.note)}_` : '') +
+                    (comments > 0 ? `\n💬 ${comments} thread comment${comments === 1 ? '' : 's'}` : '');
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `${heading}\n${feedback.length > 0 ? fitSectionLines(feedback, heading.length + 1).join('\n') : 'No feedback yet'}`
+      }
+    });
+  });
+  
+  // Who joined, left or handed over their review, oldest first
+  const changes = review.reviewerChanges || [];
+  if (changes.length > 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Reviewer changes*\n${fitSectionLines(changes.map(change => `• ${formatDate(change.createdAt)} · ${formatReviewerChange({ ...change, note: change.note && trimHistoryText(change.note) })}`), 20).join('\n')}`
+      }
+    });
+  }
+  
+  return blocks;
+}
+
+// Long comments and notes are cut short in the history; the thread and DMs have them in full
+function trimHistoryText(text) {
+  return text.length > MAX_HISTORY_TEXT ? `${text.slice(0, MAX_HISTORY_TEXT - 1).trimEnd()}…` : text;
+}
+
+function formatReviewerChange(change) {
+  const note = change.note ? `: _${change.note}_` : '';
+  
+  if (change.action === "delegated") {
+    return `<@${change.actorId}> delegated their review to <@${change.reviewerId}>${note}`;
+  }
+  if (change.action === "removed") {
+    return `<@${change.actorId}> removed <@${change.reviewerId}> from the reviewers${note}`;
+  }
+  return `<@${change.actorId}> added <@${change.reviewerId}> as a reviewer${note}`;
+}
+
 // Format a notification about review status update
 function formatReviewStatusUpdate(review, userId, userName) {
   const blocks = [
@@ -865,7 +1723,7 @@ function formatReviewStatusUpdate(review, userId, userName) {
       type: "section",
       text: {
         type: "mrkdwn",
-        text: `*${review.title}*\nThe review has been ${review.status.toLowerCase()} by <@${userId}> (${userName}).`
+        text: `\`${review.reviewId}\` *${review.title}*\nThe review has been ${review.status.toLowerCase()} by <@${userId}> (${userName}).`
       }
     }
   ];
@@ -881,13 +1739,22 @@ function formatReviewStatusUpdate(review, userId, userName) {
     });
   }
   
-  // Add all reviewer statuses
+  if (getReviewStages(review).length > 1) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Review stages:*\n${formatStageProgress(review)}`
+      }
+    });
+    return blocks;
+  }
+  
+  // Add all reviewer statuses for the version under review
+  const reviewerFeedback = getStageFeedback(review, 0);
   const reviewerStatuses = [];
   review.reviewerIds.forEach((reviewer, index) => {
-    // Find most recent feedback from this reviewer
-    const feedback = review.feedbacks
-      .filter(f => f.reviewerId === reviewer)
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+    const feedback = reviewerFeedback[reviewer];
     
     let status = "Pending";
     if (feedback) {
@@ -910,6 +1777,32 @@ function formatReviewStatusUpdate(review, userId, userName) {
   return blocks;
 }
 
+// Posted in a review's thread when someone moves it between workflow statuses by hand
+function formatContentMoveNotification(review, fromStatus, userId, userName) {
+  const next = REVIEW_TRANSITIONS[review.status] || [];
+  
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `\`${review.reviewId}\` *${review.title}* moved from ${formatStatus(fromStatus)} to *${formatStatus(review.status)}* by <@${userId}> (${userName})`
+      }
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: next.length > 0
+            ? `Next: ${next.map(formatStatus).join(' or ')} with \`/content move ${review.reviewId} [status]\``
+            : "This is the final status."
+        }
+      ]
+    }
+  ];
+}
+
 // Format review completion notification
 function formatReviewCompletionNotification(review, approverId, approverName) {
   const blocks = [
@@ -925,7 +1818,7 @@ function formatReviewCompletionNotification(review, approverId, approverName) {
       type: "section",
       text: {
         type: "mrkdwn",
-        text: `*${review.title}* has been fully reviewed and approved!`
+        text: `\`${review.reviewId}\` *${review.title}* has been fully reviewed and approved!`
       }
     },
     {
@@ -967,6 +1860,11 @@ function formatReviewCompletionNotification(review, approverId, approverName) {
     }
   });
   
+  const policyBlock = formatPolicyContext(review, "Approved under the policy");
+  if (policyBlock) {
+    blocks.push(policyBlock);
+  }
+  
   // Add final approver context
   blocks.push({
     type: "context",
@@ -1005,6 +1903,51 @@ function formatClientStatus(client, reviews) {
     return blocks;
   }
   
+  // Reviews without a project are listed after the client's projects
+  const projectGroups = new Map();
+  reviews.forEach(review => {
+    const key = review.project ? review.project.name : null;
+    if (!projectGroups.has(key)) {
+      projectGroups.set(key, []);
+    }
+    projectGroups.get(key).push(review);
+  });
+  
+  if (projectGroups.size === 1 && projectGroups.has(null)) {
+    return blocks.concat(formatStatusGroups(reviews));
+  }
+  
+  const projectNames = [...projectGroups.keys()].filter(Boolean).sort();
+  if (projectGroups.has(null)) {
+    projectNames.push(null);
+  }
+  
+  projectNames.forEach(name => {
+    const projectReviews = projectGroups.get(name);
+    const done = projectReviews.filter(review => CLOSED_REVIEW_STATUSES.includes(review.status)).length;
+    
+    blocks.push({
+      type: "divider"
+    });
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: name
+          ? `📁 *${name}* - ${done}/${projectReviews.length} approved or published`
+          : "*Not in a project*"
+      }
+    });
+    blocks.push(...formatStatusGroups(projectReviews));
+  });
+  
+  return blocks;
+}
+
+// Reviews listed under a heading for each status, in pipeline order
+function formatStatusGroups(reviews) {
+  const blocks = [];
+  
   // Group by status
   const statusGroups = {
     "draft": [],
@@ -1037,19 +1980,22 @@ function formatClientStatus(client, reviews) {
       });
       
       statusGroups[status].forEach(review => {
-        const reviewerCount = review.reviewerIds.length;
-        const approvalCount = review.feedbacks
-          .filter(f => f.status === "approved")
-          .map(f => f.reviewerId)
-          .filter((reviewer, index, self) => self.indexOf(reviewer) === index)
-          .length;
+        const stages = getReviewStages(review);
+        const current = Math.min(review.currentStage || 0, stages.length - 1);
+        
+        // Approvals count towards the stage that is currently reviewing, out of what its policy needs
+        const { approvedIds, needed } = evaluateStage(review, current);
+        const stageInfo = stages.length > 1 && !CLOSED_REVIEW_STATUSES.includes(review.status)
+          ? `Stage ${current + 1}/${stages.length} (${stages[current].name}) | `
+          : '';
           
         blocks.push({
           type: "section",
           text: {
             type: "mrkdwn",
-            text: `• *${review.title}*\n   Created by <@${review.creatorId}> (${review.creatorName}) | ${approvalCount}/${reviewerCount} approvals`
-          }
+            text: `• \`${review.reviewId}\` *${review.title}*\n   Created by <@${review.creatorId}> (${review.creatorName}) | ${stageInfo}${approvedIds.length}/${needed} approvals`
+          },
+          ...formatMoveMenu(review)
         });
       });
     }
@@ -1058,6 +2004,81 @@ function formatClientStatus(client, reviews) {
   return blocks;
 }
   
+// "Move to" menu for a review's allowed next statuses, as a section accessory; empty once published
+function formatMoveMenu(review) {
+  const next = REVIEW_TRANSITIONS[review.status] || [];
+  if (next.length === 0) {
+    return {};
+  }
+  
+  return {
+    accessory: {
+      type: "overflow",
+      action_id: "move_content",
+      options: next.map(status => ({
+        text: {
+          type: "plain_text",
+          text: `Move to ${formatStatus(status)}`,
+          emoji: true
+        },
+        value: `${review.reviewId}|${status}`
+      }))
+    }
+  };
+}
+
+// Candidate list shown when a title matches several reviews
+function formatReviewPicker(reviews, query) {
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${reviews.length >= MAX_REVIEW_MATCHES ? `${MAX_REVIEW_MATCHES}+` : reviews.length} reviews match "${query}".* Pick the one you meant:`
+      }
+    },
+    {
+      type: "divider"
+    }
+  ];
+  
+  reviews.forEach(review => {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `\`${review.reviewId}\` *${review.title}*\n` +
+              `${review.client} · ${formatStatus(review.status)}${review.deadline ? ` · due ${formatDate(review.deadline)}` : ''}`
+      },
+      accessory: {
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: "Approve",
+          emoji: false
+        },
+        style: "primary",
+        value: review.reviewId,
+        action_id: "approve_review"
+      }
+    });
+  });
+  
+  if (reviews.length >= MAX_REVIEW_MATCHES) {
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: "Only the newest matches are shown. Use more of the title or the review ID to narrow it down."
+        }
+      ]
+    });
+  }
+  
+  return blocks;
+}
+
 // Helper function to format status string
 function formatStatus(status) {
   switch (status) {
@@ -1077,21 +2098,36 @@ function formatStatus(status) {
 }
 
 module.exports = {
+  REVIEW_STATUSES,
+  CLOSED_REVIEW_STATUSES,
+  REVIEW_TRANSITIONS,
+  getReviewStages,
+  getCurrentStageReviewers,
+  getAwaitedReviewers,
   init,
-  extractClientFromChannel,
   createReview,
   getReviews,
   getReviewById,
+  findReviewsByTitle,
   addFeedback,
   approveReview,
   updateReviewStatus,
   updateReviewStatusManually,
+  submitRevision,
+  changeReviewer,
+  postToReviewThread,
+  postReviewRequest,
+  refreshReviewRequest,
+  getReviewByThread,
+  addComment,
   formatReviewRequestMessage,
   formatReviewNotification,
   formatReviewFeedbackMessage,
   formatReviewFeedbackNotification,
+  formatRevisionHistory,
   formatReviewStatusUpdate,
   formatClientStatus,
+  formatReviewPicker,
   formatStatus,
   ensureBotInChannel
 };
\ No newline at end of file
@@ -1,38 +1,82 @@
 // services/taskService.js
 const { formatDate, getPriorityIcon } = require('../utils/formatters');
+const { addBusinessDays, getDefaultTimezone, getZonedParts } = require('../utils/dates');
+const { ensureBotInChannel } = require('./reviewService');
+const idService = require('./idService');
+const teamService = require('./teamService');
+const clientService = require('./clientService');
 
 let prisma;
 
+// Allowed status changes for each lifecycle action
+const TASK_TRANSITIONS = {
+  start: { from: ['pending'], to: 'in_progress' },
+  complete: { from: ['pending', 'in_progress'], to: 'completed' },
+  reassign: { from: ['pending', 'in_progress'], to: 'pending' },
+  reopen: { from: ['completed', 'cancelled'], to: 'pending' },
+  cancel: { from: ['pending', 'in_progress'], to: 'cancelled' }
+};
+
+// Statuses that no longer need work or reminders
+const CLOSED_TASK_STATUSES = ['completed', 'cancelled'];
+
+// Related tasks loaded alongside a task so it can show its parent, subtask progress and blockers
+const TASK_INCLUDE = {
+  parent: {
+    select: { taskId: true, title: true }
+  },
+  subtasks: {
+    select: { taskId: true, title: true, status: true },
+    orderBy: { createdAt: 'asc' }
+  },
+  dependsOn: {
+    select: { taskId: true, title: true, status: true }
+  },
+  project: {
+    select: { name: true }
+  }
+};
+
+// Matches tasks with no unfinished prerequisites
+const NOT_BLOCKED = {
+  dependsOn: {
+    none: {
+      status: {
+        notIn: CLOSED_TASK_STATUSES
+      }
+    }
+  }
+};
+
+// Most candidates shown when a description matches several tasks
+const MAX_TASK_MATCHES = 10;
+
+const TASK_PRIORITIES = ['urgent', 'high', 'medium', 'low'];
+const TASK_STATUSES = ['pending', 'in_progress', 'completed', 'cancelled'];
+
+// Business days until the default deadline for each priority
+const PRIORITY_BUSINESS_DAYS = {
+  urgent: 1,
+  high: 2,
+  medium: 3,
+  low: 5
+};
+
 function init(prismaClient) {
   prisma = prismaClient;
 }
 
 // Task Management Functions
-async function createTask(team, priority, assigneeId, assigneeName, title, description, creatorId, creatorName, channel, channelName, client, isUrgent = false, deadline = null) {
+async function createTask(team, priority, assigneeId, assigneeName, title, description, creatorId, creatorName, channel, channelName, client, isUrgent = false, deadline = null, options = {}) {
   console.log(`Creating task: team=${team}, priority=${priority}, assigneeId=${assigneeId}, assigneeName=${assigneeName}, isUrgent=${isUrgent}, custom deadline=${deadline}`);
   
-  // Calculate deadline based on priority if not provided
+  // Use the provided deadline (already parsed with parseDeadline), or count business days
+  // by priority up to the end of the assignee's working day in their time zone
   let taskDeadline;
   if (deadline) {
-    // Use the provided deadline
     taskDeadline = new Date(deadline);
-    
-    // Set time to end of workday (5 PM) if not specified
-    if (deadline.length <= 10) { // YYYY-MM-DD format
-      taskDeadline.setHours(17, 0, 0, 0);
-    }
   } else {
-    // Calculate based on priority
-    const deadlineMap = {
-      'urgent': 1,
-      'high': 2,
-      'medium': 3,
-      'low': 5
-    };
-    
-    taskDeadline = new Date();
-    taskDeadline.setDate(taskDeadline.getDate() + deadlineMap[isUrgent ? 'urgent' : priority]);
-    taskDeadline.setHours(17, 0, 0, 0); // Set to 5 PM
+    taskDeadline = addBusinessDays(PRIORITY_BUSINESS_DAYS[isUrgent ? 'urgent' : priority] || PRIORITY_BUSINESS_DAYS.medium, options.timezone || getDefaultTimezone());
   }
   
   try {
@@ -45,6 +89,9 @@ async function createTask(team, priority, assigneeId, assigneeName, title, descr
         priority: isUrgent ? 'urgent' : priority,
         assigneeId,
         assigneeName,
+        assigneeIds: options.assigneeIds || [assigneeId],
+        assigneeNames: options.assigneeNames || [assigneeName],
+        watcherIds: options.watcherIds || [],
         creatorId,
         creatorName,
         channel,
@@ -53,9 +100,34 @@ async function createTask(team, priority, assigneeId, assigneeName, title, descr
         createdAt: new Date(),
         deadline: taskDeadline,
         status: 'pending',
-        taskId: 'task_' + Date.now().toString(),
-        reminderSent: false
-      }
+        taskId: await idService.nextTaskId(client),
+        parentId: options.parentId || null,
+        autoComplete: options.autoComplete || false,
+        recurringTaskId: options.recurringTaskId || null,
+        projectId: options.projectId || null,
+        dependsOn: {
+          connect: (options.dependsOnIds || []).map(id => ({ id }))
+        },
+        events: {
+          create: {
+            type: 'created',
+            actorId: creatorId,
+            actorName: creatorName,
+            details: {
+              assigneeId,
+              assigneeName,
+              ...(options.assigneeIds && options.assigneeIds.length > 1 ? { assigneeIds: options.assigneeIds } : {}),
+              ...(options.watcherIds && options.watcherIds.length > 0 ? { watcherIds: options.watcherIds } : {}),
+              deadline: taskDeadline.toISOString(),
+              priority: isUrgent ? 'urgent' : priority,
+              ...(options.parentTaskId ? { parentTaskId: options.parentTaskId } : {}),
+              ...(options.afterTaskIds && options.afterTaskIds.length > 0 ? { afterTaskIds: options.afterTaskIds } : {}),
+              ...(options.recurringTaskId ? { recurringTaskId: options.recurringTaskId } : {})
+            }
+          }
+        }
+      },
+      include: TASK_INCLUDE
     });
     
     console.log('Task created successfully:', task);
@@ -71,9 +143,11 @@ async function getUserPendingTasks(assigneeId) {
   try {
     const tasks = await prisma.task.findMany({
       where: {
-        assigneeId,
+        assigneeIds: {
+          has: assigneeId
+        },
         status: {
-          not: 'completed'
+          notIn: CLOSED_TASK_STATUSES
         }
       },
       orderBy: [
@@ -90,8 +164,24 @@ async function getUserPendingTasks(assigneeId) {
   }
 }
 
-async function getTaskByDescription(description, assigneeId = null) {
-  console.log(`Looking for task with description like: ${description}, assigneeId: ${assigneeId || 'any'}`);
+async function getTaskById(taskId) {
+  try {
+    return await prisma.task.findUnique({
+      where: {
+        taskId
+      },
+      include: TASK_INCLUDE
+    });
+  } catch (error) {
+    console.error(`Error finding task by ID ${taskId}:`, error);
+    return null;
+  }
+}
+
+// Tasks whose title or description contains the text, newest first.
+// status is 'open' (default), 'closed' or 'any' so closed tasks are only matched when asked for.
+async function findTasksByDescription(description, { assigneeId = null, status = 'open', limit = MAX_TASK_MATCHES } = {}) {
+  console.log(`Looking for ${status} tasks with description like: ${description}, assigneeId: ${assigneeId || 'any'}`);
   
   const where = {
     OR: [
@@ -111,22 +201,29 @@ async function getTaskByDescription(description, assigneeId = null) {
   };
   
   if (assigneeId) {
-    where.assigneeId = assigneeId;
+    where.assigneeIds = {
+      has: assigneeId
+    };
+  }
+  
+  if (status === 'open') {
+    where.status = { notIn: CLOSED_TASK_STATUSES };
+  } else if (status === 'closed') {
+    where.status = { in: CLOSED_TASK_STATUSES };
   }
   
   try {
-    const tasks = await prisma.task.findMany({
+    return await prisma.task.findMany({
       where,
       orderBy: {
         createdAt: 'desc'
       },
-      take: 1
+      take: limit,
+      include: TASK_INCLUDE
     });
-    
-    return tasks.length > 0 ? tasks[0] : null;
   } catch (error) {
-    console.error(`Error finding task by description: ${error}`);
-    return null;
+    console.error(`Error finding tasks by description: ${error}`);
+    return [];
   }
 }
 
@@ -142,13 +239,15 @@ async function getTasksList(filters = {}) {
     where.priority = filters.priority;
   }
   if (filters.assigneeId) {
-    where.assigneeId = filters.assigneeId;
+    where.assigneeIds = {
+      has: filters.assigneeId
+    };
   }
   if (filters.status) {
     where.status = filters.status;
   }
   if (filters.client) {
-    where.client = filters.client;
+    where.client = await clientService.clientFilter(filters.client);
   }
   if (filters.channel) {
     where.channel = filters.channel;
@@ -180,7 +279,8 @@ async function getTasksList(filters = {}) {
         { status: 'asc' },
         { priority: 'asc' },
         { deadline: 'asc' }
-      ]
+      ],
+      include: TASK_INCLUDE
     });
     console.log(`Found ${tasks.length} tasks matching filters`);
     return tasks;
@@ -190,81 +290,496 @@ async function getTasksList(filters = {}) {
   }
 }
 
-async function markTaskAsDone(taskId, completedById, completedByName) {
+async function markTaskAsDone(taskId, completedById, completedByName, client = null) {
   console.log(`Marking task as done: ${taskId} by user ${completedById} (${completedByName})`);
+  
+  const result = await transitionTask(taskId, 'complete', { id: completedById, name: completedByName }, {
+    completedAt: new Date(),
+    completedById,
+    completedByName
+  });
+  
+  if (!result.success) {
+    console.error(`Error marking task ${taskId} as done: ${result.message}`);
+    return null;
+  }
+  
+  console.log('Task marked as completed:', result.task);
+  await completeParentIfDone(result.task, { id: completedById, name: completedByName }, client);
+  await notifyUnblockedTasks(result.task, client);
+  return result.task;
+}
+
+// Prerequisites that still have to be completed
+function getOpenBlockers(task) {
+  return (task.dependsOn || []).filter(blocker => !CLOSED_TASK_STATUSES.includes(blocker.status));
+}
+
+// DM the assignees of open tasks whose last prerequisite was just closed
+async function notifyUnblockedTasks(task, client = null) {
+  if (!client) {
+    return;
+  }
+  
   try {
-    const task = await prisma.task.update({
+    const dependents = await prisma.task.findMany({
       where: {
-        taskId
+        status: {
+          notIn: CLOSED_TASK_STATUSES
+        },
+        dependsOn: {
+          some: {
+            id: task.id
+          }
+        },
+        ...NOT_BLOCKED
       },
-      data: {
-        status: 'completed',
-        completedAt: new Date(),
-        completedById,
-        completedByName
+      include: TASK_INCLUDE
+    });
+    
+    for (const dependent of dependents) {
+      for (const assigneeId of getAssigneeIds(dependent)) {
+        try {
+          await client.chat.postMessage({
+            channel: assigneeId,
+            text: `Task "${dependent.title}" is unblocked and ready to start`,
+            blocks: formatUnblockedMessage(dependent, task)
+          });
+          console.log(`Unblocked notification sent for task ${dependent.taskId} to ${assigneeId}`);
+        } catch (error) {
+          console.error(`Error notifying ${assigneeId} that task ${dependent.taskId} is unblocked:`, error);
+        }
       }
+    }
+  } catch (error) {
+    console.error(`Error finding tasks unblocked by ${task.taskId}:`, error);
+  }
+}
+
+// Subtask progress for a task loaded with TASK_INCLUDE; cancelled subtasks don't count
+function getSubtaskProgress(task) {
+  const subtasks = (task.subtasks || []).filter(subtask => subtask.status !== 'cancelled');
+  
+  if (subtasks.length === 0) {
+    return null;
+  }
+  
+  return {
+    done: subtasks.filter(subtask => subtask.status === 'completed').length,
+    total: subtasks.length
+  };
+}
+
+// Complete an auto-completing parent once its last open subtask is finished
+async function completeParentIfDone(task, actor, client = null) {
+  if (!task.parentId) {
+    return null;
+  }
+  
+  try {
+    const parent = await prisma.task.findUnique({
+      where: {
+        id: task.parentId
+      },
+      include: TASK_INCLUDE
     });
     
-    console.log('Task marked as completed:', task);
-    return task;
+    if (!parent || !parent.autoComplete || CLOSED_TASK_STATUSES.includes(parent.status)) {
+      return null;
+    }
+    
+    const progress = getSubtaskProgress(parent);
+    if (!progress || progress.done < progress.total) {
+      return null;
+    }
+    
+    const result = await transitionTask(parent.taskId, 'complete', actor, {
+      completedAt: new Date(),
+      completedById: actor.id,
+      completedByName: actor.name
+    }, {
+      reason: 'subtasks_completed',
+      lastSubtaskId: task.taskId
+    });
+    
+    if (!result.success) {
+      return null;
+    }
+    
+    console.log(`Parent task ${parent.taskId} completed after its last subtask ${task.taskId}`);
+    
+    if (client) {
+      await notifyTaskUpdate(client, result.task, 'complete', actor.id, result.previousTask);
+    }
+    
+    return result.task;
   } catch (error) {
-    console.error(`Error marking task ${taskId} as done:`, error);
+    console.error(`Error auto-completing parent of task ${task.taskId}:`, error);
     return null;
   }
 }
 
-async function sendTaskReminders(client) {
+// Move a task through the lifecycle state machine, recording who did it
+async function transitionTask(taskId, action, actor, data = {}, details = null) {
+  const transition = TASK_TRANSITIONS[action];
+  
   try {
-    const now = new Date();
-    const oneHourFromNow = new Date(now.getTime() + 60 * 60 * 1000);
+    const task = await getTaskById(taskId);
     
-    console.log(`Checking for tasks due between ${now.toISOString()} and ${oneHourFromNow.toISOString()}`);
+    if (!task) {
+      return {
+        success: false,
+        message: "Task not found"
+      };
+    }
     
-    // Get tasks with deadlines within the next hour
-    const tasks = await prisma.task.findMany({
+    if (!transition.from.includes(task.status)) {
+      return {
+        success: false,
+        message: `Cannot ${action} "${task.title}" because it is ${formatTaskStatus(task.status).toLowerCase()}`
+      };
+    }
+    
+    // Guard on the status we checked so concurrent changes cannot skip a step
+    const updatedTask = await prisma.task.update({
       where: {
-        status: {
-          not: 'completed'
-        },
-        deadline: {
-          lte: oneHourFromNow,
-          gt: now
-        },
-        reminderSent: false
+        taskId,
+        status: task.status
+      },
+      data: {
+        status: transition.to,
+        ...data,
+        events: {
+          create: {
+            type: formatTaskActionVerb(action),
+            actorId: actor.id,
+            actorName: actor.name,
+            details: {
+              fromStatus: task.status,
+              toStatus: transition.to,
+              ...details
+            }
+          }
+        }
+      },
+      include: TASK_INCLUDE
+    });
+    
+    console.log(`Task ${taskId} moved from ${task.status} to ${updatedTask.status} (${action})`);
+    
+    return {
+      success: true,
+      task: updatedTask,
+      previousTask: task
+    };
+  } catch (error) {
+    console.error(`Error applying ${action} to task ${taskId}:`, error);
+    return {
+      success: false,
+      message: `Error updating task: ${error.message}`
+    };
+  }
+}
+
+// Everyone assigned to a task, primary assignee first
+function getAssigneeIds(task) {
+  return task.assigneeIds && task.assigneeIds.length > 0 ? task.assigneeIds : [task.assigneeId];
+}
+
+// Creator, assignees and watchers who should hear about a change, minus whoever made it
+function getTaskRecipients(task, excludeUserId = null) {
+  const recipients = new Set([task.creatorId, ...getAssigneeIds(task), ...(task.watcherIds || [])]);
+  recipients.delete(excludeUserId);
+  return [...recipients];
+}
+
+// Only the creator or an assignee may change a task's lifecycle
+function isTaskParticipant(task, userId) {
+  return task.creatorId === userId || getAssigneeIds(task).includes(userId);
+}
+
+// Start, reopen or cancel a task on behalf of a user
+async function performTaskAction(taskId, action, userId, userName, client = null) {
+  console.log(`Applying ${action} to task ${taskId} by user ${userId} (${userName})`);
+  
+  const task = await getTaskById(taskId);
+  
+  if (!task) {
+    return {
+      success: false,
+      message: "Task not found"
+    };
+  }
+  
+  if (!isTaskParticipant(task, userId)) {
+    return {
+      success: false,
+      message: `Only the creator or assignee can ${action} "${task.title}"`
+    };
+  }
+  
+  const data = {};
+  if (action === 'reopen') {
+    // Clear completion details
+    data.completedAt = null;
+    data.completedById = null;
+    data.completedByName = null;
+  }
+  
+  const result = await transitionTask(taskId, action, { id: userId, name: userName }, data);
+  
+  // Cancelling the last open subtask or prerequisite can finish the parent or unblock dependents
+  if (result.success && action === 'cancel') {
+    await completeParentIfDone(result.task, { id: userId, name: userName }, client);
+    await notifyUnblockedTasks(result.task, client);
+  }
+  
+  return result;
+}
+
+// Hand a task over to someone else
+async function reassignTask(taskId, newAssigneeId, newAssigneeName, userId, userName) {
+  console.log(`Reassigning task ${taskId} to ${newAssigneeId} (${newAssigneeName}) by user ${userId} (${userName})`);
+  
+  const task = await getTaskById(taskId);
+  
+  if (!task) {
+    return {
+      success: false,
+      message: "Task not found"
+    };
+  }
+  
+  if (!isTaskParticipant(task, userId)) {
+    return {
+      success: false,
+      message: `Only the creator or assignee can reassign "${task.title}"`
+    };
+  }
+  
+  const assigneeIds = getAssigneeIds(task);
+  if (assigneeIds.length === 1 && assigneeIds[0] === newAssigneeId) {
+    return {
+      success: false,
+      message: `"${task.title}" is already assigned to <@${newAssigneeId}>`
+    };
+  }
+  
+  // Reassigning hands the whole task over; the new assignee has not started yet, so it goes back to pending
+  return transitionTask(taskId, 'reassign', { id: userId, name: userName }, {
+    assigneeId: newAssigneeId,
+    assigneeName: newAssigneeName,
+    assigneeIds: [newAssigneeId],
+    assigneeNames: [newAssigneeName]
+  }, {
+    fromAssigneeId: task.assigneeId,
+    fromAssigneeName: task.assigneeName,
+    ...(assigneeIds.length > 1 ? { fromAssigneeIds: assigneeIds } : {}),
+    toAssigneeId: newAssigneeId,
+    toAssigneeName: newAssigneeName
+  });
+}
+
+// Get a task together with its audit trail, oldest event first
+async function getTaskHistory(taskId) {
+  try {
+    return await prisma.task.findUnique({
+      where: {
+        taskId
+      },
+      include: {
+        events: {
+          orderBy: {
+            createdAt: 'asc'
+          }
+        }
       }
     });
+  } catch (error) {
+    console.error(`Error fetching history for task ${taskId}:`, error);
+    return null;
+  }
+}
+
+// Check edited task fields, returning error messages keyed by field
+function validateTaskChanges(changes) {
+  const errors = {};
+  
+  if (changes.deadline !== undefined) {
+    if (!(changes.deadline instanceof Date) || isNaN(changes.deadline.getTime())) {
+      errors.deadline = "Please pick a valid date and time";
+    } else if (changes.deadline <= new Date()) {
+      errors.deadline = "The deadline must be in the future";
+    }
+  }
+  
+  if (changes.priority !== undefined && !TASK_PRIORITIES.includes(changes.priority)) {
+    errors.priority = `Priority must be one of: ${TASK_PRIORITIES.join(', ')}`;
+  }
+  
+  const teamNames = teamService.getCachedTeams().map(team => team.name);
+  if (changes.team !== undefined && !teamNames.includes(changes.team)) {
+    errors.team = `Team must be one of: ${teamNames.join(', ')}`;
+  }
+  
+  return errors;
+}
+
+// Update editable task fields and report what actually changed
+async function updateTask(taskId, changes, userId, userName) {
+  console.log(`Updating task ${taskId} by user ${userId} (${userName}):`, changes);
+  
+  try {
+    const task = await getTaskById(taskId);
     
-    console.log(`Found ${tasks.length} tasks that need reminders`);
+    if (!task) {
+      return {
+        success: false,
+        message: "Task not found"
+      };
+    }
     
-    for (const task of tasks) {
-      try {
-        // Send reminder to assignee
-        await client.chat.postMessage({
-          channel: task.assigneeId,
-          text: `Reminder: Task "${task.title}" is due within the next hour`,
-          blocks: formatReminderMessage(task)
-        });
-        
-        console.log(`Sent reminder for task ${task.taskId} to user ${task.assigneeId}`);
-        
-        // Mark reminder as sent
-        await prisma.task.update({
-          where: { id: task.id },
-          data: { reminderSent: true }
-        });
-        
-      } catch (error) {
-        console.error(`Failed to send reminder for task ${task.taskId}:`, error);
+    if (!isTaskParticipant(task, userId)) {
+      return {
+        success: false,
+        message: `Only the creator or assignee can edit "${task.title}"`
+      };
+    }
+    
+    if (CLOSED_TASK_STATUSES.includes(task.status)) {
+      return {
+        success: false,
+        message: `"${task.title}" is ${formatTaskStatus(task.status).toLowerCase()} and can no longer be edited`
+      };
+    }
+    
+    const errors = validateTaskChanges(changes);
+    if (Object.keys(errors).length > 0) {
+      return {
+        success: false,
+        message: Object.values(errors).join('. '),
+        errors
+      };
+    }
+    
+    // Only keep fields whose value is different from what is stored
+    const data = {};
+    const changeList = [];
+    for (const field of ['deadline', 'priority', 'team', 'description']) {
+      if (changes[field] === undefined) {
+        continue;
+      }
+      
+      const before = task[field];
+      const after = changes[field];
+      const same = field === 'deadline'
+        ? new Date(before).getTime() === after.getTime()
+        : before === after;
+      
+      if (!same) {
+        data[field] = after;
+        changeList.push({ field, from: before, to: after });
       }
     }
     
-    return tasks.length;
+    if (changeList.length === 0) {
+      return {
+        success: true,
+        task,
+        changes: []
+      };
+    }
+    
+    // One audit event per changed field
+    data.events = {
+      create: changeList.map(change => ({
+        type: `${change.field}_changed`,
+        actorId: userId,
+        actorName: userName,
+        details: {
+          from: change.from instanceof Date ? change.from.toISOString() : change.from,
+          to: change.to instanceof Date ? change.to.toISOString() : change.to
+        }
+      }))
+    };
+    
+    const updatedTask = await prisma.task.update({
+      where: {
+        taskId
+      },
+      data,
+      include: TASK_INCLUDE
+    });
+    
+    console.log(`Task ${taskId} updated:`, changeList);
+    
+    return {
+      success: true,
+      task: updatedTask,
+      changes: changeList
+    };
   } catch (error) {
-    console.error(`Error in reminder job:`, error);
-    return 0;
+    console.error(`Error updating task ${taskId}:`, error);
+    return {
+      success: false,
+      message: `Error updating task: ${error.message}`
+    };
   }
 }
 
+// Let the channel, creator and affected assignees know about a lifecycle change
+async function notifyTaskUpdate(client, task, action, userId, previousTask = null) {
+  const blocks = formatTaskUpdateMessage(task, action, userId, previousTask);
+  const text = `Task "${task.title}" ${formatTaskActionVerb(action)} by <@${userId}>`;
+  
+  try {
+    await ensureBotInChannel(task.channel, client);
+    await client.chat.postMessage({
+      channel: task.channel,
+      blocks,
+      text
+    });
+  } catch (error) {
+    console.error(`Error notifying channel ${task.channel} about task ${task.taskId}:`, error);
+  }
+  
+  // On reassign the previous assignees hear about it; the new one gets the assignment card below
+  const recipients = action === 'reassign' && previousTask
+    ? getTaskRecipients(previousTask, userId).filter(recipient => recipient !== task.assigneeId)
+    : getTaskRecipients(task, userId);
+  
+  for (const recipient of recipients) {
+    try {
+      await client.chat.postMessage({
+        channel: recipient,
+        blocks,
+        text
+      });
+    } catch (error) {
+      console.error(`Error notifying ${recipient} about task ${task.taskId}:`, error);
+    }
+  }
+  
+  // The new assignee gets the full assignment card with action buttons
+  if (action === 'reassign' && task.assigneeId !== userId) {
+    try {
+      await client.chat.postMessage({
+        channel: task.assigneeId,
+        text: `You've been assigned a task: ${task.title}`,
+        blocks: formatDMNotification(task)
+      });
+    } catch (error) {
+      console.error(`Error notifying new assignee ${task.assigneeId}:`, error);
+    }
+  }
+}
+
+// "<@U1> (Sarah), <@U2> (John)" for every assignee
+function formatAssignees(task) {
+  const names = task.assigneeNames && task.assigneeNames.length > 0 ? task.assigneeNames : [task.assigneeName];
+  return getAssigneeIds(task).map((id, index) => `<@${id}> (${names[index] || 'Unknown'})`).join(', ');
+}
+
 // Format task details for display
 function formatTaskForDisplay(task) {
   const formattedDeadline = formatDate(task.deadline);
@@ -272,42 +787,176 @@ function formatTaskForDisplay(task) {
   const priority = task.priority.charAt(0).toUpperCase() + task.priority.slice(1);
   const priorityIcon = getPriorityIcon(task.priority);
   
-  const teamLabels = {
-    'content': 'Content',
-    'design': 'Design',
-    'product': 'Product',
-    'ops': 'Operations'
-  };
+  const teamName = teamService.getTeamLabel(task.team);
+  const blockers = CLOSED_TASK_STATUSES.includes(task.status) ? [] : getOpenBlockers(task);
+  const statusDisplay = blockers.length > 0 ? `⛔ Blocked (${formatTaskStatus(task.status)})` : formatTaskStatus(task.status);
   
-  const teamName = teamLabels[task.team] || task.team.charAt(0).toUpperCase() + task.team.slice(1);
-  let statusDisplay;
+  let clientInfo = '';
+  if (task.client) {
+    clientInfo = `*Client:* ${task.client}${task.project ? ` · ${task.project.name}` : ''}\n`;
+  }
+  
+  let watcherInfo = '';
+  if (task.watcherIds && task.watcherIds.length > 0) {
+    watcherInfo = `*Watchers:* ${task.watcherIds.map(id => `<@${id}>`).join(', ')}\n`;
+  }
+  
+  let subtaskInfo = '';
+  if (task.parent) {
+    subtaskInfo += `*Part of:* \`${task.parent.taskId}\` ${task.parent.title}\n`;
+  }
+  const progress = getSubtaskProgress(task);
+  if (progress) {
+    subtaskInfo += `*Subtasks:* ${progress.done}/${progress.total} done${task.autoComplete ? ' (completes automatically)' : ''}\n`;
+  }
+  if (blockers.length > 0) {
+    subtaskInfo += `*Blocked by:* ${blockers.map(blocker => `\`${blocker.taskId}\` ${blocker.title}`).join(', ')}\n`;
+  }
   
-  switch(task.status) {
+  return `\`${task.taskId}\` *${task.title}*\n${task.description}\n` +
+         `*Priority:* ${priorityIcon} ${priority}\n` +
+         `*Team:* ${teamName}\n` +
+         `${clientInfo}` +
+         `${subtaskInfo}` +
+         `*Assigned to:* ${formatAssignees(task)}\n` +
+         `${watcherInfo}` +
+         `*Due:* ${formattedDeadline}\n` +
+         `*Status:* ${statusDisplay}`;
+}
+
+// Human-readable task status
+function formatTaskStatus(status) {
+  switch(status) {
     case 'pending':
-      statusDisplay = 'Pending';
-      break;
+      return 'Pending';
     case 'in_progress':
-      statusDisplay = 'In Progress';
-      break;
+      return 'In Progress';
     case 'completed':
-      statusDisplay = 'Completed';
-      break;
+      return 'Completed';
+    case 'cancelled':
+      return 'Cancelled';
     default:
-      statusDisplay = task.status.charAt(0).toUpperCase() + task.status.slice(1);
+      return status.charAt(0).toUpperCase() + status.slice(1);
+  }
+}
+
+// Past-tense description of a lifecycle action
+function formatTaskActionVerb(action) {
+  switch(action) {
+    case 'start':
+      return 'started';
+    case 'reassign':
+      return 'reassigned';
+    case 'reopen':
+      return 'reopened';
+    case 'cancel':
+      return 'cancelled';
+    default:
+      return 'completed';
+  }
+}
+
+// Buttons for the actions available in the task's current status
+function formatTaskActionButtons(task) {
+  if (CLOSED_TASK_STATUSES.includes(task.status)) {
+    return [
+      {
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: "Reopen",
+          emoji: false
+        },
+        value: task.taskId,
+        action_id: "reopen_task"
+      }
+    ];
   }
   
-  let clientInfo = '';
-  if (task.client) {
-    clientInfo = `*Client:* ${task.client}\n`;
+  const buttons = [];
+  
+  if (task.status === 'pending') {
+    buttons.push({
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: "Start",
+        emoji: false
+      },
+      value: task.taskId,
+      action_id: "start_task"
+    });
   }
   
-  return `*${task.title}*\n${task.description}\n` +
-         `*Priority:* ${priorityIcon} ${priority}\n` +
-         `*Team:* ${teamName}\n` +
-         `${clientInfo}` +
-         `*Assigned to:* <@${task.assigneeId}> (${task.assigneeName})\n` +
-         `*Due:* ${formattedDeadline}\n` +
-         `*Status:* ${statusDisplay}`;
+  buttons.push(
+    {
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: "Mark Complete",
+        emoji: false
+      },
+      value: task.taskId,
+      action_id: "complete_task",
+      style: "primary"
+    },
+    formatEditTaskButton(task),
+    {
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: "Reassign",
+        emoji: false
+      },
+      value: task.taskId,
+      action_id: "reassign_task"
+    },
+    {
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: "Cancel",
+        emoji: false
+      },
+      value: task.taskId,
+      action_id: "cancel_task",
+      style: "danger",
+      confirm: {
+        title: {
+          type: "plain_text",
+          text: "Cancel task?"
+        },
+        text: {
+          type: "mrkdwn",
+          text: `"${task.title}" will be cancelled and no more reminders will be sent.`
+        },
+        confirm: {
+          type: "plain_text",
+          text: "Cancel task"
+        },
+        deny: {
+          type: "plain_text",
+          text: "Keep it"
+        }
+      }
+    }
+  );
+  
+  return buttons;
+}
+
+// Button that opens the edit modal; list filters are kept so the list can be re-rendered
+function formatEditTaskButton(task, filters = null) {
+  return {
+    type: "button",
+    text: {
+      type: "plain_text",
+      text: "Edit",
+      emoji: false
+    },
+    value: JSON.stringify(filters ? { taskId: task.taskId, filters } : { taskId: task.taskId }),
+    action_id: "edit_task"
+  };
 }
 
 // Helper to format user's existing tasks for display
@@ -319,7 +968,7 @@ function formatExistingTasksList(tasks) {
   const taskLines = tasks.map(task => {
     const dueDate = formatDate(task.deadline);
     const priorityIcon = getPriorityIcon(task.priority);
-    return `${priorityIcon} *${task.title}* - due ${dueDate}`;
+    return `${priorityIcon} \`${task.taskId}\` *${task.title}* - due ${dueDate}`;
   });
   
   return taskLines.join('\n');
@@ -371,7 +1020,7 @@ function formatAssignmentMessage(task, existingTasks = []) {
     elements: [
       {
         type: "mrkdwn",
-        text: `Use \`/done ${task.title}\` to mark as complete when finished`
+        text: `Use \`/done ${task.taskId}\` to mark as complete when finished`
       }
     ]
   });
@@ -399,19 +1048,7 @@ function formatDMNotification(task) {
     },
     {
       type: "actions",
-      elements: [
-        {
-          type: "button",
-          text: {
-            type: "plain_text",
-            text: "Mark Complete",
-            emoji: false
-          },
-          value: task.taskId,
-          action_id: "complete_task",
-          style: "primary"
-        }
-      ]
+      elements: formatTaskActionButtons(task)
     },
     {
       type: "context",
@@ -427,6 +1064,26 @@ function formatDMNotification(task) {
   return blocks;
 }
 
+// DM for users added as watchers
+function formatWatcherNotification(task) {
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `:eyes: <@${task.creatorId}> added you as a watcher. You'll be notified when this task changes.`
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: formatTaskForDisplay(task)
+      }
+    }
+  ];
+}
+
 // Format completion notification
 function formatCompletionMessage(task, completedById) {
   const blocks = [
@@ -459,6 +1116,162 @@ function formatCompletionMessage(task, completedById) {
   return blocks;
 }
 
+// Format lifecycle change notification (start, reassign, reopen, cancel)
+function formatTaskUpdateMessage(task, action, userId, previousTask = null) {
+  const headers = {
+    start: "Task Started",
+    complete: "Task Completed",
+    reassign: "Task Reassigned",
+    reopen: "Task Reopened",
+    cancel: "Task Cancelled"
+  };
+  
+  const verb = formatTaskActionVerb(action);
+  let contextText = `${verb.charAt(0).toUpperCase() + verb.slice(1)} by <@${userId}> on ${formatDate(new Date())}`;
+  if (action === 'reassign' && previousTask) {
+    contextText = `Reassigned from ${getAssigneeIds(previousTask).map(id => `<@${id}>`).join(', ')} to <@${task.assigneeId}> by <@${userId}> on ${formatDate(new Date())}`;
+  }
+  
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: headers[action] || "Task Updated",
+        emoji: false
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: formatTaskForDisplay(task)
+      }
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: contextText
+        }
+      ]
+    }
+  ];
+  
+  return blocks;
+}
+
+// "before_24h" -> "24h before due", "overdue_day_3" -> "3 days overdue"
+function formatReminderKind(kind) {
+  if (kind === 'due') {
+    return 'due now';
+  }
+  if (kind.startsWith('before_')) {
+    return `${kind.slice('before_'.length)} before due`;
+  }
+  if (kind.startsWith('overdue_day_')) {
+    const days = parseInt(kind.slice('overdue_day_'.length), 10);
+    return `${days} day${days === 1 ? '' : 's'} overdue`;
+  }
+  return kind;
+}
+
+// Describe a single audit event in one line
+function formatTaskEvent(event) {
+  const actor = event.actorId ? `<@${event.actorId}>` : 'Inagiffy Bot';
+  const details = event.details || {};
+  
+  switch (event.type) {
+    case 'created':
+      return `Created by ${actor} and assigned to ${(details.assigneeIds || [details.assigneeId]).map(id => `<@${id}>`).join(', ')}, due ${formatDate(details.deadline)}` +
+             (details.parentTaskId ? ` as a subtask of \`${details.parentTaskId}\`` : '') +
+             (details.afterTaskIds ? `, after ${details.afterTaskIds.map(id => `\`${id}\``).join(', ')}` : '') +
+             (details.recurringTaskId ? ` from recurring task #${details.recurringTaskId}` : '');
+    case 'reassigned':
+      return `Reassigned from ${(details.fromAssigneeIds || [details.fromAssigneeId]).map(id => `<@${id}>`).join(', ')} to <@${details.toAssigneeId}> by ${actor}`;
+    case 'reminder_sent':
+      return `Reminder${details.kind ? ` (${formatReminderKind(details.kind)})` : ''} sent to <@${details.recipientId}>`;
+    case 'escalated':
+      return `Escalated to <@${details.recipientId}> after ${details.daysOverdue} day${details.daysOverdue === 1 ? '' : 's'} overdue`;
+    case 'completed':
+      if (details.reason === 'subtasks_completed') {
+        return `Completed automatically when ${actor} finished the last subtask (\`${details.lastSubtaskId}\`)`;
+      }
+      return `Completed by ${actor}`;
+    case 'started':
+    case 'reopened':
+    case 'cancelled':
+      return `${event.type.charAt(0).toUpperCase() + event.type.slice(1)} by ${actor}`;
+    default:
+      if (event.type.endsWith('_changed')) {
+        const field = event.type.slice(0, -'_changed'.length);
+        const label = field.charAt(0).toUpperCase() + field.slice(1);
+        return `${label} changed from ${formatTaskFieldValue(field, details.from)} to ${formatTaskFieldValue(field, details.to)} by ${actor}`;
+      }
+      return `${event.type} by ${actor}`;
+  }
+}
+
+// Format task history timeline
+function formatTaskHistory(task) {
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: "Task History",
+        emoji: false
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: formatTaskForDisplay(task)
+      }
+    },
+    {
+      type: "divider"
+    }
+  ];
+  
+  if (task.events.length === 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "No recorded changes for this task yet."
+      }
+    });
+    return blocks;
+  }
+  
+  // Keep each section well under Slack's text limit
+  const lines = task.events.map(event => `*${formatDate(event.createdAt)}* — ${formatTaskEvent(event)}`);
+  for (let i = 0; i < lines.length; i += 10) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: lines.slice(i, i + 10).join('\n')
+      }
+    });
+  }
+  
+  blocks.push({
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: `${task.events.length} event${task.events.length === 1 ? '' : 's'} recorded for ${task.taskId}`
+      }
+    ]
+  });
+  
+  return blocks;
+}
+
 // Format task list
 function formatTaskList(tasks, filters = {}) {
   const blocks = [];
@@ -536,8 +1349,8 @@ function formatTaskList(tasks, filters = {}) {
       }
     });
     
-    // Add button for non-completed tasks
-    if (task.status !== 'completed') {
+    // Add buttons for open tasks
+    if (!CLOSED_TASK_STATUSES.includes(task.status)) {
       blocks.push({
         type: "actions",
         elements: [
@@ -550,7 +1363,8 @@ function formatTaskList(tasks, filters = {}) {
             },
             value: task.taskId,
             action_id: "complete_task"
-          }
+          },
+          formatEditTaskButton(task, filters)
         ]
       });
     }
@@ -566,64 +1380,304 @@ function formatTaskList(tasks, filters = {}) {
   return blocks;
 }
 
-// Format reminder notification
-function formatReminderMessage(task) {
-  const dueIn = Math.floor((task.deadline - new Date()) / (1000 * 60 * 60));
+// Format the edit modal pre-filled from the task
+function formatTaskEditModal(task, metadata) {
+  // Show the deadline in the editor's own time zone
+  const { date: initialDate, time: initialTime } = getZonedParts(new Date(task.deadline), metadata.timezone || getDefaultTimezone());
   
-  const dueText = dueIn <= 1 
-    ? "Due in less than an hour." 
-    : `Due in approximately ${dueIn} hours.`;
+  const option = value => ({
+    text: {
+      type: "plain_text",
+      text: value.charAt(0).toUpperCase() + value.slice(1)
+    },
+    value
+  });
   
-  const blocks = [
+  const teamOption = team => ({
+    text: {
+      type: "plain_text",
+      text: team.label
+    },
+    value: team.name
+  });
+  const teams = teamService.getCachedTeams();
+  const currentTeam = teams.find(team => team.name === task.team);
+  
+  return {
+    type: "modal",
+    callback_id: "edit_task_modal",
+    private_metadata: JSON.stringify(metadata),
+    title: {
+      type: "plain_text",
+      text: "Edit Task",
+      emoji: true
+    },
+    submit: {
+      type: "plain_text",
+      text: "Save",
+      emoji: true
+    },
+    close: {
+      type: "plain_text",
+      text: "Cancel",
+      emoji: true
+    },
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `\`${task.taskId}\` *${task.title}*\nAssigned to ${getAssigneeIds(task).map(id => `<@${id}>`).join(', ')}`
+        }
+      },
+      {
+        type: "input",
+        block_id: "deadline_date_input",
+        element: {
+          type: "datepicker",
+          action_id: "deadline_date",
+          initial_date: initialDate
+        },
+        label: {
+          type: "plain_text",
+          text: "Due date",
+          emoji: true
+        }
+      },
+      {
+        type: "input",
+        block_id: "deadline_time_input",
+        element: {
+          type: "timepicker",
+          action_id: "deadline_time",
+          initial_time: initialTime
+        },
+        label: {
+          type: "plain_text",
+          text: "Due time",
+          emoji: true
+        }
+      },
+      {
+        type: "input",
+        block_id: "priority_input",
+        element: {
+          type: "static_select",
+          action_id: "priority",
+          options: TASK_PRIORITIES.map(option),
+          ...(TASK_PRIORITIES.includes(task.priority) ? { initial_option: option(task.priority) } : {})
+        },
+        label: {
+          type: "plain_text",
+          text: "Priority",
+          emoji: true
+        }
+      },
+      {
+        type: "input",
+        block_id: "team_input",
+        element: {
+          type: "static_select",
+          action_id: "team",
+          options: teams.map(teamOption),
+          ...(currentTeam ? { initial_option: teamOption(currentTeam) } : {})
+        },
+        label: {
+          type: "plain_text",
+          text: "Team",
+          emoji: true
+        }
+      },
+      {
+        type: "input",
+        block_id: "description_input",
+        optional: true,
+        element: {
+          type: "plain_text_input",
+          action_id: "description",
+          multiline: true,
+          ...(task.description ? { initial_value: task.description } : {})
+        },
+        label: {
+          type: "plain_text",
+          text: "Description",
+          emoji: true
+        }
+      }
+    ]
+  };
+}
+
+// Display value of an editable task field
+function formatTaskFieldValue(field, value) {
+  if (field === 'deadline') {
+    return formatDate(value);
+  }
+  return value ? value : '_empty_';
+}
+
+// Format a summary of edited fields for the assignee
+function formatTaskChangesMessage(task, changes, userId) {
+  const changeLines = changes.map(change => {
+    const label = change.field.charAt(0).toUpperCase() + change.field.slice(1);
+    return `• *${label}:* ${formatTaskFieldValue(change.field, change.from)} → ${formatTaskFieldValue(change.field, change.to)}`;
+  });
+  
+  return [
     {
       type: "header",
       text: {
         type: "plain_text",
-        text: "⏰ Task Reminder",
-        emoji: true
+        text: "Task Updated",
+        emoji: false
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `<@${userId}> changed \`${task.taskId}\` *${task.title}*:\n${changeLines.join('\n')}`
       }
     },
     {
       type: "section",
       text: {
         type: "mrkdwn",
-        text: `*${dueText}*\n\n${formatTaskForDisplay(task)}`
+        text: formatTaskForDisplay(task)
       }
     },
     {
       type: "actions",
+      elements: formatTaskActionButtons(task)
+    }
+  ];
+}
+
+// Candidate list shown when a description matches several tasks.
+// button is { text, actionId } for a per-task action, or null to just list the IDs.
+function formatTaskPicker(tasks, query, button = null) {
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${tasks.length >= MAX_TASK_MATCHES ? `${MAX_TASK_MATCHES}+` : tasks.length} tasks match "${query}".* ` +
+              (button ? 'Pick the one you meant:' : 'Run the command again with one of these IDs:')
+      }
+    },
+    {
+      type: "divider"
+    }
+  ];
+  
+  tasks.forEach(task => {
+    const section = {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `${getPriorityIcon(task.priority)} \`${task.taskId}\` *${task.title}*\n` +
+              `${getAssigneeIds(task).map(id => `<@${id}>`).join(', ')} · due ${formatDate(task.deadline)} · ${formatTaskStatus(task.status)}`
+      }
+    };
+    
+    if (button) {
+      section.accessory = {
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: button.text,
+          emoji: false
+        },
+        value: task.taskId,
+        action_id: button.actionId
+      };
+    }
+    
+    blocks.push(section);
+  });
+  
+  if (tasks.length >= MAX_TASK_MATCHES) {
+    blocks.push({
+      type: "context",
       elements: [
         {
-          type: "button",
-          text: {
-            type: "plain_text",
-            text: "Mark Complete",
-            emoji: false
-          },
-          value: task.taskId,
-          action_id: "complete_task",
-          style: "primary"
+          type: "mrkdwn",
+          text: "Only the newest matches are shown. Use more of the title or the task ID to narrow it down."
         }
       ]
-    }
-  ];
+    });
+  }
   
   return blocks;
 }
 
+// DM telling an assignee their task can start now
+function formatUnblockedMessage(task, prerequisite) {
+  return [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: "Task Unblocked",
+        emoji: false
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `\`${prerequisite.taskId}\` *${prerequisite.title}* is ${prerequisite.status}, so your task is ready to start:`
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: formatTaskForDisplay(task)
+      }
+    },
+    {
+      type: "actions",
+      elements: formatTaskActionButtons(task)
+    }
+  ];
+}
+
 module.exports = {
+  CLOSED_TASK_STATUSES,
+  NOT_BLOCKED,
+  TASK_PRIORITIES,
+  TASK_STATUSES,
   init,
+  getAssigneeIds,
+  getTaskRecipients,
   createTask,
   getUserPendingTasks,
-  getTaskByDescription,
+  getTaskById,
+  findTasksByDescription,
+  getTaskHistory,
   getTasksList,
   markTaskAsDone,
-  sendTaskReminders,
+  performTaskAction,
+  reassignTask,
+  validateTaskChanges,
+  updateTask,
+  notifyTaskUpdate,
   formatTaskForDisplay,
+  formatTaskStatus,
+  formatTaskActionButtons,
   formatExistingTasksList,
   formatAssignmentMessage,
   formatDMNotification,
+  formatWatcherNotification,
   formatCompletionMessage,
+  formatTaskUpdateMessage,
+  formatTaskEditModal,
+  formatTaskChangesMessage,
+  formatTaskEvent,
+  formatReminderKind,
+  formatTaskHistory,
   formatTaskList,
-  formatReminderMessage
+  formatTaskPicker,
+  formatUnblockedMessage
 };
\ No newline at end of file
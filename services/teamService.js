@@ -0,0 +1,300 @@
+// services/teamService.js
+
+let prisma;
+
+// Teams change rarely; reload them at most this often so other bot instances pick up edits
+const TEAM_CACHE_MS = 60 * 1000;
+
+// Team names are used in -team= and filters, so keep them to one lower-case word
+const TEAM_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+let cachedTeams = [];
+let loadedAt = 0;
+
+function init(prismaClient) {
+  prisma = prismaClient;
+}
+
+// Read every team from the database and refresh the cache
+async function loadTeams() {
+  try {
+    cachedTeams = await prisma.team.findMany({
+      orderBy: {
+        id: 'asc'
+      }
+    });
+    loadedAt = Date.now();
+  } catch (error) {
+    console.error('Error loading teams:', error);
+  }
+  
+  return cachedTeams;
+}
+
+async function getTeams() {
+  if (Date.now() - loadedAt > TEAM_CACHE_MS) {
+    await loadTeams();
+  }
+  return cachedTeams;
+}
+
+async function getTeamNames() {
+  return (await getTeams()).map(team => team.name);
+}
+
+// Teams as last loaded, for formatters that can't wait on the database
+function getCachedTeams() {
+  return cachedTeams;
+}
+
+function getTeam(name) {
+  return cachedTeams.find(team => team.name === name) || null;
+}
+
+// Display name for a team, e.g. "Operations" for "ops"
+function getTeamLabel(name) {
+  const team = getTeam(name);
+  if (team) {
+    return team.label;
+  }
+  return name ? name.charAt(0).toUpperCase() + name.slice(1) : 'Other';
+}
+
+// Pick a team from keywords in the task title; the first team is the default
+async function determineTeam(text) {
+  const teams = await getTeams();
+  const lowerText = text.toLowerCase();
+  
+  for (const team of teams) {
+    if (team.keywords.some(keyword => lowerText.includes(keyword.toLowerCase()))) {
+      return team.name;
+    }
+  }
+  
+  return teams.length > 0 ? teams[0].name : 'general';
+}
+
+function isValidTeamName(name) {
+  return TEAM_NAME_PATTERN.test(name || '');
+}
+
+async function createTeam(data) {
+  if (!isValidTeamName(data.name)) {
+    return {
+      success: false,
+      message: `"${data.name}" is not a valid team name. Use lower-case letters, numbers and dashes, e.g. \`social-media\`.`
+    };
+  }
+  
+  if (await prisma.team.findUnique({ where: { name: data.name } })) {
+    return {
+      success: false,
+      message: `Team \`${data.name}\` already exists. Use \`/team edit ${data.name}\` to change it.`
+    };
+  }
+  
+  try {
+    const team = await prisma.team.create({
+      data: {
+        name: data.name,
+        label: data.label || data.name.charAt(0).toUpperCase() + data.name.slice(1),
+        keywords: data.keywords || [],
+        reportChannel: data.reportChannel || null,
+        leadId: data.leadId || null
+      }
+    });
+    
+    await loadTeams();
+    console.log('Team created:', team);
+    
+    return {
+      success: true,
+      team
+    };
+  } catch (error) {
+    console.error(`Error creating team ${data.name}:`, error);
+    return {
+      success: false,
+      message: `Error creating team: ${error.message}`
+    };
+  }
+}
+
+async function updateTeam(name, changes) {
+  const existing = await prisma.team.findUnique({ where: { name } });
+  
+  if (!existing) {
+    return {
+      success: false,
+      message: `No team named \`${name}\`. See \`/team list\`.`
+    };
+  }
+  
+  const data = {};
+  for (const field of ['label', 'keywords', 'reportChannel', 'leadId']) {
+    if (changes[field] !== undefined) {
+      data[field] = changes[field];
+    }
+  }
+  
+  if (Object.keys(data).length === 0) {
+    return {
+      success: false,
+      message: 'Nothing to change. Give at least one of -label, -keywords, -channel or -lead.'
+    };
+  }
+  
+  try {
+    const team = await prisma.team.update({
+      where: {
+        name
+      },
+      data
+    });
+    
+    await loadTeams();
+    console.log(`Team ${name} updated:`, data);
+    
+    return {
+      success: true,
+      team
+    };
+  } catch (error) {
+    console.error(`Error updating team ${name}:`, error);
+    return {
+      success: false,
+      message: `Error updating team: ${error.message}`
+    };
+  }
+}
+
+// Remove a team that no open task belongs to; closed tasks keep its name
+async function removeTeam(name) {
+  const existing = await prisma.team.findUnique({ where: { name } });
+  
+  if (!existing) {
+    return {
+      success: false,
+      message: `No team named \`${name}\`. See \`/team list\`.`
+    };
+  }
+  
+  const openTasks = await prisma.task.count({
+    where: {
+      team: name,
+      status: {
+        notIn: ['completed', 'cancelled']
+      }
+    }
+  });
+  
+  if (openTasks > 0) {
+    return {
+      success: false,
+      message: `Team \`${name}\` still has ${openTasks} open task${openTasks === 1 ? '' : 's'}. Move them to another team with *Edit* in \`/tasks team=${name}\` first.`
+    };
+  }
+  
+  try {
+    await prisma.team.delete({
+      where: {
+        name
+      }
+    });
+    
+    await loadTeams();
+    console.log(`Team ${name} removed`);
+    
+    return {
+      success: true,
+      team: existing
+    };
+  } catch (error) {
+    console.error(`Error removing team ${name}:`, error);
+    return {
+      success: false,
+      message: `Error removing team: ${error.message}`
+    };
+  }
+}
+
+// Report channels are stored as a channel ID or a name without the #
+function formatChannel(channel) {
+  if (!channel) {
+    return 'none';
+  }
+  return /^[CG][A-Z0-9]+$/.test(channel) ? `<#${channel}>` : `#${channel}`;
+}
+
+function formatTeam(team) {
+  const keywords = team.keywords.length > 0 ? team.keywords.join(', ') : 'none';
+  const lead = team.leadId ? `<@${team.leadId}>` : 'none';
+  
+  return `*${team.label}* (\`${team.name}\`)\n` +
+         `Lead: ${lead} · Report channel: ${formatChannel(team.reportChannel)}\n` +
+         `Keywords: ${keywords}`;
+}
+
+function formatTeamList(teams) {
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: "Teams",
+        emoji: false
+      }
+    }
+  ];
+  
+  if (teams.length === 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "No teams yet. Add one with `/team add [name] -label=\"Display name\"`."
+      }
+    });
+    return blocks;
+  }
+  
+  teams.forEach(team => {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: formatTeam(team)
+      }
+    });
+  });
+  
+  blocks.push({
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: "Workspace admins can change teams with `/team add|edit|remove [name]`"
+      }
+    ]
+  });
+  
+  return blocks;
+}
+
+module.exports = {
+  init,
+  loadTeams,
+  getTeams,
+  getTeamNames,
+  getCachedTeams,
+  getTeam,
+  getTeamLabel,
+  determineTeam,
+  isValidTeamName,
+  createTeam,
+  updateTeam,
+  removeTeam,
+  formatChannel,
+  formatTeam,
+  formatTeamList
+};
\ No newline at end of file
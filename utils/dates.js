@@ -0,0 +1,171 @@
+// utils/dates.js
+
+// Slack time zones change rarely, so remember them for a day
+const TIMEZONE_CACHE_MS = 24 * 60 * 60 * 1000;
+const timezoneCache = new Map();
+
+// Working days as JS weekday numbers (0 = Sunday), e.g. WORK_DAYS="1,2,3,4,5"
+function getWorkDays() {
+  const days = (process.env.WORK_DAYS || '1,2,3,4,5')
+    .split(',')
+    .map(day => parseInt(day.trim(), 10))
+    .filter(day => day >= 0 && day <= 6);
+  
+  return days.length > 0 ? days : [1, 2, 3, 4, 5];
+}
+
+// Working hours as "HH:MM", e.g. WORK_DAY_START="09:00" WORK_DAY_END="17:00"
+function getWorkHours() {
+  return {
+    start: process.env.WORK_DAY_START || '09:00',
+    end: process.env.WORK_DAY_END || '17:00'
+  };
+}
+
+// Dates nobody works, e.g. HOLIDAYS="2026-12-25,2027-01-01"
+function getHolidays() {
+  return new Set((process.env.HOLIDAYS || '').split(',').map(date => date.trim()).filter(Boolean));
+}
+
+// Used when a user's Slack time zone is unknown
+function getDefaultTimezone() {
+  return process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// Wall-clock date ("YYYY-MM-DD"), time ("HH:MM") and weekday of an instant in a time zone
+function getZonedParts(date, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  
+  const dateString = `${parts.year}-${parts.month}-${parts.day}`;
+  
+  return {
+    date: dateString,
+    time: `${parts.hour}:${parts.minute}`,
+    seconds: parseInt(parts.second, 10),
+    weekday: getWeekday(dateString)
+  };
+}
+
+// Milliseconds the time zone is ahead of UTC at an instant
+function getTimezoneOffset(timestamp, timezone) {
+  const parts = getZonedParts(new Date(timestamp), timezone);
+  const [year, month, day] = parts.date.split('-').map(Number);
+  const [hour, minute] = parts.time.split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, parts.seconds);
+  
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+// The instant a wall-clock date and time happen in a time zone
+function zonedTimeToUtc(dateString, timeString, timezone) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hour, minute] = timeString.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  
+  // Check the offset again at the result in case a DST change falls in between
+  const offset = getTimezoneOffset(wallClock, timezone);
+  const correctedOffset = getTimezoneOffset(wallClock - offset, timezone);
+  
+  return new Date(wallClock - correctedOffset);
+}
+
+function getWeekday(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function addCalendarDays(dateString, days) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function isBusinessDay(dateString) {
+  return getWorkDays().includes(getWeekday(dateString)) && !getHolidays().has(dateString);
+}
+
+// End of the working day on a date in a time zone
+function endOfWorkDay(dateString, timezone = getDefaultTimezone()) {
+  return zonedTimeToUtc(dateString, getWorkHours().end, timezone);
+}
+
+// End of the working day a number of business days after today, skipping weekends and holidays
+function addBusinessDays(days, timezone = getDefaultTimezone(), from = new Date()) {
+  let date = getZonedParts(from, timezone).date;
+  let remaining = days;
+  
+  while (remaining > 0) {
+    date = addCalendarDays(date, 1);
+    if (isBusinessDay(date)) {
+      remaining--;
+    }
+  }
+  
+  return endOfWorkDay(date, timezone);
+}
+
+// A deadline as the user sees it, e.g. "Fri, Oct 23, 2026, 03:00 PM"
+function formatZonedDate(date, timezone = getDefaultTimezone()) {
+  return new Date(date).toLocaleString('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+// Whether it is currently working hours on a working day for someone in this time zone
+function isWithinWorkingHours(timezone = getDefaultTimezone(), date = new Date()) {
+  const parts = getZonedParts(date, timezone);
+  const { start, end } = getWorkHours();
+  
+  return isBusinessDay(parts.date) && parts.time >= start && parts.time < end;
+}
+
+// A Slack user's time zone from users.info, falling back to the default
+async function getUserTimezone(client, userId) {
+  const cached = timezoneCache.get(userId);
+  if (cached && Date.now() - cached.fetchedAt < TIMEZONE_CACHE_MS) {
+    return cached.timezone;
+  }
+  
+  let timezone = getDefaultTimezone();
+  try {
+    const userInfo = await client.users.info({ user: userId });
+    timezone = userInfo.user.tz || timezone;
+  } catch (error) {
+    console.error(`Error fetching time zone for ${userId}:`, error);
+  }
+  
+  timezoneCache.set(userId, { timezone, fetchedAt: Date.now() });
+  return timezone;
+}
+
+module.exports = {
+  getDefaultTimezone,
+  getWorkHours,
+  getZonedParts,
+  zonedTimeToUtc,
+  addCalendarDays,
+  getWeekday,
+  isBusinessDay,
+  endOfWorkDay,
+  addBusinessDays,
+  formatZonedDate,
+  isWithinWorkingHours,
+  getUserTimezone
+};
\ No newline at end of file
@@ -1,4 +1,5 @@
 // utils/formatters.js
+const { formatZonedDate } = require('./dates');
 
 // Format date in a user-friendly way
 function formatDate(date) {
@@ -31,6 +32,43 @@ function formatDate(date) {
     }
   }
   
+  // Context block showing how a -deadline= value was interpreted, so typos don't go unnoticed
+  function formatDeadlineEcho(text, deadline, timezone) {
+    return {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `📅 Deadline "${text}" read as *${formatZonedDate(deadline, timezone)}* (${timezone})`
+        }
+      ]
+    };
+  }
+  
+  // Slack rejects a section whose text runs over 3000 characters. Keeps the lines that fit after
+  // `reserved` characters of heading, and counts the rest in a closing "…and N more" line.
+  const SECTION_TEXT_LIMIT = 3000;
+  const MORE_LINE_ROOM = 40;
+  
+  function fitSectionLines(lines, reserved = 0) {
+    const kept = [];
+    let length = reserved;
+    
+    for (const [i, line] of lines.entries()) {
+      const room = SECTION_TEXT_LIMIT - (i === lines.length - 1 ? 0 : MORE_LINE_ROOM);
+      if (length + line.length + 1 > room) {
+        break;
+      }
+      kept.push(line);
+      length += line.length + 1;
+    }
+    
+    if (kept.length < lines.length) {
+      kept.push(`_…and ${lines.length - kept.length} more_`);
+    }
+    return kept;
+  }
+  
   // Format comprehensive help message
   function formatHelpMessage() {
     return [
@@ -63,14 +101,14 @@ function formatDate(date) {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: "*`/assign @username [task] [options]`*\nAssign a new task to a team member\n\n*Options:*\n• `-urgent` - Set as high priority with urgent deadline\n• `-team=teamname` - Specify team (content, design, product, ops)\n• `-priority=level` - Set priority (urgent, high, medium, low)\n• `-deadline=YYYY-MM-DD` - Set custom due date\n• `-client=clientname` - Associate with specific client"
+          text: "*`/assign @username [@username2 ...] [task] [options]`*\nAssign a new task to one or more team members\n\n*Options:*\n• `-urgent` - Set as high priority with urgent deadline\n• `-watch=@username` - Notify someone about changes without assigning them\n• `-team=teamname` - Specify team (see `/team list`)\n• `-priority=level` - Set priority (urgent, high, medium, low)\n• `-deadline=when` - Set custom due date, e.g. `2025-05-15`, `tomorrow`, `\"friday 3pm\"`, `EOW` (default: 1-5 business days by priority)\n• `-client=clientname` - Associate with specific client\n• `-project=name` - Add to one of the client's projects\n• `-parent=T-12` - Make it a subtask of another task\n• `-autocomplete` - Complete this task automatically once all its subtasks are done\n• `-after=T-12,T-13` - Block this task until the listed tasks are completed\n• `-every=weekly|monthly|\"cron\"` - Assign this task again on a schedule"
         }
       },
       {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: "*Examples:*\n• `/assign @sarah Write Q2 marketing report -team=content`\n• `/assign @john Update homepage design -urgent`\n• `/assign @alex Finalize budget -team=ops -deadline=2025-05-15`"
+          text: "*Examples:*\n• `/assign @sarah Write Q2 marketing report -team=content`\n• `/assign @john Update homepage design -urgent`\n• `/assign @sarah @john Launch checklist -watch=@david`\n• `/assign @alex Finalize budget -team=ops -deadline=\"friday 3pm\"`\n• `/assign @sarah Draft April newsletter -parent=T-12`\n• `/assign @john Design April newsletter -after=T-13`"
         }
       },
       {
@@ -87,7 +125,7 @@ function formatDate(date) {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: "*`/tasks [filters]`*\nView and filter tasks\n\n*Filter options:*\n• `@username` - View a specific user's tasks\n• `team=teamname` - Filter by team (content, design, product, ops)\n• `priority=level` - Filter by priority (urgent, high, medium, low)\n• `status=state` - Filter by status (pending, in_progress, completed)\n• `client=clientname` - Filter by client"
+          text: "*`/tasks [filters]`*\nView and filter tasks\n\n*Filter options:*\n• `T-142` - View a single task by ID\n• `@username` - View a specific user's tasks\n• `team=teamname` - Filter by team (see `/team list`)\n• `priority=level` - Filter by priority (urgent, high, medium, low)\n• `status=state` - Filter by status (pending, in_progress, completed, cancelled)\n• `client=clientname` - Filter by client"
         }
       },
       {
@@ -111,7 +149,89 @@ function formatDate(date) {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: "*`/done [task description]`*\nMark a task as complete\n\n*Examples:*\n• `/done Write Q2 marketing report` - Complete task by description\n• `/done homepage design` - Complete task by partial description"
+          text: "*`/done [task ID or description]`*\nMark a task as complete\n\n*Examples:*\n• `/done T-142` - Complete task by ID\n• `/done Write Q2 marketing report` - Complete task by description\n• `/done homepage design` - Complete task by partial description"
+        }
+      },
+      {
+        type: "divider"
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "*Task Lifecycle*"
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "*`/task [action] [task description]`*\nMove a task through its lifecycle (pending → in progress → completed, or cancelled)\n\n*Actions:*\n• `start` - Mark your task as in progress\n• `reassign @username` - Hand the task to someone else\n• `reopen` - Reopen a completed or cancelled task\n• `cancel` - Cancel a task and stop its reminders\n• `history` - Show who changed what and when"
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "*Examples:*\n• `/task start homepage design`\n• `/task reassign @alex Q2 marketing report`\n• `/task cancel budget review`\n• `/task history T-142`"
+        }
+      },
+      {
+        type: "divider"
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "*Recurring Tasks*"
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "*`/recurring [action] [number]`*\nManage tasks created with `/assign ... -every=`\n\n*Actions:*\n• `list` - Show all recurring tasks and their schedules\n• `pause 3` - Stop creating tasks for #3\n• `resume 3` - Start creating tasks for #3 again\n• `delete 3` - Remove #3 (tasks already created are kept)"
+        }
+      },
+      {
+        type: "divider"
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "*Teams*"
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "*`/team [action] [name] [options]`*\nList teams, or (workspace admins) add, edit and remove them\n\n*Options:*\n• `-label=\"Display name\"` - Name shown on tasks and reports\n• `-keywords=word1,word2` - Words in a task title that pick this team\n• `-channel=#channel` - Where the daily team report is posted\n• `-lead=@username` - Team lead, who gets the report by DM if there is no channel"
+        }
+      },
+      {
+        type: "divider"
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "*Clients*"
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "*`/client [action] [name] [options]`*\nRegister clients so every command agrees on who they are\n\n*Examples:*\n• `/client register \"Acme Corp\" -owner=@sarah -alias=acme #client-acme` - Add a client\n• `/client link Acme #acme-social` - Another channel for the same client\n• `/client alias Acme acme-inc` - Another name people use for it\n• `/client pipeline Acme editor:@ed design:@dana` - Review in stages, in this order\n• `/client policy Acme -quorum=2 -lead=@lee` - Approvals needed for its reviews\n• `/client list` - Show clients, owners and channels"
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "*`/project [action] [name] [-client=name]`*\nGroup a client's tasks and reviews into projects or campaigns\n\n*Examples:*\n• `/project create \"Spring Launch\" -client=acme` - Start a project\n• `/assign @sarah Launch email -project=\"Spring Launch\"` - Add work to it (also on /review)\n• `/project status \"Spring Launch\"` - Tasks, reviews and percent complete\n• `/project complete \"Spring Launch\"` - Mark it done"
         }
       },
       {
@@ -128,14 +248,14 @@ function formatDate(date) {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: "*`/review [title] [options]`*\nRequest a review for content\n\n*Options:*\n• `#channel` - Specify client channel\n• `@reviewer1 @reviewer2` - Tag reviewers directly\n• `-url=link` - Link to the content being reviewed\n• `-deadline=YYYY-MM-DD` - Set review deadline\n• `-status=stage` - Set initial status (draft, design, in_review, approved, published)"
+          text: "*`/review [title] [options]`*\nRequest a review for content\n\n*Options:*\n• `#channel` - Specify client channel\n• `@reviewer1 @reviewer2` - Tag reviewers directly\n• `-url=link` - Link to the content being reviewed\n• `-deadline=when` - Set review deadline, e.g. `2025-05-10`, `\"in 2 days\"`, `EOD`\n• `-project=name` - Add to one of the client's projects\n• `-status=stage` - Set initial status (draft, design, in_review, approved, published)\n• `-quorum=2` `-required=@ann` `-lead=@lee` - Who has to approve (default: everyone)"
         }
       },
       {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: "*Examples:*\n• `/review April Newsletter #acme @sarah @john -url=https://docs.google.com/doc`\n• `/review Homepage Redesign @alex -status=design -deadline=2025-05-10`"
+          text: "*Examples:*\n• `/review April Newsletter #acme @sarah @john -url=https://docs.google.com/doc`\n• `/review Homepage Redesign @alex -status=design -deadline=2025-05-10`\n• `/review revise R-12 -url=link What changed` - Submit a new version after changes were requested\n• `/review history R-12` - Feedback on every version and reviewer changes\n• `/review add-reviewer R-12 @kim` / `remove-reviewer R-12 @sarah` - Change who reviews it\n• `/review delegate R-12 @kim On vacation` - Hand your review to someone else (or use *Delegate to…*)"
         }
       },
       {
@@ -152,7 +272,7 @@ function formatDate(date) {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: "*`/client-status [client]`*\nCheck content status for a client\n\n*Examples:*\n• `/client-status` - Check status for current channel\n• `/client-status #acme` - Check status for Acme client channel\n• `/client-status sunroof` - Check status for Sunroof client by name"
+          text: "*`/client-status [client]`*\nCheck content status for a client\n\n*Examples:*\n• `/client-status` - Check status for current channel\n• `/client-status #acme` - Check status for Acme client channel\n• `/client-status sunroof` - Check status for Sunroof client by name\n\n*`/content move [review ID] [status]`*\nMove an item between draft, design and in_review, or publish or reopen approved content (also from the ⋯ menu in /client-status)\n\n*Example:*\n• `/content move R-12 design`\n\n*`/publish [review ID] [-at=when]`*\nPublish approved content now or at a set time, announced in the client channel\n\n*Examples:*\n• `/publish R-12 -at=2026-11-02T09:00` - Schedule it\n• `/publish calendar acme` - What is going live and when\n\n*`/calendar [client] [-weeks=4]`*\nReview deadlines, task deadlines and publish dates week by week (up to 12 weeks)"
         }
       },
       {
@@ -169,7 +289,7 @@ function formatDate(date) {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: "*`/approve [review title or ID] [optional comment]`*\nApprove content for publishing\n\n*Examples:*\n• `/approve April Newsletter` - Approve by title\n• `/approve #acme Homepage Redesign` - Approve with client prefix\n• `/approve Q2 Report \"Looks great, ready to publish\"` - Include approval comment"
+          text: "*`/approve [review title or ID] [optional comment]`*\nApprove content for publishing\n\n*Examples:*\n• `/approve R-37` - Approve by ID\n• `/approve April Newsletter` - Approve by title\n• `/approve #acme Homepage Redesign` - Approve with client prefix\n• `/approve Q2 Report \"Looks great, ready to publish\"` - Include approval comment"
         }
       },
       {
@@ -186,7 +306,7 @@ function formatDate(date) {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: "You can also interact with Inagiffy Bot in direct messages using these command formats (without the slash):\n\n• `assign @username [task] [options]`\n• `tasks [filters]`\n• `done [task description]`\n• `review [title] [options]`\n• `approve [title] [comment]`\n• `status [client]`\n• `help` - Show this guide"
+          text: "You can also interact with Inagiffy Bot in direct messages using these command formats (without the slash):\n\n• `assign @username [task] [options]`\n• `tasks [filters]`\n• `done [task ID or description]`\n• `task [action] [task description]`\n• `recurring [action] [number]`\n• `review [title] [options]`\n• `approve [title] [comment]`\n• `status [client]`\n• `help` - Show this guide"
         }
       },
       {
@@ -204,5 +324,7 @@ function formatDate(date) {
   module.exports = {
     formatDate,
     getPriorityIcon,
+    formatDeadlineEcho,
+    fitSectionLines,
     formatHelpMessage
   };
\ No newline at end of file
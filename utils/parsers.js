@@ -1,4 +1,19 @@
 // utils/parsers.js
+const {
+  getDefaultTimezone,
+  getWorkHours,
+  getZonedParts,
+  zonedTimeToUtc,
+  addCalendarDays,
+  getWeekday,
+  isBusinessDay,
+  addBusinessDays
+} = require('./dates');
+
+// Anything shaped like an option, e.g. -tema=design or -urgnet, so typos aren't taken as title text
+const FLAG_PATTERN = /^-[a-z][a-z-]*(=|$)/i;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
 
 // Extract user ID from different mention formats
 function extractUserId(text) {
@@ -37,13 +52,21 @@ function extractUserId(text) {
   function parseAssignArgs(text) {
     const result = {
       userId: null,
+      userIds: [],
+      watcherIds: [],
       title: '',
       description: '',
       team: null,
       priority: null,
       deadline: null,
       client: null,
-      urgent: false
+      project: null,
+      urgent: false,
+      parent: null,
+      autoComplete: false,
+      after: [],
+      every: null,
+      unknownFlags: []
     };
     
     // Split by spaces but preserve quoted text
@@ -53,9 +76,15 @@ function extractUserId(text) {
     for (let i = 0; i < matches.length; i++) {
       const arg = matches[i].replace(/"/g, ''); // Remove quotes
       
-      if (i === 0 && arg.includes('@')) {
-        // First argument is the user mention
-        result.userId = extractUserId(arg);
+      if ((i === 0 || (result.userId && !result.title)) && arg.includes('@')) {
+        // Leading user mentions are the assignees; the first is the primary assignee
+        const userId = extractUserId(arg);
+        if (!result.userIds.includes(userId)) {
+          result.userIds.push(userId);
+        }
+        result.userId = result.userIds[0];
+      } else if (arg.startsWith('-watch=')) {
+        result.watcherIds.push(...arg.substring(7).split(',').filter(Boolean).map(mention => extractUserId(mention.trim())));
       } else if (arg === '-urgent') {
         result.urgent = true;
         result.priority = 'urgent';
@@ -67,6 +96,18 @@ function extractUserId(text) {
         result.deadline = arg.substring(10);
       } else if (arg.startsWith('-client=')) {
         result.client = arg.substring(8);
+      } else if (arg.startsWith('-project=')) {
+        result.project = arg.substring(9).trim();
+      } else if (arg.startsWith('-parent=')) {
+        result.parent = arg.substring(8);
+      } else if (arg === '-autocomplete') {
+        result.autoComplete = true;
+      } else if (arg.startsWith('-every=')) {
+        result.every = arg.substring(7).trim();
+      } else if (arg.startsWith('-after=')) {
+        result.after.push(...arg.substring(7).split(',').map(id => id.trim()).filter(Boolean));
+      } else if (FLAG_PATTERN.test(arg)) {
+        result.unknownFlags.push(arg);
       } else if (result.userId && !result.title) {
         // If we have user ID but no title yet, this is the title
         result.title = arg;
@@ -90,9 +131,14 @@ function extractUserId(text) {
       reviewers: [],
       channelMention: null,
       client: null,
+      project: null,
       url: null,
       deadline: null,
-      status: null
+      status: null,
+      quorum: null,
+      requiredIds: [],
+      leadIds: [],
+      unknownFlags: []
     };
     
     // Split by spaces but preserve quoted text
@@ -119,12 +165,22 @@ function extractUserId(text) {
         result.deadline = arg.substring(10);
       } else if (arg.startsWith('-client=')) {
         result.client = arg.substring(8);
+      } else if (arg.startsWith('-project=')) {
+        result.project = arg.substring(9).trim();
       } else if (arg.startsWith('-status=')) {
         // Added support for initial status
         result.status = arg.substring(8).toLowerCase();
-      } else if (arg.startsWith('#')) {
+      } else if (arg.startsWith('-quorum=')) {
+        result.quorum = arg.substring(8).trim();
+      } else if (arg.startsWith('-required=')) {
+        result.requiredIds.push(...splitMentions(arg.substring(10)));
+      } else if (arg.startsWith('-lead=')) {
+        result.leadIds.push(...splitMentions(arg.substring(6)));
+      } else if (arg.startsWith('#') || arg.startsWith('<#')) {
         // Channel mention
         result.channelMention = arg;
+      } else if (FLAG_PATTERN.test(arg)) {
+        result.unknownFlags.push(arg);
       } else if (!foundTitle) {
         // First non-option argument is the title
         result.title = arg;
@@ -141,8 +197,396 @@ function extractUserId(text) {
     return result;
   }
   
+  // Channel given as <#C123|name>, #name or a bare ID; stored as the ID when Slack sends one
+  function extractChannel(text) {
+    const mentionMatch = text.match(/^<#([A-Z0-9]+)(?:\|[^>]*)?>$/);
+    if (mentionMatch) {
+      return mentionMatch[1];
+    }
+    return text.replace(/^#/, '');
+  }
+  
+  // Parse arguments for team command: /team add [name] -label="..." -keywords=a,b -channel=#x -lead=@y
+  function parseTeamArgs(text) {
+    const result = {
+      action: null,
+      name: null,
+      label: undefined,
+      keywords: undefined,
+      reportChannel: undefined,
+      leadId: undefined,
+      unknownFlags: []
+    };
+    
+    // Split by spaces but preserve quoted text
+    const matches = text.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+    
+    for (let i = 0; i < matches.length; i++) {
+      const arg = matches[i].replace(/"/g, ''); // Remove quotes
+      
+      if (i === 0) {
+        result.action = arg.toLowerCase();
+      } else if (arg.startsWith('-label=')) {
+        result.label = arg.substring(7).trim() || undefined;
+      } else if (arg.startsWith('-keywords=')) {
+        result.keywords = arg.substring(10).split(',').map(keyword => keyword.trim().toLowerCase()).filter(keyword => keyword && keyword !== 'none');
+      } else if (arg.startsWith('-channel=')) {
+        // "none" clears the setting
+        const channel = arg.substring(9).trim();
+        result.reportChannel = channel && channel !== 'none' ? extractChannel(channel) : null;
+      } else if (arg.startsWith('-lead=')) {
+        const lead = arg.substring(6).trim();
+        result.leadId = lead && lead !== 'none' ? extractUserId(lead) : null;
+      } else if (FLAG_PATTERN.test(arg)) {
+        result.unknownFlags.push(arg);
+      } else if (!result.name) {
+        result.name = arg.toLowerCase();
+      }
+    }
+    
+    return result;
+  }
+  
+  // Comma-separated user mentions as user IDs (or USERNAME: placeholders)
+  function splitMentions(text) {
+    return text.split(',').map(mention => mention.trim()).filter(Boolean).map(extractUserId);
+  }
+  
+  // Parse arguments for client command: /client register "Acme Corp" -owner=@y -alias=acme,ac #channel
+  function parseClientArgs(text) {
+    const result = {
+      action: null,
+      name: null,
+      aliases: [],
+      stages: null,
+      channel: null,
+      ownerId: undefined,
+      status: undefined,
+      quorum: null,
+      requiredIds: [],
+      leadIds: [],
+      clearPolicy: false,
+      unknownFlags: []
+    };
+    
+    // Split by spaces but preserve quoted text
+    const matches = text.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+    
+    for (let i = 0; i < matches.length; i++) {
+      const arg = matches[i].replace(/"/g, ''); // Remove quotes
+      
+      if (i === 0) {
+        result.action = arg.toLowerCase();
+      } else if (arg.startsWith('-alias=')) {
+        result.aliases.push(...arg.substring(7).split(',').map(alias => alias.trim()).filter(Boolean));
+      } else if (arg.startsWith('-owner=')) {
+        // "none" clears the owner
+        const owner = arg.substring(7).trim();
+        result.ownerId = owner && owner !== 'none' ? extractUserId(owner) : null;
+      } else if (arg.startsWith('-status=')) {
+        result.status = arg.substring(8).trim().toLowerCase();
+      } else if (arg.startsWith('-quorum=')) {
+        result.quorum = arg.substring(8).trim();
+      } else if (arg.startsWith('-required=')) {
+        result.requiredIds.push(...splitMentions(arg.substring(10)));
+      } else if (arg.startsWith('-lead=')) {
+        result.leadIds.push(...splitMentions(arg.substring(6)));
+      } else if (arg.startsWith('#') || arg.startsWith('<#')) {
+        result.channel = extractChannel(arg);
+      } else if (FLAG_PATTERN.test(arg)) {
+        result.unknownFlags.push(arg);
+      } else if (!result.name) {
+        result.name = arg.trim();
+      } else if (result.action === 'pipeline') {
+        // Stages in order, e.g. editor:@ed design:@dana,@sam "client lead":@lee; "none" removes them
+        const stageMatch = arg.match(/^([^:<@]+):(.*)$/);
+        result.stages = result.stages || [];
+        if (arg.toLowerCase() === 'none') {
+          result.stages = [];
+        } else if (stageMatch) {
+          result.stages.push({ name: stageMatch[1].trim(), reviewerIds: splitMentions(stageMatch[2]) });
+        } else if (result.stages.length > 0) {
+          // Mentions separated by spaces belong to the stage before them
+          result.stages[result.stages.length - 1].reviewerIds.push(...splitMentions(arg));
+        }
+      } else if (result.action === 'policy') {
+        // "none" goes back to everyone approving
+        result.clearPolicy = result.clearPolicy || arg.toLowerCase() === 'none';
+      } else {
+        // Extra words after the name are aliases, e.g. /client alias Acme acme-corp
+        result.aliases.push(...arg.split(',').map(alias => alias.trim()).filter(Boolean));
+      }
+    }
+    
+    return result;
+  }
+  
+  // Parse arguments for project command: /project status "Spring Launch" -client=acme
+  function parseProjectArgs(text) {
+    const result = {
+      action: null,
+      name: null,
+      client: null,
+      unknownFlags: []
+    };
+    
+    // Split by spaces but preserve quoted text
+    const matches = text.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+    
+    for (let i = 0; i < matches.length; i++) {
+      const arg = matches[i].replace(/"/g, ''); // Remove quotes
+      
+      if (i === 0) {
+        result.action = arg.toLowerCase();
+      } else if (arg.startsWith('-client=')) {
+        result.client = arg.substring(8).trim();
+      } else if (FLAG_PATTERN.test(arg)) {
+        result.unknownFlags.push(arg);
+      } else {
+        // Unquoted names run to the next option, e.g. /project status Spring Launch
+        result.name = result.name ? `${result.name} ${arg}` : arg.trim();
+      }
+    }
+    
+    return result;
+  }
+  
+  // Parse arguments for publish command: /publish R-12 -at="friday 9am" or /publish calendar acme
+  function parsePublishArgs(text) {
+    const result = {
+      target: null,
+      at: null,
+      client: null,
+      unknownFlags: []
+    };
+    
+    // Split by spaces but preserve quoted text
+    const matches = text.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+    
+    for (let i = 0; i < matches.length; i++) {
+      const arg = matches[i].replace(/"/g, ''); // Remove quotes
+      
+      if (arg.startsWith('-at=')) {
+        result.at = arg.substring(4).trim();
+      } else if (FLAG_PATTERN.test(arg)) {
+        result.unknownFlags.push(arg);
+      } else if (!result.target) {
+        result.target = arg;
+      } else {
+        // Words after "calendar" name the client; the command rejects them after a review ID
+        result.client = result.client ? `${result.client} ${arg}` : arg.trim();
+      }
+    }
+    
+    return result;
+  }
+  
+  // Parse arguments for calendar command: /calendar acme -weeks=6
+  function parseCalendarArgs(text) {
+    const result = {
+      client: null,
+      weeks: null,
+      unknownFlags: []
+    };
+    
+    // Split by spaces but preserve quoted text
+    const matches = text.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+    
+    for (let i = 0; i < matches.length; i++) {
+      const arg = matches[i].replace(/"/g, ''); // Remove quotes
+      
+      if (arg.startsWith('-weeks=')) {
+        result.weeks = arg.substring(7).trim();
+      } else if (FLAG_PATTERN.test(arg)) {
+        result.unknownFlags.push(arg);
+      } else {
+        result.client = result.client ? `${result.client} ${arg}` : arg.trim();
+      }
+    }
+    
+    return result;
+  }
+  
+  // Parse arguments for content command: /content move R-12 design
+  function parseContentArgs(text) {
+    const result = {
+      action: null,
+      reviewId: null,
+      status: null,
+      unknownFlags: []
+    };
+    
+    const matches = text.split(/\s+/).filter(Boolean);
+    
+    for (let i = 0; i < matches.length; i++) {
+      const arg = matches[i];
+      
+      if (i === 0) {
+        result.action = arg.toLowerCase();
+      } else if (FLAG_PATTERN.test(arg)) {
+        result.unknownFlags.push(arg);
+      } else if (!result.reviewId) {
+        result.reviewId = arg;
+      } else if (!result.status) {
+        result.status = arg.toLowerCase();
+      }
+    }
+    
+    return result;
+  }
+  
+  // Last working day of the week (Monday to Sunday) containing a date; rolls over to next week if none are left
+  function endOfWeek(dateString) {
+    let date = dateString;
+    let last = null;
+    
+    while (true) {
+      if (isBusinessDay(date)) {
+        last = date;
+      }
+      if (getWeekday(date) === 0) {
+        break;
+      }
+      date = addCalendarDays(date, 1);
+    }
+    
+    return last || endOfWeek(addCalendarDays(date, 1));
+  }
+  
+  // The Monday after a date
+  function nextMonday(dateString) {
+    let date = addCalendarDays(dateString, 1);
+    while (getWeekday(date) !== 1) {
+      date = addCalendarDays(date, 1);
+    }
+    return date;
+  }
+  
+  // Split a trailing time of day ("3pm", "3:30 pm", "at 15:00", "noon") off a deadline
+  function parseTimeOfDay(text) {
+    if (/(^|\s)(at\s+)?noon$/.test(text)) {
+      return { rest: text.replace(/(^|\s)(at\s+)?noon$/, '').trim(), time: '12:00' };
+    }
+    
+    const match = text.match(/(?:^|\s)(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)$/) ||
+                  text.match(/(?:^|\s)(?:at\s+)?(\d{1,2}):(\d{2})()$/);
+    if (!match) {
+      return { rest: text, time: null };
+    }
+    
+    let hour = parseInt(match[1], 10);
+    const minute = parseInt(match[2] || '0', 10);
+    const meridiem = match[3];
+    
+    if ((meridiem && (hour < 1 || hour > 12)) || hour > 23 || minute > 59) {
+      return null;
+    }
+    if (meridiem === 'pm' && hour < 12) {
+      hour += 12;
+    } else if (meridiem === 'am' && hour === 12) {
+      hour = 0;
+    }
+    
+    return {
+      rest: text.slice(0, match.index).trim(),
+      time: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`
+    };
+  }
+  
+  // Turn a -deadline= value into a Date in the user's time zone, or null if it can't be understood.
+  // Accepts YYYY-MM-DD, ISO timestamps, "today", "tomorrow", "EOD", "EOW", "next week", weekday names
+  // ("friday", "next monday"), "in 2 days|weeks|hours|business days", each optionally followed by a time
+  // like "3pm" or "15:30". Without a time, deadlines fall at the end of the working day.
+  function parseDeadline(text, timezone = getDefaultTimezone(), now = new Date()) {
+    if (!text) {
+      return null;
+    }
+    
+    const input = text.trim().toLowerCase().replace(/\s+/g, ' ');
+    
+    // Full timestamps with a Z or ±hh:mm offset are taken as given; without one they are
+    // wall-clock time in the user's time zone
+    if (/^\d{4}-\d{2}-\d{2}t/.test(input)) {
+      const timestamp = input.match(/^(\d{4}-\d{2}-\d{2})t(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(z|[+-]\d{2}:?\d{2})?$/);
+      if (!timestamp) {
+        return null;
+      }
+      
+      if (timestamp[5]) {
+        const date = new Date(text.trim());
+        return isNaN(date.getTime()) ? null : date;
+      }
+      
+      const [, day, hours, minutes, seconds] = timestamp;
+      if (addCalendarDays(day, 0) !== day || Number(hours) > 23 || Number(minutes) > 59 || Number(seconds || 0) > 59) {
+        return null;
+      }
+      return new Date(zonedTimeToUtc(day, `${hours}:${minutes}`, timezone).getTime() + Number(seconds || 0) * 1000);
+    }
+    
+    const parsedTime = parseTimeOfDay(input);
+    if (!parsedTime) {
+      return null;
+    }
+    
+    const { rest } = parsedTime;
+    const time = parsedTime.time || getWorkHours().end;
+    const today = getZonedParts(now, timezone).date;
+    const relative = rest.match(/^in (\d+) (hour|day|week|business day)s?$/);
+    const weekday = rest.match(/^(next )?(sun(?:day)?|mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?)$/);
+    
+    let date = null;
+    
+    if (rest === '' || rest === 'today' || rest === 'eod') {
+      date = today;
+    } else if (rest === 'tomorrow' || rest === 'tmrw') {
+      date = addCalendarDays(today, 1);
+    } else if (rest === 'eow') {
+      date = endOfWeek(today);
+    } else if (rest === 'next week') {
+      date = endOfWeek(nextMonday(today));
+    } else if (/^\d{4}-\d{2}-\d{2}$/.test(rest)) {
+      // Reject dates like 2026-02-30 that roll over into another month
+      date = addCalendarDays(rest, 0) === rest ? rest : null;
+    } else if (relative) {
+      const amount = parseInt(relative[1], 10);
+      
+      if (relative[2] === 'hour') {
+        return parsedTime.time ? null : new Date(now.getTime() + amount * 60 * 60 * 1000);
+      }
+      if (relative[2] === 'business day') {
+        date = getZonedParts(addBusinessDays(amount, timezone, now), timezone).date;
+      } else {
+        date = addCalendarDays(today, relative[2] === 'week' ? amount * 7 : amount);
+      }
+    } else if (weekday) {
+      const target = WEEKDAYS.findIndex(day => day.startsWith(weekday[2].slice(0, 3)));
+      
+      if (weekday[1]) {
+        // "next friday" is the Friday of next week
+        date = addCalendarDays(nextMonday(today), (target + 6) % 7);
+      } else {
+        // "friday" is the coming Friday, or today if it's Friday and the time is still ahead
+        date = addCalendarDays(today, (target - getWeekday(today) + 7) % 7);
+        if (date === today && zonedTimeToUtc(date, time, timezone) <= now) {
+          date = addCalendarDays(date, 7);
+        }
+      }
+    }
+    
+    return date ? zonedTimeToUtc(date, time, timezone) : null;
+  }
+  
   module.exports = {
     extractUserId,
     parseAssignArgs,
-    parseReviewArgs
+    parseReviewArgs,
+    parseTeamArgs,
+    parseClientArgs,
+    parseProjectArgs,
+    parseContentArgs,
+    parsePublishArgs,
+    parseCalendarArgs,
+    extractChannel,
+    parseDeadline
   };
\ No newline at end of file
@@ -0,0 +1,21 @@
+// utils/permissions.js
+
+// Workspace admins and owners may change bot settings, plus anyone in ADMIN_USER_IDS="U123,U456"
+async function isAdmin(client, userId) {
+  const configured = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+  if (configured.includes(userId)) {
+    return true;
+  }
+  
+  try {
+    const userInfo = await client.users.info({ user: userId });
+    return Boolean(userInfo.user.is_admin || userInfo.user.is_owner);
+  } catch (error) {
+    console.error(`Error checking admin rights for ${userId}:`, error);
+    return false;
+  }
+}
+
+module.exports = {
+  isAdmin
+};
\ No newline at end of file
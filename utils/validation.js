@@ -0,0 +1,127 @@
+// utils/validation.js
+const { parseDeadline } = require('./parsers');
+const { getDefaultTimezone, formatZonedDate } = require('./dates');
+
+// Typos further than this many edits from every allowed value get no suggestion
+const MAX_SUGGESTION_DISTANCE = 2;
+
+// Number of single-character edits between two strings
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  
+  return previous[b.length];
+}
+
+// The allowed value closest to what was typed, or null if nothing is close
+function suggest(value, candidates) {
+  const input = String(value).toLowerCase();
+  
+  // An unambiguous prefix is the best guess, e.g. "des" for "design"
+  const prefixed = candidates.filter(candidate => candidate.toLowerCase().startsWith(input));
+  if (input.length >= 2 && prefixed.length === 1) {
+    return prefixed[0];
+  }
+  
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(input, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  
+  return bestDistance <= MAX_SUGGESTION_DISTANCE && bestDistance < input.length ? best : null;
+}
+
+function didYouMean(value, candidates) {
+  const suggestion = suggest(value, candidates);
+  return suggestion ? ` Did you mean \`${suggestion}\`?` : '';
+}
+
+// Check parsed command arguments against a schema before anything is written.
+//
+// schema.flags lists every option the command accepts (e.g. '-team'); anything in
+// args.unknownFlags is reported with the closest known flag. schema.fields maps an
+// argument name to a rule:
+//   { label, values }           - must be one of values (case-insensitive); values may be an async function
+//   { label, type: 'deadline' } - parsed with parseDeadline in options.timezone and must be in the future
+//   { label, validate }         - validate(value) returns an error message or null
+//
+// Returns { errors, values } where values holds the normalized enum values and parsed deadlines.
+async function validateArgs(args, schema, options = {}) {
+  const errors = [];
+  const values = {};
+  const timezone = options.timezone || getDefaultTimezone();
+  const now = options.now || new Date();
+  
+  for (const flag of args.unknownFlags || []) {
+    const name = flag.split('=')[0];
+    errors.push(`Unknown option \`${name}\`.${didYouMean(name, schema.flags || [])}`);
+  }
+  
+  for (const [field, rule] of Object.entries(schema.fields || {})) {
+    const value = args[field];
+    if (value === null || value === undefined || value === '') {
+      continue;
+    }
+    
+    const label = rule.label || field;
+    
+    if (rule.values) {
+      const allowed = typeof rule.values === 'function' ? await rule.values() : rule.values;
+      const normalized = String(value).toLowerCase();
+      if (allowed.includes(normalized)) {
+        values[field] = normalized;
+      } else {
+        errors.push(`Unknown ${label} "${value}".${didYouMean(value, allowed)} Choose from: ${allowed.join(', ')}.`);
+      }
+    } else if (rule.type === 'deadline') {
+      const deadline = parseDeadline(value, timezone, now);
+      if (!deadline) {
+        errors.push(`I couldn't understand the ${label} "${value}". Try a date like 2026-05-15, or tomorrow, friday 3pm, "next week", "in 2 days", EOD or EOW (quote it if it has spaces).`);
+      } else if (deadline <= now) {
+        errors.push(`The ${label} "${value}" (${formatZonedDate(deadline, timezone)}) is already in the past.`);
+      } else {
+        values[field] = deadline;
+      }
+    } else if (rule.validate) {
+      const message = rule.validate(value);
+      if (message) {
+        errors.push(message);
+      } else {
+        values[field] = value;
+      }
+    }
+  }
+  
+  return { errors, values };
+}
+
+// One line for a single problem, a bulleted list for several
+function formatValidationErrors(errors) {
+  if (errors.length === 1) {
+    return errors[0];
+  }
+  
+  return `Please fix the following:\n${errors.map(error => `• ${error}`).join('\n')}`;
+}
+
+module.exports = {
+  suggest,
+  validateArgs,
+  formatValidationErrors
+};
\ No newline at end of file